@@ -13,81 +13,83 @@ defmodule CollaborativeDocumentExample do
   @moduledoc """
   Example showing how to use CloudflareDurable to implement collaborative document editing.
   
-  This simulates multiple users making changes to the same document in real-time,
-  with changes being synchronized through a Durable Object.
+  This simulates multiple users making concurrent changes to the same document,
+  with edits transformed and synchronized through the worker's `TextDocument`
+  Durable Object. The worker must bind `TextDocument` to a namespace (see
+  `priv/cloudflare/wrangler.toml`); set CLOUDFLARE_DOCUMENT_NAMESPACE if it is
+  not "documents".
   """
   
+  alias CloudflareDurable.TextOperation
+  
   def run do
     # Configure the worker URL
     worker_url = System.get_env("CLOUDFLARE_WORKER_URL") || 
                  raise "Please set the CLOUDFLARE_WORKER_URL environment variable"
                  
     Application.put_env(:cloudflare_durable, :worker_url, worker_url)
+    opts = [namespace: System.get_env("CLOUDFLARE_DOCUMENT_NAMESPACE", "documents")]
     
     # Generate a unique document ID
     document_id = "document-#{:os.system_time(:millisecond)}"
     IO.puts("Using document ID: #{document_id}")
     
-    # Initialize the document with starting content
+    # Start the document with some content
     initial_content = "# Collaborative Document\n\nThis is a test document that multiple users can edit."
     
-    case CloudflareDurable.initialize(document_id, %{
-      content: initial_content,
-      version: 1,
-      last_modified: DateTime.utc_now() |> DateTime.to_iso8601()
-    }) do
-      {:ok, response} ->
-        IO.puts("Initialized document: #{inspect(response)}")
+    case CloudflareDurable.edit_document(document_id, 0, [TextOperation.insert(0, initial_content)], opts) do
+      {:ok, %{"revision" => revision}} ->
+        IO.puts("Initialized document at revision #{revision}")
         
-        # Open a WebSocket connection to receive real-time updates
-        {:ok, socket} = CloudflareDurable.open_websocket(document_id)
+        # Open a WebSocket connection to receive other users' edits
+        {:ok, _socket} = CloudflareDurable.open_websocket(document_id, opts)
         
         # Spawn a process to handle WebSocket messages
         spawn_link(fn -> handle_messages() end)
         
         # Simulate multiple users making edits
-        simulate_user_edits(document_id)
+        simulate_user_edits(document_id, revision, opts)
         
       {:error, reason} ->
         IO.puts("Error initializing document: #{inspect(reason)}")
     end
   end
   
-  defp simulate_user_edits(document_id) do
-    # Simulate User 1 adding a paragraph
-    IO.puts("\nUser 1 is adding a paragraph...")
-    update_document(document_id, "# Collaborative Document\n\nThis is a test document that multiple users can edit.\n\n## Introduction\n\nThis document demonstrates real-time collaboration using Cloudflare Durable Objects.")
-    Process.sleep(2000)
+  defp simulate_user_edits(document_id, revision, opts) do
+    # All three users edit the same revision concurrently; the worker
+    # transforms each edit over the ones committed before it
+    IO.puts("\nUser 1 is adding an introduction...")
+    intro = "\n\n## Introduction\n\nThis document demonstrates real-time collaboration using Cloudflare Durable Objects."
+    edit_document(document_id, revision, [TextOperation.insert(79, intro)], opts)
     
-    # Simulate User 2 adding a section
-    IO.puts("\nUser 2 is adding a new section...")
-    update_document(document_id, "# Collaborative Document\n\nThis is a test document that multiple users can edit.\n\n## Introduction\n\nThis document demonstrates real-time collaboration using Cloudflare Durable Objects.\n\n## Features\n\n- Real-time updates\n- Conflict resolution\n- Distributed state")
-    Process.sleep(2000)
+    IO.puts("\nUser 2 is adding a features section...")
+    features = "\n\n## Features\n\n- Real-time updates\n- Conflict resolution\n- Distributed state"
+    edit_document(document_id, revision, [TextOperation.insert(79, features)], opts)
+    
+    IO.puts("\nUser 3 is rewording the first paragraph...")
+    edit_document(document_id, revision, [TextOperation.delete(36, 4), TextOperation.insert(36, "collaborative")], opts)
     
-    # Simulate User 3 fixing a typo
-    IO.puts("\nUser 3 is fixing a typo...")
-    update_document(document_id, "# Collaborative Document\n\nThis is a collaborative document that multiple users can edit.\n\n## Introduction\n\nThis document demonstrates real-time collaboration using Cloudflare Durable Objects.\n\n## Features\n\n- Real-time updates\n- Conflict resolution\n- Distributed state")
     Process.sleep(2000)
     
     # Get final state
-    case CloudflareDurable.get_state(document_id) do
-      {:ok, state} ->
-        IO.puts("\nFinal document state: #{inspect(state)}")
+    case CloudflareDurable.get_document(document_id, opts) do
+      {:ok, %{"text" => text, "revision" => revision}} ->
+        IO.puts("\nFinal document at revision #{revision}:\n\n#{text}")
         
       {:error, reason} ->
-        IO.puts("Error getting document state: #{inspect(reason)}")
+        IO.puts("Error getting document: #{inspect(reason)}")
     end
     
     IO.puts("\nSimulation complete. Press Ctrl+C twice to exit.")
   end
   
-  defp update_document(document_id, content) do
-    case CloudflareDurable.call_method(document_id, "method_update", %{content: content}) do
-      {:ok, %{"result" => result}} ->
-        IO.puts("Document updated to version #{result["version"]}")
+  defp edit_document(document_id, revision, ops, opts) do
+    case CloudflareDurable.edit_document(document_id, revision, ops, opts) do
+      {:ok, %{"revision" => committed, "ops" => applied}} ->
+        IO.puts("Edit committed as revision #{committed}: #{inspect(applied)}")
         
       {:error, reason} ->
-        IO.puts("Error updating document: #{inspect(reason)}")
+        IO.puts("Error editing document: #{inspect(reason)}")
     end
   end
   
@@ -95,11 +97,8 @@ defmodule CollaborativeDocumentExample do
     receive do
       {:durable_object_message, message} ->
         case message do
-          %{"type" => "update", "key" => "document", "value" => doc} ->
-            IO.puts("\nReceived document update:")
-            IO.puts("Version: #{doc["version"]}")
-            IO.puts("Modified: #{doc["lastModified"]}")
-            IO.puts("Content length: #{String.length(doc["content"])} characters")
+          %{"type" => "edit", "revision" => revision, "ops" => ops} ->
+            IO.puts("\nReceived edit for revision #{revision}: #{length(ops)} operation(s)")
             
           other ->
             IO.puts("Received other message: #{inspect(other)}")
@@ -31,6 +31,7 @@ defmodule CloudflareDurable do
   @type error_reason :: :network_error | :invalid_response | :server_error | :not_found | atom() | String.t()
   @type client_opts :: [
     worker_url: String.t(),
+    namespace: String.t(),
     auto_reconnect: boolean(),
     backoff_initial: non_neg_integer(),
     backoff_max: non_neg_integer(),
@@ -45,6 +46,7 @@ defmodule CloudflareDurable do
     * `data` - Initial data to store in the Durable Object
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:ttl` / `:expires_at` - Expire every key after `ttl` ms or at a given time
   
   ## Returns
     * `{:ok, response}` - Successfully initialized Durable Object
@@ -116,6 +118,7 @@ defmodule CloudflareDurable do
     * `value` - Value to set
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:ttl` / `:expires_at` - Expire the key after `ttl` ms or at a given time
   
   ## Returns
     * `{:ok, response}` - Successfully updated state
@@ -142,6 +145,152 @@ defmodule CloudflareDurable do
         {:ok, map()} | {:error, error_reason()}
   defdelegate delete_state(object_id, key, opts \\ []), to: Client
 
+  @doc """
+  Applies a list of state operations to a Durable Object in a single transaction.
+  
+  See `CloudflareDurable.Client.batch/3` for the operation format.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to update
+    * `operations` - List of get/put/delete/cas operations
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+  
+  ## Returns
+    * `{:ok, response}` - All operations applied
+    * `{:error, :conflict}` - A compare-and-set failed and nothing was applied
+    * `{:error, reason}` - Failed to apply the batch
+  """
+  @spec batch(object_id(), [map()], keyword()) :: 
+        {:ok, map()} | {:error, error_reason()}
+  defdelegate batch(object_id, operations, opts \\ []), to: Client
+
+  @doc """
+  Atomically updates a key based on its current value: `:increment`,
+  `:decrement`, `:append`, `:prepend`, `:add`, `:remove` or `:merge`.
+  
+  See `CloudflareDurable.Client.atomic/5` for the parameters of each operation.
+  
+  ## Examples
+  
+      {:ok, %{"value" => 3}} = CloudflareDurable.atomic("counter", "hits", :increment, %{by: 1, max: 100})
+      {:ok, _} = CloudflareDurable.atomic("room", "recent", :append, %{value: "hi", max_length: 50})
+  
+  ## Returns
+    * `{:ok, response}` - `response["value"]` is the key's new value
+    * `{:error, reason}` - Failed to apply the operation
+  """
+  @spec atomic(object_id(), state_key(), atom(), map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  defdelegate atomic(object_id, key, operation, params \\ %{}, opts \\ []), to: Client
+
+  @doc """
+  Patches the value of a key with a JSON Patch (a list of operations) or a
+  JSON merge patch (a map).
+  
+  See `CloudflareDurable.Client.patch_state/4`.
+  
+  ## Examples
+  
+      {:ok, _} = CloudflareDurable.patch_state("doc", "settings", [%{op: "replace", path: "/theme", value: "dark"}])
+      {:ok, _} = CloudflareDurable.patch_state("doc", "settings", %{theme: "dark", legacy: nil})
+  
+  ## Returns
+    * `{:ok, response}` - `response["version"]` is the key's new version
+    * `{:error, reason}` - Failed to patch the key
+  """
+  @spec patch_state(object_id(), state_key(), [map()] | map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  defdelegate patch_state(object_id, key, patch, opts \\ []), to: Client
+
+  @doc """
+  Uploads a large value from a JSON file, pre-encoded JSON or any term.
+
+  See `CloudflareDurable.Client.upload_value/4`.
+
+  ## Examples
+
+      {:ok, _} = CloudflareDurable.upload_value("archive", "dump", {:file, "dump.json"})
+  """
+  @spec upload_value(object_id(), state_key(), {:file, Path.t()} | {:json, iodata()} | state_value(), keyword()) ::
+          {:ok, map()} | {:error, error_reason()}
+  defdelegate upload_value(object_id, key, source, opts \\ []), to: Client
+
+  @doc """
+  Downloads the value of a key, optionally streaming its JSON into a collectable.
+
+  See `CloudflareDurable.Client.download_value/3`.
+
+  ## Examples
+
+      {:ok, _} = CloudflareDurable.download_value("archive", "dump", into: File.stream!("dump.json"))
+  """
+  @spec download_value(object_id(), state_key(), keyword()) :: {:ok, any()} | {:error, error_reason()}
+  defdelegate download_value(object_id, key, opts \\ []), to: Client
+
+  @doc """
+  Gets the text and revision of a collaborative text document served by the
+  worker's `TextDocument` class.
+  
+  See `CloudflareDurable.Client.get_document/2`.
+  
+  ## Returns
+    * `{:ok, %{"text" => text, "revision" => revision}}` - The current document
+    * `{:error, reason}` - Failed to get the document
+  """
+  @spec get_document(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  defdelegate get_document(object_id, opts \\ []), to: Client
+
+  @doc """
+  Submits insert and delete operations made against `revision` of a text
+  document. Concurrent edits are transformed by the worker.
+  
+  See `CloudflareDurable.Client.edit_document/4` and
+  `CloudflareDurable.TextOperation`.
+  
+  ## Examples
+  
+      alias CloudflareDurable.TextOperation
+      
+      {:ok, %{"revision" => 4}} =
+        CloudflareDurable.edit_document("notes", 3, [TextOperation.insert(0, "Hello ")], namespace: "documents")
+  
+  ## Returns
+    * `{:ok, %{"revision" => revision, "ops" => ops}}` - The committed edit
+    * `{:error, reason}` - Failed to apply the edit
+  """
+  @spec edit_document(object_id(), non_neg_integer(), [map()], keyword()) :: {:ok, map()} | {:error, error_reason()}
+  defdelegate edit_document(object_id, revision, ops, opts \\ []), to: Client
+
+  @doc """
+  Exports all keys of a Durable Object as NDJSON, for backups or copying
+  objects between environments.
+  
+  See `CloudflareDurable.Client.export_state/2`.
+  
+  ## Returns
+    * `{:ok, ndjson}` - The export as a binary
+    * `{:error, reason}` - Failed to export
+  """
+  @spec export_state(object_id(), keyword()) :: {:ok, binary()} | {:error, error_reason()}
+  defdelegate export_state(object_id, opts \\ []), to: Client
+
+  @doc """
+  Restores an export into a Durable Object, in a single transaction.
+  
+  See `CloudflareDurable.Client.import_state/3`.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to import into
+    * `export` - NDJSON from `export_state/2`, or a list of entry maps
+    * `opts` - Optional parameters:
+      * `:mode` - `:merge` (default) or `:replace`
+  
+  ## Returns
+    * `{:ok, response}` - Import applied
+    * `{:error, reason}` - Failed to import
+  """
+  @spec import_state(object_id(), binary() | [map()], keyword()) :: {:ok, map()} | {:error, error_reason()}
+  defdelegate import_state(object_id, export, opts \\ []), to: Client
+
   @doc """
   Gets a namespace object ID from a namespace and name.
   
@@ -150,6 +299,7 @@ defmodule CloudflareDurable do
     * `name` - Name within the namespace
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:id_type` - `:name` (default), `:string` or `:unique`
   
   ## Returns
     * `{:ok, object_id}` - Successfully got object ID
@@ -172,6 +322,8 @@ defmodule CloudflareDurable do
       * `:auto_reconnect` - Whether to automatically reconnect on disconnect (default: true)
       * `:backoff_initial` - Initial backoff time in ms (default: 500)
       * `:backoff_max` - Maximum backoff time in ms (default: 30000)
+      * `:keys` - Only receive state and updates for these keys
+      * `:prefixes` - Only receive state and updates for keys with these prefixes
   
   ## Returns
     * `{:ok, pid}` - Successfully established WebSocket connection
@@ -0,0 +1,124 @@
+defmodule CloudflareDurable.Auth do
+  @moduledoc """
+  Authentication for requests to the Durable Objects worker.
+
+  The reference worker in `priv/cloudflare` accepts three kinds of credentials,
+  enabled by setting `AUTH_SECRET` and/or `AUTH_SIGNING_SECRET` on the worker:
+
+    * a shared bearer secret (`AUTH_SECRET`)
+    * HMAC-signed requests, covering a timestamp, the method, the path and a
+      hash of the body, so captured requests cannot be replayed or altered
+      (`AUTH_SIGNING_SECRET`)
+    * tokens scoped to a single object (or object ID prefix), signed with
+      `AUTH_SIGNING_SECRET`, for handing to less trusted clients such as browsers
+
+  `CloudflareDurable.Client` and `CloudflareDurable.WebSocket.Connection` add
+  the right headers automatically based on configuration:
+
+  ```elixir
+  config :cloudflare_durable,
+    worker_url: "https://durable.example.workers.dev",
+    # Sign every request (preferred)
+    signing_secret: System.get_env("CLOUDFLARE_DURABLE_SIGNING_SECRET"),
+    # Or send a shared bearer secret
+    auth_secret: System.get_env("CLOUDFLARE_DURABLE_AUTH_SECRET")
+  ```
+
+  Both settings can also be passed per call as `:signing_secret` and
+  `:auth_secret` options.
+  """
+
+  @type auth_opts :: [signing_secret: String.t() | nil, auth_secret: String.t() | nil]
+
+  @doc """
+  Builds the authentication headers for a request.
+
+  When a signing secret is configured the request is signed; otherwise a
+  configured bearer secret is sent. Without either, no headers are added.
+
+  ## Parameters
+    * `method` - HTTP method (e.g. `:get` or `"GET"`)
+    * `path` - Request path including the query string, as the worker sees it
+    * `body` - Request body (`""` for requests without one)
+    * `opts` - Optional `:signing_secret` and `:auth_secret` overriding the configuration
+
+  ## Returns
+    * `[{header, value}]` - Headers to add to the request
+  """
+  @spec headers(atom() | String.t(), String.t(), iodata(), auth_opts() | keyword()) :: [{String.t(), String.t()}]
+  def headers(method, path, body, opts \\ []) do
+    cond do
+      secret = config(:signing_secret, opts) ->
+        timestamp = Integer.to_string(System.system_time(:second))
+
+        [
+          {"x-durable-timestamp", timestamp},
+          {"x-durable-signature", signature(secret, timestamp, method, path, body)}
+        ]
+
+      secret = config(:auth_secret, opts) ->
+        [{"authorization", "Bearer #{secret}"}]
+
+      true ->
+        []
+    end
+  end
+
+  @doc """
+  Computes the HMAC signature of a request.
+
+  The signature is the lowercase hex HMAC-SHA256 of
+  `"{timestamp}\\n{METHOD}\\n{path}\\n{hex SHA-256 of body}"`.
+  """
+  @spec signature(String.t(), String.t(), atom() | String.t(), String.t(), iodata()) :: String.t()
+  def signature(secret, timestamp, method, path, body) do
+    method = method |> to_string() |> String.upcase()
+    body_hash = :crypto.hash(:sha256, body) |> Base.encode16(case: :lower)
+    payload = Enum.join([timestamp, method, path, body_hash], "\n")
+
+    :crypto.mac(:hmac, :sha256, secret, payload) |> Base.encode16(case: :lower)
+  end
+
+  @doc """
+  Creates a token granting access to a single Durable Object.
+
+  ## Parameters
+    * `object_id` - Name of the Durable Object; a trailing `*` grants access to
+      every object name with that prefix. Tokens never cover objects addressed
+      by hex ID (`"id:" <> hex`)
+    * `opts` - Optional parameters:
+      * `:ttl` - Lifetime of the token in seconds (default: 3600); the worker
+        rejects tokens living longer than `AUTH_MAX_TOKEN_TTL_SECONDS`
+        (default: one day)
+      * `:namespace` - Namespace the object lives in (default: the worker's default binding)
+      * `:signing_secret` - Override the configured signing secret
+
+  ## Returns
+    * `{:ok, token}` - Token to send as `Authorization: Bearer <token>`, or as
+      the `access_token` query parameter on WebSocket URLs
+    * `{:error, :missing_signing_secret}` - No signing secret is configured
+  """
+  @spec scoped_token(String.t(), keyword()) :: {:ok, String.t()} | {:error, :missing_signing_secret}
+  def scoped_token(object_id, opts \\ []) do
+    case config(:signing_secret, opts) do
+      nil ->
+        {:error, :missing_signing_secret}
+
+      secret ->
+        claims = %{
+          sub: object_id,
+          ns: Keyword.get(opts, :namespace),
+          exp: System.system_time(:second) + Keyword.get(opts, :ttl, 3600)
+        }
+
+        payload = claims |> Jason.encode!() |> Base.url_encode64(padding: false)
+        signature = :crypto.mac(:hmac, :sha256, secret, payload) |> Base.url_encode64(padding: false)
+
+        {:ok, "#{payload}.#{signature}"}
+    end
+  end
+
+  defp config(key, opts) do
+    Keyword.get_lazy(opts, key, fn -> Application.get_env(:cloudflare_durable, key) end)
+  end
+end
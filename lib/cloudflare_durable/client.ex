@@ -4,6 +4,35 @@ defmodule CloudflareDurable.Client do
   
   This module provides functions for communicating with Cloudflare Workers and Durable Objects,
   allowing applications to leverage edge-located, stateful storage and processing.
+  
+  Requests are authenticated automatically when a `:signing_secret` or
+  `:auth_secret` is configured; see `CloudflareDurable.Auth`. Every function
+  also accepts these as options.
+  
+  Every request function also accepts `:client_id`, sent as `X-Client-Id`, so
+  the worker's per-client rate limits count requests against your own users
+  (the worker only honours it on requests authenticated with the auth or
+  signing secret, so it needs one of them configured), and `:request_id`,
+  sent as `X-Request-Id` so the worker's log entries for the request carry
+  it. Without `:request_id`, the `:request_id` Logger metadata (set by
+  `Plug.RequestId`) is used, or a new ID is generated.
+  
+  Failed requests return `{:error, reason}`. When the worker responds with its
+  `{"error": {"code": ..., "message": ...}}` envelope, known codes map to
+  specific reasons such as `:invalid_json`, `:payload_too_large`,
+  `:method_not_found` or `:conflict`; other failures map from the HTTP status
+  (`:invalid_request`, `:not_found`, `:rate_limited`, `:server_error`, ...).
+  The code is included in the `[:cloudflare_durable, :error]` telemetry
+  metadata.
+  
+  Network errors and `429`, `502`, `503` and `504` responses are retried up to
+  `:retry_count` times (default: 0), waiting `:retry_delay` ms (default: 500)
+  and doubling it each time, or longer when the worker sends `Retry-After`.
+  Both can be configured for the application or passed per call. Writes sent
+  with retries enabled carry a generated `Idempotency-Key`, so the worker runs
+  them once and replays the first result to the retries; pass
+  `:idempotency_key` to choose the key yourself, e.g. to make a call safe to
+  repeat across processes. Replayed responses are identical to the original.
   """
   require Logger
   alias CloudflareDurable.WebSocket
@@ -11,15 +40,24 @@ defmodule CloudflareDurable.Client do
   @type t :: module()
   @type object_id :: String.t()
   @type method_name :: String.t()
-  @type http_method :: :get | :post | :put | :delete
+  @type http_method :: :get | :post | :put | :patch | :delete
   @type http_status :: non_neg_integer()
   @type http_headers :: [{String.t(), String.t()}]
   @type http_body :: String.t() | nil
   @type http_response :: %{status: http_status, body: map() | nil, headers: http_headers}
-  @type error_reason :: :network_error | :invalid_response | :server_error | :not_found | atom() | String.t()
+  @type error_reason ::
+          :network_error
+          | :invalid_response
+          | :server_error
+          | :not_found
+          | {:schema_violation, [map()]}
+          | atom()
+          | String.t()
   @type client_opts :: [
     worker_url: String.t(),
     api_token: String.t(),
+    signing_secret: String.t(),
+    auth_secret: String.t(),
     name: atom(),
     finch_pool_size: pos_integer(),
     finch_pool_count: pos_integer()
@@ -29,20 +67,54 @@ defmodule CloudflareDurable.Client do
     auto_reconnect: boolean(),
     backoff_initial: non_neg_integer(),
     backoff_max: non_neg_integer(),
-    subscriber: pid() | nil
+    subscriber: pid() | nil,
+    auth: keyword()
   ]
 
+  # Per-call overrides of the authentication configuration, see CloudflareDurable.Auth
+  @auth_options [:signing_secret, :auth_secret]
+
   @doc """
   Initializes a new Durable Object instance.
   
+  The state is written in a single transaction, so nodes racing to initialize
+  the same object can use `mode: :create_only` to let exactly one of them
+  succeed.
+  
   ## Parameters
     * `object_id` - ID of the Durable Object to initialize
     * `data` - Initial data to store in the Durable Object
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:ttl` - Expire every key after this many milliseconds
+      * `:expires_at` - Expire every key at this time (`DateTime` or ms timestamp)
+      * `:schema` - JSON Schema for the object's state, checked against `data`
+        and every later write; `nil` removes the current schema
+      * `:mode` - `:overwrite` (default) writes `data` over the current state;
+        `:create_only` fails unless the object was never initialized and has
+        no state; `:merge_missing` writes only the keys the object does not
+        have; `:replace` deletes every existing key first, keeping the keys'
+        version counters so a recreated key's version never moves back
+  
+  The schema describes the state as an object whose properties are its keys,
+  e.g. `%{properties: %{count: %{type: "integer", minimum: 0}}, required: ["count"]}`.
+  A `methods` entry may map method names to schemas for their results. Writes,
+  deletes of required keys and method results that do not match fail with
+  `{:error, {:schema_violation, errors}}`, each error being
+  `%{"path" => json_pointer, "message" => message}`. The schema's members must
+  have the right shape (`required` and `enum` lists, `properties` a map of
+  schemas, numeric bounds) and `pattern` keywords must compile, be at most 256
+  characters and use neither backreferences nor repeated quantified groups
+  such as `(a+)+`.
   
   ## Returns
-    * `{:ok, response}` - Successfully initialized Durable Object
+    * `{:ok, %{"initializedAt" => iso8601, "written" => keys}}` - Initialized;
+      `"initializedAt"` is when the object was first initialized (or last
+      replaced) and `"written"` lists the keys that were set
+    * `{:error, :already_initialized}` - `:create_only` and the object already exists
+    * `{:error, {:schema_violation, errors}}` - `data` does not match the schema
+    * `{:error, :invalid_request}` - The schema cannot be used
     * `{:error, reason}` - Failed to initialize Durable Object
   """
   @spec initialize(object_id(), map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
@@ -64,7 +136,25 @@ defmodule CloudflareDurable.Client do
           fn ->
             Logger.debug("Initializing Durable Object: #{object_id}")
             
-            result = make_request(worker_url, "/initialize/#{object_id}", :post, Jason.encode!(data))
+            query =
+              case Keyword.get(opts, :mode) do
+                nil -> expiry(opts)
+                mode -> [{:mode, mode} | expiry(opts)]
+              end
+            
+            path =
+              case URI.encode_query(query) do
+                "" -> "#{namespace_prefix(opts)}/initialize/#{encode_segment(object_id)}"
+                query -> "#{namespace_prefix(opts)}/initialize/#{encode_segment(object_id)}?#{query}"
+              end
+            
+            data =
+              case Keyword.fetch(opts, :schema) do
+                {:ok, schema} -> Map.put(data, "__cfd:schema", schema)
+                :error -> data
+              end
+            
+            result = make_request(worker_url, path, :post, Jason.encode!(data), opts)
             {result, %{object_id: object_id, operation: :initialize}}
           end
         )
@@ -80,9 +170,12 @@ defmodule CloudflareDurable.Client do
     * `params` - Parameters to pass to the method
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:idempotency_key` - Run the call once for this key; repeats get the first result
   
   ## Returns
     * `{:ok, response}` - Successfully called method on Durable Object
+    * `{:error, :idempotency_key_reused}` - The key was used for a different call
     * `{:error, reason}` - Failed to call method on Durable Object
   """
   @spec call_method(object_id(), method_name(), map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
@@ -107,16 +200,51 @@ defmodule CloudflareDurable.Client do
           fn ->
             Logger.debug("Calling method #{method} on Durable Object: #{object_id}")
             
-            path = "/object/#{object_id}/method/#{method}"
+            path = "#{object_path(object_id, opts)}/method/#{encode_segment(method)}"
             body = Jason.encode!(params)
             
-            result = make_request(worker_url, path, :post, body)
+            result = make_request(worker_url, path, :post, body, opts)
             {result, %{object_id: object_id, method: method}}
           end
         )
     end
   end
 
+  @doc """
+  Lists the methods that can be called on a Durable Object.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, methods}` - List of `%{"name" => name, "description" => description, "schema" => schema}`
+    * `{:error, reason}` - Failed to list methods
+  """
+  @spec list_methods(object_id(), keyword()) :: {:ok, [map()]} | {:error, error_reason()}
+  def list_methods(object_id, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :list_methods},
+      fn ->
+        Logger.debug("Listing methods of Durable Object: #{object_id}")
+        
+        result =
+          case make_request(worker_url, "#{object_path(object_id, opts)}/methods", :get, "", opts) do
+            {:ok, %{"methods" => methods}} -> {:ok, methods}
+            {:ok, _} -> {:error, :invalid_response}
+            error -> error
+          end
+        
+        {result, %{object_id: object_id, operation: :list_methods}}
+      end
+    )
+  end
+
   @doc """
   Opens a WebSocket connection to a Durable Object.
   
@@ -124,9 +252,12 @@ defmodule CloudflareDurable.Client do
     * `object_id` - ID of the Durable Object to connect to
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
       * `:auto_reconnect` - Whether to automatically reconnect on disconnect (default: true)
       * `:backoff_initial` - Initial backoff time in ms (default: 500)
       * `:backoff_max` - Maximum backoff time in ms (default: 30000)
+      * `:keys` - Only receive state and updates for these keys
+      * `:prefixes` - Only receive state and updates for keys with these prefixes
   
   ## Returns
     * `{:ok, pid}` - Successfully opened WebSocket connection
@@ -138,14 +269,15 @@ defmodule CloudflareDurable.Client do
     
     # Replace http/https with ws/wss
     ws_url = String.replace(worker_url, ~r/^http(s?):\/\//, "ws\\1://")
-    ws_url = "#{ws_url}/object/#{object_id}/websocket"
+    ws_url = "#{ws_url}#{object_path(object_id, opts)}/websocket"
     
     connection_opts = [
       url: ws_url,
       auto_reconnect: Keyword.get(opts, :auto_reconnect, true),
       backoff_initial: Keyword.get(opts, :backoff_initial, 500),
-      backoff_max: Keyword.get(opts, :backoff_max, 30000)
-    ]
+      backoff_max: Keyword.get(opts, :backoff_max, 30000),
+      auth: Keyword.take(opts, @auth_options)
+    ] ++ Keyword.take(opts, [:keys, :prefixes])
     
     Logger.debug("Opening WebSocket connection to Durable Object: #{object_id}")
     WebSocket.Supervisor.start_connection(object_id, connection_opts)
@@ -154,14 +286,32 @@ defmodule CloudflareDurable.Client do
   @doc """
   Gets the state of a Durable Object.
   
+  When a single `key` is requested the response also carries its `"version"`,
+  which can be passed back as `:expected_version` to `update_state/4` or
+  `delete_state/3` for compare-and-swap writes.
+  
   ## Parameters
     * `object_id` - ID of the Durable Object to get state from
-    * `key` - Optional specific key to get (if nil, gets all state)
+    * `key` - Optional specific key to get (if nil, lists the state)
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  When listing (`key` is nil) the following options are also accepted:
+      * `:prefix` - Only return keys starting with this prefix
+      * `:start` - First key to return (inclusive)
+      * `:end` - Key to stop at (exclusive)
+      * `:limit` - Maximum number of keys per page (default: 1000, max: 10000)
+      * `:reverse` - Return keys in descending order
+      * `:cursor` - `"cursor"` from a previous response, to fetch the next page
+      * `:format` - `:object` (default, `"data"` is a map) or `:array`
+        (`"data"` is an ordered list of `%{"key" => ..., "value" => ...}`)
   
   ## Returns
-    * `{:ok, state}` - Successfully retrieved state
+    * `{:ok, state}` - Successfully retrieved state. Listings return
+      `%{"data" => data, "cursor" => cursor, "truncated" => boolean}`, plus
+      `"chunked"`, the keys of large values left out of `"data"` (fetch them
+      with `get_state/3` or `download_value/3`), when the page has any
     * `{:error, reason}` - Failed to retrieve state
   """
   @spec get_state(object_id(), String.t() | nil, keyword()) :: {:ok, map()} | {:error, error_reason()}
@@ -169,9 +319,12 @@ defmodule CloudflareDurable.Client do
     worker_url = Keyword.get(opts, :worker_url, default_worker_url())
     
     path = if key do
-      "/object/#{object_id}/state/#{key}"
+      "#{object_path(object_id, opts)}/state/#{encode_segment(key)}"
     else
-      "/object/#{object_id}/state"
+      case list_query(opts) do
+        "" -> "#{object_path(object_id, opts)}/state"
+        query -> "#{object_path(object_id, opts)}/state?#{query}"
+      end
     end
     
     :telemetry.span(
@@ -180,12 +333,243 @@ defmodule CloudflareDurable.Client do
       fn ->
         Logger.debug("Getting state for Durable Object: #{object_id}")
         
-        result = make_request(worker_url, path, :get, "")
+        result = make_request(worker_url, path, :get, "", opts)
         {result, %{object_id: object_id, operation: :get_state, key: key}}
       end
     )
   end
 
+  @doc """
+  Gets the changes made to a Durable Object after a sequence number.
+  
+  Every change the worker broadcasts carries a `"seq"`; the worker keeps a
+  bounded log of recent changes so clients can catch up on what they missed.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `since` - Last sequence number seen (`0` for all retained changes)
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"seq" => seq, "changes" => changes}}` - Changes after `since`,
+      each `%{"seq" => seq, "key" => key, "value" => value, "timestamp" => timestamp}`
+      (`"value"` is nil for deletions)
+    * `{:error, :log_trimmed}` - The log no longer reaches back to `since`;
+      fetch the full state with `get_state/3` instead
+    * `{:error, reason}` - Failed to get the changes
+  """
+  @spec get_changes(object_id(), non_neg_integer(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_changes(object_id, since, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :get_changes},
+      fn ->
+        Logger.debug("Getting changes for Durable Object: #{object_id} since #{since}")
+        
+        path = "#{object_path(object_id, opts)}/changes?since=#{since}"
+        result = make_request(worker_url, path, :get, "", opts)
+        {result, %{object_id: object_id, operation: :get_changes}}
+      end
+    )
+  end
+
+  @doc """
+  Gets the rate limits configured on the worker (`RATE_LIMITS`) and a Durable
+  Object's counters: requests allowed, requests limited per scope, and the
+  current level of each token bucket.
+  
+  Requests over a limit fail with `{:error, :rate_limited}`. Pass `:client_id`
+  to any request to count it against one of your users rather than the
+  connecting IP address.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"enabled" => enabled, "allowed" => allowed, "limited" => limited, "buckets" => buckets}}`
+    * `{:error, reason}` - Failed to get the counters
+  """
+  @spec get_rate_limits(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_rate_limits(object_id, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :get_rate_limits},
+      fn ->
+        Logger.debug("Getting rate limits for Durable Object: #{object_id}")
+        
+        result = make_request(worker_url, "#{object_path(object_id, opts)}/admin/rate-limits", :get, "", opts)
+        {result, %{object_id: object_id, operation: :get_rate_limits}}
+      end
+    )
+  end
+
+  @doc """
+  Gets a Durable Object's metrics: requests by method, route and status with
+  latency histograms, storage operation counts, WebSocket sessions and
+  broadcast fan-out. The counters live in the object's memory and restart
+  from zero when it is evicted.
+  
+  JSON metrics are also emitted as a `[:cloudflare_durable, :object, :metrics]`
+  telemetry event, with the totals `:requests`, `:sessions`,
+  `:storage_operations` and `:broadcast_messages` as measurements and
+  `:object_id` and the full `:metrics` as metadata. Calling this function
+  periodically, e.g. from `:telemetry_poller`, feeds those into your metrics
+  reporters.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:format` - `:json` (default) or `:prometheus` for the Prometheus text format
+  
+  ## Returns
+    * `{:ok, metrics}` - The decoded JSON metrics
+    * `{:ok, text}` - The Prometheus text, with `format: :prometheus`
+    * `{:error, reason}` - Failed to get the metrics
+  """
+  @spec get_metrics(object_id(), keyword()) :: {:ok, map() | String.t()} | {:error, error_reason()}
+  def get_metrics(object_id, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :get_metrics},
+      fn ->
+        Logger.debug("Getting metrics for Durable Object: #{object_id}")
+        
+        path = "#{object_path(object_id, opts)}/metrics"
+        
+        result =
+          case Keyword.get(opts, :format, :json) do
+            :prometheus ->
+              make_request(worker_url, "#{path}?format=prometheus", :get, "", opts, :text)
+            
+            :json ->
+              with {:ok, metrics} <- make_request(worker_url, path, :get, "", opts) do
+                :telemetry.execute(
+                  [:cloudflare_durable, :object, :metrics],
+                  metric_totals(metrics),
+                  %{object_id: object_id, metrics: metrics}
+                )
+                
+                {:ok, metrics}
+              end
+          end
+        
+        {result, %{object_id: object_id, operation: :get_metrics}}
+      end
+    )
+  end
+
+  @doc """
+  Gets the state schema of a Durable Object, as set by `initialize/3`.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"schema" => schema}}` - The schema, `nil` when the object has none
+    * `{:error, reason}` - Failed to get the schema
+  """
+  @spec get_schema(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_schema(object_id, opts \\ []) do
+    object_request(object_id, :get, "/schema", "", :get_schema, opts)
+  end
+
+  @doc """
+  Exports all keys of a Durable Object as NDJSON.
+  
+  The export is a metadata line followed by one
+  `{"type": "entry", "key": ..., "value": ..., "version": ...}` line per key.
+  The worker streams it a page of storage at a time, so keys written while it
+  runs may appear with their old or their new value.
+  It can be written to a file as a backup and restored with `import_state/3`,
+  into the same or another object.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to export
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, ndjson}` - The export as a binary
+    * `{:error, reason}` - Failed to export
+  """
+  @spec export_state(object_id(), keyword()) :: {:ok, binary()} | {:error, error_reason()}
+  def export_state(object_id, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :export_state},
+      fn ->
+        Logger.debug("Exporting state of Durable Object: #{object_id}")
+        
+        result = make_request(worker_url, "#{object_path(object_id, opts)}/export", :get, "", opts, :ndjson)
+        {result, %{object_id: object_id, operation: :export_state}}
+      end
+    )
+  end
+
+  @doc """
+  Restores an export into a Durable Object, in a single transaction.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to import into
+    * `export` - NDJSON from `export_state/2`, or a list of entry maps
+      (`%{key: key, value: value}`, optionally with `:version`)
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:mode` - `:merge` (default) writes the exported keys over the current
+        state; `:replace` deletes every existing key first. Either way each
+        key's version becomes the greater of its exported version and one past
+        its current version, so versions never go back
+  
+  ## Returns
+    * `{:ok, %{"imported" => count, "deleted" => count}}` - Import applied
+    * `{:error, :invalid_request}` - The export is malformed; nothing was written
+    * `{:error, reason}` - Failed to import
+  """
+  @spec import_state(object_id(), binary() | [map()], keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def import_state(object_id, export, opts \\ [])
+  
+  def import_state(object_id, entries, opts) when is_list(entries) do
+    export = Enum.map_join(entries, "\n", &Jason.encode!/1)
+    import_state(object_id, export, opts)
+  end
+  
+  def import_state(object_id, export, opts) when is_binary(export) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    mode = Keyword.get(opts, :mode, :merge)
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :import_state},
+      fn ->
+        Logger.debug("Importing state into Durable Object: #{object_id} (#{mode})")
+        
+        path = "#{object_path(object_id, opts)}/import?mode=#{mode}"
+        result = make_request(worker_url, path, :post, export, opts, :ndjson)
+        {result, %{object_id: object_id, operation: :import_state}}
+      end
+    )
+  end
+
   @doc """
   Updates the state of a Durable Object.
   
@@ -195,9 +579,20 @@ defmodule CloudflareDurable.Client do
     * `value` - Value to set
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:expected_version` - Only write if the key is currently at this version
+        (`0` means the key must not exist yet)
+      * `:ttl` - Expire the key after this many milliseconds
+      * `:expires_at` - Expire the key at this time (`DateTime` or ms timestamp)
+  
+  Expired keys are hidden immediately and deleted by the worker shortly after,
+  with a deletion update broadcast to WebSocket sessions, even when the
+  object's schema requires the key. Writing a key without `:ttl` or
+  `:expires_at` clears its expiry.
   
   ## Returns
-    * `{:ok, response}` - Successfully updated state
+    * `{:ok, response}` - Successfully updated state; `response["version"]` is the new version
+    * `{:error, :conflict}` - The key is not at `:expected_version`
     * `{:error, reason}` - Failed to update state
   """
   @spec update_state(object_id(), String.t(), any(), keyword()) :: {:ok, map()} | {:error, error_reason()}
@@ -210,15 +605,108 @@ defmodule CloudflareDurable.Client do
       fn ->
         Logger.debug("Updating state for Durable Object: #{object_id}, key: #{key}")
         
-        path = "/object/#{object_id}/state/#{key}"
-        body = Jason.encode!(%{value: value})
+        path = "#{object_path(object_id, opts)}/state/#{encode_segment(key)}"
+        body =
+          %{value: value}
+          |> put_present(:expectedVersion, Keyword.get(opts, :expected_version))
+          |> Map.merge(Map.new(expiry(opts)))
+          |> Jason.encode!()
         
-        result = make_request(worker_url, path, :put, body)
+        result = make_request(worker_url, path, :put, body, opts)
         {result, %{object_id: object_id, operation: :update_state, key: key}}
       end
     )
   end
 
+  @doc """
+  Uploads a value too large to comfortably build in memory as a map.
+  
+  The worker stores values larger than a single storage entry in chunks and
+  rejects values over its `MAX_VALUE_BYTES` limit (32 MiB by default).
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to update
+    * `key` - Key to update
+    * `source` - `{:file, path}` for a file holding the value as JSON,
+      `{:json, iodata}` for an already encoded value, or any other term to encode
+    * `opts` - The same options as `update_state/4`
+  
+  ## Returns
+    * `{:ok, response}` - Successfully stored; `response["version"]` is the new version
+    * `{:error, :payload_too_large}` - The value is over the worker's limit
+    * `{:error, reason}` - Failed to store the value
+  """
+  @spec upload_value(object_id(), String.t(), {:file, Path.t()} | {:json, iodata()} | any(), keyword()) ::
+          {:ok, map()} | {:error, error_reason()}
+  def upload_value(object_id, key, source, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :upload_value, key: key},
+      fn ->
+        Logger.debug("Uploading value for Durable Object: #{object_id}, key: #{key}")
+        
+        result =
+          with {:ok, json} <- source_json(source) do
+            fields =
+              %{}
+              |> put_present(:expectedVersion, Keyword.get(opts, :expected_version))
+              |> Map.merge(Map.new(expiry(opts)))
+              |> Enum.map(fn {field, value} -> [",", Jason.encode!(field), ":", Jason.encode!(value)] end)
+            
+            body = IO.iodata_to_binary([~s({"value":), json, fields, "}"])
+            make_request(worker_url, "#{object_path(object_id, opts)}/state/#{encode_segment(key)}", :put, body, opts)
+          end
+        
+        {result, %{object_id: object_id, operation: :upload_value, key: key}}
+      end
+    )
+  end
+
+  @doc """
+  Downloads the value of a key, however large.
+  
+  Large values are streamed by the worker; pass `:into` to write them
+  straight to a file or other collectable instead of decoding them.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `key` - Key to download
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:into` - Collectable receiving the value's JSON, e.g. `File.stream!(path)`
+  
+  ## Returns
+    * `{:ok, value}` - The decoded value
+    * `{:ok, collectable}` - The collectable given as `:into`, with the JSON written to it
+    * `{:error, :not_found}` - The key does not exist
+    * `{:error, reason}` - Failed to download the value
+  """
+  @spec download_value(object_id(), String.t(), keyword()) :: {:ok, any()} | {:error, error_reason()}
+  def download_value(object_id, key, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :download_value, key: key},
+      fn ->
+        Logger.debug("Downloading value for Durable Object: #{object_id}, key: #{key}")
+        
+        path = "#{object_path(object_id, opts)}/state/#{encode_segment(key)}?format=raw"
+        
+        result =
+          case Keyword.fetch(opts, :into) do
+            {:ok, collectable} -> stream_request(worker_url, path, collectable, opts)
+            :error -> make_request(worker_url, path, :get, "", opts)
+          end
+        
+        {result, %{object_id: object_id, operation: :download_value, key: key}}
+      end
+    )
+  end
+
   @doc """
   Deletes a key from a Durable Object's state.
   
@@ -227,9 +715,12 @@ defmodule CloudflareDurable.Client do
     * `key` - Key to delete
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:expected_version` - Only delete if the key is currently at this version
   
   ## Returns
     * `{:ok, response}` - Successfully deleted key
+    * `{:error, :conflict}` - The key is not at `:expected_version`
     * `{:error, reason}` - Failed to delete key
   """
   @spec delete_state(object_id(), String.t(), keyword()) :: {:ok, map()} | {:error, error_reason()}
@@ -242,105 +733,809 @@ defmodule CloudflareDurable.Client do
       fn ->
         Logger.debug("Deleting state for Durable Object: #{object_id}, key: #{key}")
         
-        path = "/object/#{object_id}/state/#{key}"
+        path =
+          case Keyword.fetch(opts, :expected_version) do
+            {:ok, version} -> "#{object_path(object_id, opts)}/state/#{encode_segment(key)}?expectedVersion=#{version}"
+            :error -> "#{object_path(object_id, opts)}/state/#{encode_segment(key)}"
+          end
         
-        result = make_request(worker_url, path, :delete, "")
+        result = make_request(worker_url, path, :delete, "", opts)
         {result, %{object_id: object_id, operation: :delete_state, key: key}}
       end
     )
   end
 
   @doc """
-  Gets a namespace object ID from a namespace and name.
+  Patches the value of a key in a Durable Object's state.
+  
+  A list is sent as a JSON Patch (RFC 6902), e.g.
+  `[%{op: "add", path: "/tags/-", value: "new"}]`; a map is sent as a JSON
+  merge patch (RFC 7396), where `nil` values remove fields. WebSocket sessions
+  receive the patch as a `"patch"` message rather than the whole value.
   
   ## Parameters
-    * `client` - Client module
-    * `namespace` - Durable Object namespace
-    * `name` - Name within the namespace
+    * `object_id` - ID of the Durable Object to update
+    * `key` - Key to patch
+    * `patch` - A list of JSON Patch operations or a merge patch map
     * `opts` - Optional parameters:
       * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:expected_version` - Only patch if the key is currently at this version
   
   ## Returns
-    * `{:ok, object_id}` - Successfully got object ID
-    * `{:error, reason}` - Failed to get object ID
+    * `{:ok, response}` - Successfully patched; `response["version"]` is the new version
+    * `{:error, :not_found}` - A JSON Patch targets a missing key
+    * `{:error, :conflict}` - The key is not at `:expected_version`
+    * `{:error, :patch_test_failed}` - A `"test"` operation failed
+    * `{:error, :patch_failed}` - An operation does not fit the stored value
+    * `{:error, reason}` - Failed to patch the key
   """
-  @spec get_namespace_object(t(), String.t(), String.t(), keyword()) :: {:ok, String.t()} | {:error, error_reason()}
-  def get_namespace_object(_client, namespace, name, opts \\ []) do
+  @spec patch_state(object_id(), String.t(), [map()] | map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def patch_state(object_id, key, patch, opts \\ []) when is_list(patch) or is_map(patch) do
     worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    format = if is_list(patch), do: :json_patch, else: :merge_patch
     
     :telemetry.span(
       [:cloudflare_durable, :request],
-      %{namespace: namespace, name: name, operation: :get_namespace_object},
+      %{object_id: object_id, operation: :patch_state, key: key},
       fn ->
-        Logger.debug("Getting namespace object ID for namespace: #{namespace}, name: #{name}")
+        Logger.debug("Patching state for Durable Object: #{object_id}, key: #{key}")
         
-        path = "/namespace/#{namespace}/id/#{name}"
+        path =
+          case Keyword.fetch(opts, :expected_version) do
+            {:ok, version} -> "#{object_path(object_id, opts)}/state/#{encode_segment(key)}?expectedVersion=#{version}"
+            :error -> "#{object_path(object_id, opts)}/state/#{encode_segment(key)}"
+          end
         
-        result = make_request(worker_url, path, :get, "")
-        {result, %{namespace: namespace, name: name, operation: :get_namespace_object}}
+        result = make_request(worker_url, path, :patch, Jason.encode!(patch), opts, format)
+        {result, %{object_id: object_id, operation: :patch_state, key: key}}
       end
     )
   end
 
+  @atomic_operations [:increment, :decrement, :append, :prepend, :add, :remove, :merge]
+
   @doc """
-  Establishes a WebSocket connection to a Durable Object.
+  Atomically updates a key of a Durable Object based on its current value.
+  
+  The worker applies the operation in a transaction and broadcasts the new
+  value to WebSocket sessions. A missing key starts out as `0`, `[]` or `%{}`.
+  
+  ## Operations and parameters
+    * `:increment` / `:decrement` - `:by` (default 1), optional numeric `:min`
+      and `:max` bounds, and `:clamp` to clamp to the bounds instead of failing
+    * `:append` / `:prepend` - `:values` (a list) or `:value`, and an optional
+      `:max_length`; items at the other end are dropped to stay within it
+    * `:add` / `:remove` - `:values` or `:value`, treating the list as a set
+    * `:merge` - `:patch`, applied as a JSON merge patch (RFC 7396); `nil`
+      values remove fields
   
   ## Parameters
-    * `client` - Client module
-    * `object_id` - ID of the Durable Object to connect to
-    * `path` - Path to connect to
-    * `opts` - Connection options:
-      * `:subscriber` - PID to receive WebSocket messages
-      * `:auto_reconnect` - Whether to automatically reconnect on disconnect (default: true)
-      * `:backoff_initial` - Initial backoff time in ms (default: 500)
-      * `:backoff_max` - Maximum backoff time in ms (default: 30000)
+    * `object_id` - ID of the Durable Object to update
+    * `key` - Key to update
+    * `operation` - One of the operations above
+    * `params` - Map of parameters for the operation
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
   
   ## Returns
-    * `{:ok, pid}` - Successfully established WebSocket connection
-    * `{:error, reason}` - Failed to establish WebSocket connection
+    * `{:ok, %{"value" => value, "version" => version}}` - The key's new value
+    * `{:error, :out_of_bounds}` - An increment or decrement would leave the bounds
+    * `{:error, :type_mismatch}` - The key holds a value of the wrong type
+    * `{:error, reason}` - Failed to apply the operation
   """
-  @spec websocket_connect(t(), String.t(), String.t(), keyword()) :: {:ok, pid()} | {:error, error_reason()}
-  def websocket_connect(_client, object_id, path, opts \\ []) do
+  @spec atomic(object_id(), String.t(), atom(), map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def atomic(object_id, key, operation, params \\ %{}, opts \\ [])
+  
+  def atomic(object_id, key, operation, params, opts) when operation in @atomic_operations and is_map(params) do
     worker_url = Keyword.get(opts, :worker_url, default_worker_url())
     
-    # Replace http/https with ws/wss
-    ws_url = String.replace(worker_url, ~r/^http(s?):\/\//, "ws\\1://")
-    ws_url = "#{ws_url}/object/#{object_id}/websocket#{path}"
-    
-    connection_opts = [
-      url: ws_url,
-      auto_reconnect: Keyword.get(opts, :auto_reconnect, true),
-      backoff_initial: Keyword.get(opts, :backoff_initial, 500),
-      backoff_max: Keyword.get(opts, :backoff_max, 30000),
-      subscriber: Keyword.get(opts, :subscriber)
-    ]
-    
-    Logger.debug("Connecting to WebSocket for Durable Object: #{object_id}, path: #{path}")
-    CloudflareDurable.WebSocket.Supervisor.start_connection(object_id, connection_opts)
-  end
-
-  # Private functions
-
-  defp default_worker_url do
-    Application.get_env(:cloudflare_durable, :worker_url) ||
-      raise "Cloudflare Worker URL not configured. Set :worker_url in your application's configuration."
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: operation, key: key},
+      fn ->
+        Logger.debug("Applying #{operation} to Durable Object: #{object_id}, key: #{key}")
+        
+        path = "#{object_path(object_id, opts)}/state/#{encode_segment(key)}/#{operation}"
+        body =
+          case Map.pop(params, :max_length) do
+            {nil, params} -> params
+            {max_length, params} -> Map.put(params, :maxLength, max_length)
+          end
+        
+        result = make_request(worker_url, path, :post, Jason.encode!(body), opts)
+        {result, %{object_id: object_id, operation: operation, key: key}}
+      end
+    )
   end
+  
+  def atomic(_object_id, _key, _operation, _params, _opts), do: {:error, :invalid_operation}
 
-  defp make_request(base_url, path, method, body) do
-    url = "#{base_url}#{path}"
-    
-    request =
-      case method do
-        :get -> Finch.build(:get, url)
-        :post -> Finch.build(:post, url, [{"content-type", "application/json"}], body)
-        :put -> Finch.build(:put, url, [{"content-type", "application/json"}], body)
-        :delete -> Finch.build(:delete, url)
+  @doc """
+  Gets the text and revision of a collaborative text document.
+  
+  Documents are served by the reference worker's `TextDocument` class, bound
+  to its own namespace; see `CloudflareDurable.TextOperation`.
+  
+  ## Parameters
+    * `object_id` - ID of the document
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Namespace the `TextDocument` class is bound to
+  
+  ## Returns
+    * `{:ok, %{"text" => text, "revision" => revision}}` - The current document
+    * `{:error, reason}` - Failed to get the document
+  """
+  @spec get_document(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_document(object_id, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :get_document},
+      fn ->
+        Logger.debug("Getting document: #{object_id}")
+        
+        result = make_request(worker_url, "#{object_path(object_id, opts)}/document", :get, "", opts)
+        {result, %{object_id: object_id, operation: :get_document}}
+      end
+    )
+  end
+
+  @doc """
+  Gets the edits committed to a text document after a revision, for catching
+  up after a disconnect.
+  
+  ## Parameters
+    * `object_id` - ID of the document
+    * `since` - Last revision seen
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Namespace the `TextDocument` class is bound to
+  
+  ## Returns
+    * `{:ok, %{"revision" => revision, "edits" => edits}}` - Edits after `since`,
+      each `%{"revision" => revision, "ops" => ops, "sessionId" => session_id}`
+    * `{:error, :revision_too_old}` - The edits are no longer kept; reload the
+      document with `get_document/2`
+    * `{:error, reason}` - Failed to get the edits
+  """
+  @spec get_document_edits(object_id(), non_neg_integer(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_document_edits(object_id, since, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :get_document_edits},
+      fn ->
+        Logger.debug("Getting edits for document: #{object_id} since #{since}")
+        
+        path = "#{object_path(object_id, opts)}/document/edits?since=#{since}"
+        result = make_request(worker_url, path, :get, "", opts)
+        {result, %{object_id: object_id, operation: :get_document_edits}}
+      end
+    )
+  end
+
+  @doc """
+  Submits an edit to a text document.
+  
+  The worker transforms the operations over any edits committed after
+  `revision`, applies them as the next revision and sends them to the
+  document's WebSocket sessions. See `CloudflareDurable.TextOperation` for the
+  operation format.
+  
+  ## Parameters
+    * `object_id` - ID of the document
+    * `revision` - Revision the edit was made against
+    * `ops` - List of insert and delete operations
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Namespace the `TextDocument` class is bound to
+  
+  ## Returns
+    * `{:ok, %{"revision" => revision, "ops" => ops}}` - The committed revision
+      and the operations as transformed and applied
+    * `{:error, :revision_too_old}` - Edits since `revision` are no longer kept
+    * `{:error, :out_of_range}` - An operation falls outside the text
+    * `{:error, reason}` - Failed to apply the edit
+  """
+  @spec edit_document(object_id(), non_neg_integer(), [map()], keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def edit_document(object_id, revision, ops, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: :edit_document},
+      fn ->
+        Logger.debug("Editing document: #{object_id} at revision #{revision}")
+        
+        path = "#{object_path(object_id, opts)}/document/edits"
+        body = Jason.encode!(%{revision: revision, ops: ops})
+        result = make_request(worker_url, path, :post, body, opts)
+        {result, %{object_id: object_id, operation: :edit_document}}
+      end
+    )
+  end
+
+  @doc """
+  Applies a list of state operations to a Durable Object in a single transaction.
+  
+  Operations run in order. Each operation is a map with an `:op` of `"get"`,
+  `"put"`, `"delete"` or `"cas"` (compare-and-set) and a `:key`; `"put"` and
+  `"cas"` also take a `:value`, and `"cas"` an `:expected` value (`nil` when the
+  key must not exist yet). A failed compare-and-set rolls back the whole batch.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object to update
+    * `operations` - List of operations to apply
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"results" => results}}` - All operations applied, with one result per operation
+    * `{:error, :conflict}` - A compare-and-set failed and nothing was applied
+    * `{:error, reason}` - Failed to apply the batch
+  """
+  @spec batch(object_id(), [map()], keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def batch(object_id, operations, opts \\ []) do
+    cond do
+      is_nil(object_id) or not is_binary(object_id) ->
+        {:error, :invalid_object_id}
+      
+      not is_list(operations) ->
+        {:error, :invalid_operations}
+      
+      true ->
+        worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+        
+        :telemetry.span(
+          [:cloudflare_durable, :request],
+          %{object_id: object_id, operation: :batch},
+          fn ->
+            Logger.debug("Applying batch of #{length(operations)} operations to Durable Object: #{object_id}")
+            
+            path = "#{object_path(object_id, opts)}/batch"
+            body = Jason.encode!(%{operations: operations})
+            
+            result = make_request(worker_url, path, :post, body, opts)
+            {result, %{object_id: object_id, operation: :batch}}
+          end
+        )
+    end
+  end
+
+  @doc """
+  Schedules a method to be called on a Durable Object by its alarm.
+  
+  The job is persisted in the Durable Object and retried with exponential
+  backoff if the method fails. Job results are broadcast to connected
+  WebSocket sessions as `"job"` messages.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `method` - Method to call
+    * `params` - Parameters to pass to the method
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:at` - When to run the method, as a `DateTime` or Unix time in milliseconds
+      * `:delay` - Milliseconds from now to run the method (default: 0, ignored if `:at` is given)
+      * `:max_retries` - How often to retry a failing call, at most 10 (default: 3)
+      * `:retry_delay` - Initial retry backoff in ms, at most one hour (default: 1000)
+  
+  ## Returns
+    * `{:ok, %{"job" => job}}` - Successfully scheduled the call
+    * `{:error, reason}` - Failed to schedule the call
+  """
+  @spec schedule_method(object_id(), method_name(), map(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def schedule_method(object_id, method, params, opts \\ []) do
+    cond do
+      is_nil(object_id) or not is_binary(object_id) ->
+        {:error, :invalid_object_id}
+      
+      is_nil(method) or not is_binary(method) ->
+        {:error, :invalid_method_name}
+      
+      is_nil(params) or not is_map(params) ->
+        {:error, :invalid_params}
+      
+      true ->
+        worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+        
+        :telemetry.span(
+          [:cloudflare_durable, :request],
+          %{object_id: object_id, method: method, operation: :schedule_method},
+          fn ->
+            Logger.debug("Scheduling method #{method} on Durable Object: #{object_id}")
+            
+            path = "#{object_path(object_id, opts)}/alarm/jobs"
+            
+            body =
+              schedule_time(opts)
+              |> Map.merge(%{method: method, params: params})
+              |> put_present(:maxRetries, Keyword.get(opts, :max_retries))
+              |> put_present(:retryDelay, Keyword.get(opts, :retry_delay))
+              |> Jason.encode!()
+            
+            result = make_request(worker_url, path, :post, body, opts)
+            {result, %{object_id: object_id, method: method, operation: :schedule_method}}
+          end
+        )
+    end
+  end
+
+  @doc """
+  Cancels a method call scheduled with `schedule_method/4`.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `job_id` - ID of the scheduled job
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, response}` - Successfully cancelled the job
+    * `{:error, :not_found}` - No such job (it may already have run)
+    * `{:error, reason}` - Failed to cancel the job
+  """
+  @spec cancel_job(object_id(), String.t(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def cancel_job(object_id, job_id, opts \\ []) do
+    object_request(object_id, :delete, "/alarm/jobs/#{encode_segment(job_id)}", "", :cancel_job, opts)
+  end
+
+  @doc """
+  Sets a plain wake-up alarm on a Durable Object.
+  
+  When the alarm fires, connected WebSocket sessions receive an `"alarm"` message.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `time` - When to fire, as a `DateTime` or Unix time in milliseconds
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, alarm}` - Successfully set the alarm
+    * `{:error, reason}` - Failed to set the alarm
+  """
+  @spec set_alarm(object_id(), DateTime.t() | integer(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def set_alarm(object_id, time, opts \\ []) do
+    body = Jason.encode!(schedule_time(at: time))
+    object_request(object_id, :put, "/alarm", body, :set_alarm, opts)
+  end
+
+  @doc """
+  Gets the alarm of a Durable Object: its next scheduled time, the plain
+  wake-up time (if any) and all pending scheduled jobs.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"scheduledTime" => time, "wakeUp" => time, "jobs" => jobs}}` - The alarm state
+    * `{:error, reason}` - Failed to get the alarm
+  """
+  @spec get_alarm(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_alarm(object_id, opts \\ []) do
+    object_request(object_id, :get, "/alarm", "", :get_alarm, opts)
+  end
+
+  @doc """
+  Cancels the wake-up alarm and all scheduled jobs of a Durable Object.
+  
+  Key expiry keeps running: the object's alarm is rescheduled for its next
+  expiring key, if any.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"cancelled" => count}}` - Successfully cancelled the alarm
+    * `{:error, reason}` - Failed to cancel the alarm
+  """
+  @spec cancel_alarm(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def cancel_alarm(object_id, opts \\ []) do
+    object_request(object_id, :delete, "/alarm", "", :cancel_alarm, opts)
+  end
+
+  @doc """
+  Lists the WebSocket sessions connected to a Durable Object, with their
+  session ID, path, client, connection time and subscriptions.
+  
+  Admin routes need the worker's own credentials; scoped tokens cannot reach them,
+  and a worker without `AUTH_SECRET` or `AUTH_SIGNING_SECRET` refuses them with
+  `{:error, :admin_disabled}`.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"count" => count, "sessions" => sessions}}` - The connected sessions
+    * `{:error, reason}` - Failed to list the sessions
+  """
+  @spec list_sessions(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def list_sessions(object_id, opts \\ []) do
+    object_request(object_id, :get, "/admin/sessions", "", :list_sessions, opts)
+  end
+
+  @doc """
+  Disconnects a WebSocket session from a Durable Object, closing it with
+  code 4000.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `session_id` - ID of the session, as listed by `list_sessions/2`
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:reason` - Reason sent in the close frame (at most 40 characters)
+  
+  ## Returns
+    * `{:ok, response}` - Successfully disconnected the session
+    * `{:error, :not_found}` - No such session
+    * `{:error, reason}` - Failed to disconnect the session
+  """
+  @spec disconnect_session(object_id(), String.t(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def disconnect_session(object_id, session_id, opts \\ []) do
+    route =
+      case Keyword.get(opts, :reason) do
+        nil -> "/admin/sessions/#{encode_segment(session_id)}"
+        reason -> "/admin/sessions/#{encode_segment(session_id)}?#{URI.encode_query(reason: reason)}"
+      end
+    
+    object_request(object_id, :delete, route, "", :disconnect_session, opts)
+  end
+
+  @doc """
+  Gets the number of keys a Durable Object stores and their approximate size.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"keys" => keys, "internalKeys" => internal_keys, "bytes" => bytes}}` -
+      User keys, the worker's bookkeeping keys, and the size of both as JSON
+    * `{:error, reason}` - Failed to get the statistics
+  """
+  @spec get_storage_stats(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_storage_stats(object_id, opts \\ []) do
+    object_request(object_id, :get, "/admin/storage", "", :get_storage_stats, opts)
+  end
+
+  @doc """
+  Gets everything pending on a Durable Object's alarm: the alarm as returned
+  by `get_alarm/2`, plus the number of keys with a TTL and the next to expire.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"scheduledTime" => time, "jobs" => jobs, "expiries" => %{"count" => count, "next" => next}}}`
+    * `{:error, reason}` - Failed to get the alarms
+  """
+  @spec get_pending_alarms(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def get_pending_alarms(object_id, opts \\ []) do
+    object_request(object_id, :get, "/admin/alarms", "", :get_pending_alarms, opts)
+  end
+
+  @doc """
+  Requests a token for `wipe_object/3`, valid for one minute.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Returns
+    * `{:ok, %{"token" => token, "expiresAt" => expires_at}}` - The confirmation token
+    * `{:error, reason}` - Failed to get a token
+  """
+  @spec wipe_token(object_id(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def wipe_token(object_id, opts \\ []) do
+    object_request(object_id, :post, "/admin/wipe-token", "", :wipe_token, opts)
+  end
+
+  @doc """
+  Deletes everything a Durable Object stores, cancels its alarm and closes
+  its WebSocket sessions.
+  
+  ## Parameters
+    * `object_id` - ID of the Durable Object
+    * `token` - Confirmation token from `wipe_token/2`
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+  
+  ## Examples
+  
+      {:ok, %{"token" => token}} = CloudflareDurable.Client.wipe_token("room-1")
+      {:ok, %{"sessions" => closed}} = CloudflareDurable.Client.wipe_object("room-1", token)
+  
+  ## Returns
+    * `{:ok, %{"sessions" => count}}` - Wiped, closing `count` sessions
+    * `{:error, :invalid_confirmation}` - The token is wrong, used or expired
+    * `{:error, reason}` - Failed to wipe the object
+  """
+  @spec wipe_object(object_id(), String.t(), keyword()) :: {:ok, map()} | {:error, error_reason()}
+  def wipe_object(object_id, token, opts \\ []) do
+    object_request(object_id, :post, "/admin/wipe", Jason.encode!(%{confirm: token}), :wipe_object, opts)
+  end
+
+  @doc """
+  Gets a namespace object ID from a namespace and name.
+  
+  ## Parameters
+    * `client` - Client module
+    * `namespace` - Durable Object namespace
+    * `name` - Name within the namespace
+    * `opts` - Optional parameters:
+      * `:worker_url` - Override the default worker URL
+      * `:id_type` - How `name` is resolved: `:name` (default, `idFromName`),
+        `:string` (`idFromString`, validates an existing hex ID) or `:unique`
+        (`newUniqueId`, `name` is ignored)
+  
+  ## Returns
+    * `{:ok, object_id}` - Successfully got the canonical hex object ID
+    * `{:error, reason}` - Failed to get object ID
+  
+  Object IDs passed to the other functions are names; to address an object by
+  the returned hex ID, prefix it with `"id:"`, e.g. `"id:" <> object_id`.
+  """
+  @spec get_namespace_object(t(), String.t(), String.t(), keyword()) :: {:ok, String.t()} | {:error, error_reason()}
+  def get_namespace_object(_client, namespace, name, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{namespace: namespace, name: name, operation: :get_namespace_object},
+      fn ->
+        Logger.debug("Getting namespace object ID for namespace: #{namespace}, name: #{name}")
+        
+        path =
+          case Keyword.get(opts, :id_type, :name) do
+            :name -> "/namespace/#{encode_segment(namespace)}/id/#{encode_segment(name)}"
+            :string -> "/namespace/#{encode_segment(namespace)}/id/#{encode_segment(name)}?type=string"
+            :unique -> "/namespace/#{encode_segment(namespace)}/id"
+          end
+        
+        result =
+          case make_request(worker_url, path, :get, "", opts) do
+            {:ok, %{"id" => id}} -> {:ok, id}
+            {:ok, _} -> {:error, :invalid_response}
+            error -> error
+          end
+        
+        {result, %{namespace: namespace, name: name, operation: :get_namespace_object}}
       end
+    )
+  end
+
+  @doc """
+  Establishes a WebSocket connection to a Durable Object.
+  
+  ## Parameters
+    * `client` - Client module
+    * `object_id` - ID of the Durable Object to connect to
+    * `path` - Path to connect to
+    * `opts` - Connection options:
+      * `:namespace` - Durable Object namespace to target (default: the worker's default binding)
+      * `:subscriber` - PID to receive WebSocket messages
+      * `:auto_reconnect` - Whether to automatically reconnect on disconnect (default: true)
+      * `:backoff_initial` - Initial backoff time in ms (default: 500)
+      * `:backoff_max` - Maximum backoff time in ms (default: 30000)
+      * `:keys` - Only receive state and updates for these keys
+      * `:prefixes` - Only receive state and updates for keys with these prefixes
+  
+  ## Returns
+    * `{:ok, pid}` - Successfully established WebSocket connection
+    * `{:error, reason}` - Failed to establish WebSocket connection
+  """
+  @spec websocket_connect(t(), String.t(), String.t(), keyword()) :: {:ok, pid()} | {:error, error_reason()}
+  def websocket_connect(_client, object_id, path, opts \\ []) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
     
-    Logger.debug("Making #{method} request to #{url}")
-    if body != "", do: Logger.debug("Request body: #{body}")
+    # Replace http/https with ws/wss
+    ws_url = String.replace(worker_url, ~r/^http(s?):\/\//, "ws\\1://")
+    ws_url = "#{ws_url}#{object_path(object_id, opts)}/websocket#{path}"
     
-    case Finch.request(request, CloudflareDurable.Finch) do
+    connection_opts = [
+      url: ws_url,
+      auto_reconnect: Keyword.get(opts, :auto_reconnect, true),
+      backoff_initial: Keyword.get(opts, :backoff_initial, 500),
+      backoff_max: Keyword.get(opts, :backoff_max, 30000),
+      subscriber: Keyword.get(opts, :subscriber),
+      auth: Keyword.take(opts, @auth_options)
+    ] ++ Keyword.take(opts, [:keys, :prefixes])
+    
+    Logger.debug("Connecting to WebSocket for Durable Object: #{object_id}, path: #{path}")
+    CloudflareDurable.WebSocket.Supervisor.start_connection(object_id, connection_opts)
+  end
+
+  # Private functions
+
+  defp default_worker_url do
+    Application.get_env(:cloudflare_durable, :worker_url) ||
+      raise "Cloudflare Worker URL not configured. Set :worker_url in your application's configuration."
+  end
+
+  defp namespace_prefix(opts) do
+    case Keyword.get(opts, :namespace) do
+      nil -> ""
+      namespace -> "/namespace/#{encode_segment(namespace)}"
+    end
+  end
+
+  # Attributes the request to one of the application's users for the
+  # worker's per-client rate limits
+  defp client_id_headers(opts) do
+    case Keyword.get(opts, :client_id) do
+      nil -> []
+      client_id -> [{"x-client-id", to_string(client_id)}]
+    end
+  end
+
+  # Ties the request to the worker's log entries and its X-Request-Id response
+  # header: the `:request_id` option, else the caller's Logger metadata (as set
+  # by Plug.RequestId), else a new ID
+  defp request_id(opts) do
+    Keyword.get_lazy(opts, :request_id, fn ->
+      case Logger.metadata()[:request_id] do
+        nil -> Base.url_encode64(:crypto.strong_rand_bytes(15), padding: false)
+        request_id -> to_string(request_id)
+      end
+    end)
+  end
+
+  # Percent-encodes everything but unreserved characters, so names, keys and
+  # IDs containing "/", "?", "#" or spaces stay a single path segment
+  defp encode_segment(segment) do
+    URI.encode(to_string(segment), &URI.char_unreserved?/1)
+  end
+
+  defp object_path(object_id, opts) do
+    "#{namespace_prefix(opts)}/object/#{encode_segment(object_id)}"
+  end
+
+  defp object_request(object_id, method, route, body, operation, opts) do
+    worker_url = Keyword.get(opts, :worker_url, default_worker_url())
+    
+    :telemetry.span(
+      [:cloudflare_durable, :request],
+      %{object_id: object_id, operation: operation},
+      fn ->
+        Logger.debug("#{operation} for Durable Object: #{object_id}")
+        
+        result = make_request(worker_url, "#{object_path(object_id, opts)}#{route}", method, body, opts)
+        {result, %{object_id: object_id, operation: operation}}
+      end
+    )
+  end
+
+  defp schedule_time(opts) do
+    case Keyword.get(opts, :at) do
+      %DateTime{} = at -> %{at: DateTime.to_iso8601(at)}
+      at when is_integer(at) -> %{at: at}
+      nil -> %{delay: Keyword.get(opts, :delay, 0)}
+    end
+  end
+
+  defp expiry(opts) do
+    case {Keyword.get(opts, :ttl), Keyword.get(opts, :expires_at)} do
+      {nil, %DateTime{} = at} -> [expiresAt: DateTime.to_iso8601(at)]
+      {nil, at} when is_integer(at) -> [expiresAt: at]
+      {ttl, _} when is_integer(ttl) -> [ttl: ttl]
+      _ -> []
+    end
+  end
+
+  defp metric_totals(metrics) do
+    %{
+      requests: metrics |> Map.get("requests", []) |> Enum.map(& &1["count"]) |> Enum.sum(),
+      sessions: get_in(metrics, ["sessions", "active"]) || 0,
+      storage_operations: metrics |> Map.get("storage", %{}) |> Map.values() |> Enum.sum(),
+      broadcast_messages: get_in(metrics, ["broadcasts", "messages"]) || 0
+    }
+  end
+
+  defp put_present(map, _key, nil), do: map
+  defp put_present(map, key, value), do: Map.put(map, key, value)
+
+  defp source_json({:file, path}) do
+    case File.read(path) do
+      {:ok, json} -> {:ok, json}
+      {:error, reason} -> {:error, {:file_error, reason}}
+    end
+  end
+
+  defp source_json({:json, json}), do: {:ok, json}
+  defp source_json(value), do: Jason.encode(value)
+
+  @list_options [:prefix, :start, :end, :limit, :reverse, :cursor, :format]
+
+  defp list_query(opts) do
+    opts
+    |> Keyword.take(@list_options)
+    |> Enum.reject(fn {_option, value} -> is_nil(value) end)
+    |> URI.encode_query()
+  end
+
+  # The path and query string the worker sees, which request signatures cover
+  defp signed_path(url) do
+    uri = URI.parse(url)
+    if uri.query, do: "#{uri.path}?#{uri.query}", else: uri.path
+  end
+
+  # `format` is :json, :ndjson for bodies sent and received as raw NDJSON, or
+  # :text for plain text responses
+  @content_types %{
+    json: "application/json",
+    ndjson: "application/x-ndjson",
+    text: "text/plain",
+    json_patch: "application/json-patch+json",
+    merge_patch: "application/merge-patch+json"
+  }
+  
+  # Larger request bodies, such as uploaded values, are logged by size only
+  @max_logged_body 4096
+  
+  # Responses worth retrying: rate limiting and a worker or object that is
+  # briefly unavailable
+  @retry_statuses [429, 502, 503, 504]
+  
+  defp make_request(base_url, path, method, body, opts, format \\ :json) do
+    url = "#{base_url}#{path}"
+    request_id = request_id(opts)
+    
+    retry_count = config(:retry_count, opts, 0)
+    
+    auth_headers =
+      CloudflareDurable.Auth.headers(method, signed_path(url), body, opts) ++
+        client_id_headers(opts) ++ [{"x-request-id", request_id}] ++ idempotency_headers(method, retry_count, opts)
+    
+    content_type = Map.fetch!(@content_types, format)
+    
+    request =
+      case method do
+        :get -> Finch.build(:get, url, auth_headers)
+        :post -> Finch.build(:post, url, [{"content-type", content_type} | auth_headers], body)
+        :put -> Finch.build(:put, url, [{"content-type", content_type} | auth_headers], body)
+        :patch -> Finch.build(:patch, url, [{"content-type", content_type} | auth_headers], body)
+        :delete -> Finch.build(:delete, url, auth_headers)
+      end
+    
+    Logger.debug("Making #{method} request to #{url} (request #{request_id})")
+    cond do
+      body == "" or format == :ndjson -> :ok
+      byte_size(body) > @max_logged_body -> Logger.debug("Request body: #{byte_size(body)} bytes")
+      true -> Logger.debug("Request body: #{body}")
+    end
+    
+    case request_with_retries(request, retry_count, config(:retry_delay, opts, 500), request_id) do
+      {:ok, %Finch.Response{status: status, body: response_body}} when status in 200..299 and format in [:ndjson, :text] and method == :get ->
+        {:ok, response_body}
+        
       {:ok, %Finch.Response{status: status, body: response_body}} when status in 200..299 ->
         case Jason.decode(response_body) do
           {:ok, decoded} -> {:ok, decoded}
@@ -351,18 +1546,12 @@ defmodule CloudflareDurable.Client do
         end
         
       {:ok, %Finch.Response{status: status, body: response_body}} ->
-        error_reason = case status do
-          400 -> :invalid_request
-          401 -> :unauthorized
-          404 -> :not_found
-          429 -> :rate_limited
-          500 -> :server_error
-          _ -> :http_error
-        end
+        code = error_code(response_body)
+        error_reason = error_reason(code, status)
         
-        Logger.error("HTTP error #{status}: #{response_body}")
-        :telemetry.execute([:cloudflare_durable, :error], %{count: 1}, %{reason: error_reason, status: status})
-        {:error, error_reason}
+        Logger.error("HTTP error #{status}#{if code, do: " (#{code})"} for request #{request_id}: #{response_body}")
+        :telemetry.execute([:cloudflare_durable, :error], %{count: 1}, %{reason: error_reason, status: status, code: code, request_id: request_id})
+        {:error, error_details(error_reason, response_body)}
         
       {:error, %Mint.TransportError{reason: reason}} ->
         Logger.error("Network error occurred during request: #{inspect(reason)}")
@@ -375,4 +1564,189 @@ defmodule CloudflareDurable.Client do
         error
     end
   end
-end 
\ No newline at end of file
+  
+  # Retries network errors and @retry_statuses responses with exponential
+  # backoff, waiting at least as long as a Retry-After header asks
+  defp request_with_retries(request, retries, delay, request_id) do
+    result = Finch.request(request, CloudflareDurable.Finch)
+    
+    case retry_wait(result) do
+      wait when is_integer(wait) and retries > 0 ->
+        wait = max(wait, delay)
+        Logger.warning("Retrying request #{request_id} in #{wait} ms (#{retries} retries left)")
+        :telemetry.execute([:cloudflare_durable, :retry], %{count: 1, delay: wait}, %{request_id: request_id})
+        Process.sleep(wait)
+        request_with_retries(request, retries - 1, delay * 2, request_id)
+        
+      _ ->
+        result
+    end
+  end
+  
+  # How long a failed attempt asks to wait before retrying (in ms), or nil
+  # when it should not be retried
+  defp retry_wait({:ok, %Finch.Response{status: status, headers: headers}}) when status in @retry_statuses do
+    with {_, value} <- List.keyfind(headers, "retry-after", 0),
+         {seconds, ""} <- Integer.parse(value) do
+      seconds * 1000
+    else
+      _ -> 0
+    end
+  end
+  
+  defp retry_wait({:error, %Mint.TransportError{}}), do: 0
+  defp retry_wait(_result), do: nil
+  
+  # Writes that may be retried carry a key the worker deduplicates them by
+  defp idempotency_headers(method, retry_count, opts) do
+    case Keyword.get(opts, :idempotency_key) do
+      nil when method != :get and retry_count > 0 -> [{"idempotency-key", generate_idempotency_key()}]
+      nil -> []
+      key -> [{"idempotency-key", to_string(key)}]
+    end
+  end
+  
+  defp generate_idempotency_key do
+    Base.url_encode64(:crypto.strong_rand_bytes(18), padding: false)
+  end
+  
+  defp config(key, opts, default) do
+    Keyword.get_lazy(opts, key, fn -> Application.get_env(:cloudflare_durable, key, default) end)
+  end
+  
+  # Streams a successful GET response body into `collectable`; error bodies
+  # are buffered and reported like make_request/6 does
+  defp stream_request(base_url, path, collectable, opts) do
+    url = "#{base_url}#{path}"
+    request_id = request_id(opts)
+    
+    headers =
+      CloudflareDurable.Auth.headers(:get, signed_path(url), "", opts) ++
+        client_id_headers(opts) ++ [{"x-request-id", request_id}]
+    
+    request = Finch.build(:get, url, headers)
+    
+    Logger.debug("Streaming get request to #{url} (request #{request_id})")
+    
+    stream = fn
+      {:status, status}, _acc when status in 200..299 ->
+        {acc, collector} = Collectable.into(collectable)
+        {:collect, acc, collector}
+      
+      {:status, status}, _acc ->
+        {:error, status, []}
+      
+      {:data, data}, {:collect, acc, collector} ->
+        {:collect, collector.(acc, {:cont, data}), collector}
+      
+      {:data, data}, {:error, status, body} ->
+        {:error, status, [body | data]}
+      
+      _headers_or_trailers, acc ->
+        acc
+    end
+    
+    case Finch.stream(request, CloudflareDurable.Finch, nil, stream) do
+      {:ok, {:collect, acc, collector}} ->
+        {:ok, collector.(acc, :done)}
+        
+      {:ok, {:error, status, body}} ->
+        response_body = IO.iodata_to_binary(body)
+        code = error_code(response_body)
+        error_reason = error_reason(code, status)
+        
+        Logger.error("HTTP error #{status}#{if code, do: " (#{code})"} for request #{request_id}: #{response_body}")
+        :telemetry.execute([:cloudflare_durable, :error], %{count: 1}, %{reason: error_reason, status: status, code: code, request_id: request_id})
+        {:error, error_details(error_reason, response_body)}
+        
+      {:error, %Mint.TransportError{reason: reason}, acc} ->
+        halt_collector(acc)
+        Logger.error("Network error occurred during request: #{inspect(reason)}")
+        :telemetry.execute([:cloudflare_durable, :error], %{count: 1}, %{reason: :network_error})
+        {:error, :network_error}
+        
+      {:error, error, acc} ->
+        halt_collector(acc)
+        Logger.error("Unknown error occurred during request")
+        :telemetry.execute([:cloudflare_durable, :error], %{count: 1}, %{reason: :unknown_error})
+        {:error, error}
+    end
+  end
+  
+  defp halt_collector({:collect, acc, collector}), do: collector.(acc, :halt)
+  defp halt_collector(_acc), do: :ok
+  
+  # Error codes from the worker's `{"error": {"code": ...}}` envelope that map
+  # to a more specific reason than the status alone
+  @error_codes %{
+    "invalid_json" => :invalid_json,
+    "unsupported_media_type" => :unsupported_media_type,
+    "payload_too_large" => :payload_too_large,
+    "method_not_found" => :method_not_found,
+    "invalid_params" => :invalid_params,
+    "key_not_found" => :not_found,
+    "version_conflict" => :conflict,
+    "batch_conflict" => :conflict,
+    "precondition_failed" => :precondition_failed,
+    "log_trimmed" => :log_trimmed,
+    "invalid_import" => :invalid_request,
+    "out_of_bounds" => :out_of_bounds,
+    "type_mismatch" => :type_mismatch,
+    "unknown_operation" => :invalid_operation,
+    "invalid_patch" => :invalid_request,
+    "patch_failed" => :patch_failed,
+    "patch_test_failed" => :patch_test_failed,
+    "invalid_operation" => :invalid_operation,
+    "invalid_revision" => :invalid_request,
+    "revision_too_old" => :revision_too_old,
+    "operation_out_of_range" => :out_of_range,
+    "rate_limited" => :rate_limited,
+    "value_too_large" => :payload_too_large,
+    "invalid_value" => :invalid_request,
+    "session_not_found" => :not_found,
+    "invalid_confirmation" => :invalid_confirmation,
+    "schema_violation" => :schema_violation,
+    "invalid_schema" => :invalid_request,
+    "invalid_idempotency_key" => :invalid_request,
+    "idempotency_key_reused" => :idempotency_key_reused,
+    "already_initialized" => :already_initialized,
+    "admin_disabled" => :admin_disabled
+  }
+  
+  # Schema violations carry the worker's field-level errors
+  defp error_details(:schema_violation, body) do
+    case Jason.decode(body) do
+      {:ok, %{"error" => %{"details" => errors}}} when is_list(errors) -> {:schema_violation, errors}
+      _ -> :schema_violation
+    end
+  end
+
+  defp error_details(reason, _body), do: reason
+
+  defp error_code(body) do
+    case Jason.decode(body) do
+      {:ok, %{"error" => %{"code" => code}}} when is_binary(code) -> code
+      _ -> nil
+    end
+  end
+  
+  defp error_reason(code, status) do
+    Map.get_lazy(@error_codes, code, fn ->
+      case status do
+        400 -> :invalid_request
+        401 -> :unauthorized
+        403 -> :forbidden
+        404 -> :not_found
+        405 -> :method_not_allowed
+        409 -> :conflict
+        412 -> :precondition_failed
+        413 -> :payload_too_large
+        410 -> :gone
+        415 -> :unsupported_media_type
+        429 -> :rate_limited
+        500 -> :server_error
+        _ -> :http_error
+      end
+    end)
+  end
+end
@@ -0,0 +1,150 @@
+defmodule CloudflareDurable.TextOperation do
+  @moduledoc """
+  Text operations for documents served by the reference worker's
+  `TextDocument` Durable Object.
+
+  An edit is a list of operations, each applying to the text left by the one
+  before it:
+
+    * `%{"type" => "insert", "position" => position, "text" => text}`
+    * `%{"type" => "delete", "position" => position, "length" => length}`
+
+  Positions and lengths count Unicode code points.
+
+  The worker transforms every edit over the edits committed since its base
+  revision and sends the result to the other sessions as an `"edit"` message.
+  A client whose own edits have not been acknowledged yet must transform an
+  incoming edit over them before applying it, passing `:left` so that the
+  committed edit goes first on ties, and keep the rebased pending edits:
+
+      {incoming, pending} = TextOperation.transform(incoming, pending, :left)
+      {:ok, text} = TextOperation.apply_ops(text, incoming)
+
+  This mirrors the worker's transform, so every client converges on the same
+  text.
+  """
+
+  @type t :: %{required(String.t()) => String.t() | non_neg_integer()}
+  @type side :: :left | :right
+
+  @doc """
+  Builds an operation inserting `text` at `position`.
+  """
+  @spec insert(non_neg_integer(), String.t()) :: t()
+  def insert(position, text), do: %{"type" => "insert", "position" => position, "text" => text}
+
+  @doc """
+  Builds an operation deleting `length` code points at `position`.
+  """
+  @spec delete(non_neg_integer(), non_neg_integer()) :: t()
+  def delete(position, length), do: %{"type" => "delete", "position" => position, "length" => length}
+
+  @doc """
+  Applies operations to a text, in order.
+
+  ## Returns
+    * `{:ok, text}` - The resulting text
+    * `{:error, :out_of_range}` - An operation falls outside the text
+  """
+  @spec apply_ops(String.t(), [t()]) :: {:ok, String.t()} | {:error, :out_of_range}
+  def apply_ops(text, ops) do
+    result =
+      Enum.reduce_while(ops, {:ok, String.codepoints(text)}, fn op, {:ok, chars} ->
+        case apply_op(chars, op) do
+          {:ok, chars} -> {:cont, {:ok, chars}}
+          error -> {:halt, error}
+        end
+      end)
+
+    case result do
+      {:ok, chars} -> {:ok, Enum.join(chars)}
+      error -> error
+    end
+  end
+
+  @doc """
+  Transforms two operation lists made against the same text over each other.
+
+  Returns `{ops, others}`, where `ops` now applies after `others` and `others`
+  after `ops`. Inserts at the same position are ordered by `side`: `:left`
+  puts `ops` first, `:right` puts `others` first.
+  """
+  @spec transform([t()], [t()], side()) :: {[t()], [t()]}
+  def transform([op], [other], side) do
+    {transform_op(op, other, side), transform_op(other, op, flip(side))}
+  end
+
+  def transform(ops, others, side) do
+    Enum.flat_map_reduce(ops, others, fn op, remaining ->
+      Enum.reduce(remaining, {[op], []}, fn other, {parts, transformed} ->
+        {parts, other_parts} = transform(parts, [other], side)
+        {parts, transformed ++ other_parts}
+      end)
+    end)
+  end
+
+  defp apply_op(chars, %{"type" => "insert", "position" => position, "text" => text})
+       when position <= length(chars) do
+    {before, rest} = Enum.split(chars, position)
+    {:ok, before ++ String.codepoints(text) ++ rest}
+  end
+
+  defp apply_op(chars, %{"type" => "delete", "position" => position, "length" => len})
+       when position + len <= length(chars) do
+    {before, rest} = Enum.split(chars, position)
+    {:ok, before ++ Enum.drop(rest, len)}
+  end
+
+  defp apply_op(_chars, _op), do: {:error, :out_of_range}
+
+  defp transform_op(%{"type" => "insert"} = op, %{"type" => "insert"} = other, side) do
+    if other["position"] < op["position"] or (other["position"] == op["position"] and side == :right) do
+      [%{op | "position" => op["position"] + text_length(other["text"])}]
+    else
+      [op]
+    end
+  end
+
+  defp transform_op(%{"type" => "insert"} = op, %{"type" => "delete"} = other, _side) do
+    if op["position"] <= other["position"] do
+      [op]
+    else
+      [%{op | "position" => max(other["position"], op["position"] - other["length"])}]
+    end
+  end
+
+  # A delete spanning the insert's position is split around the inserted text
+  defp transform_op(%{"type" => "delete"} = op, %{"type" => "insert"} = other, _side) do
+    %{"position" => position, "length" => len} = op
+    end_position = position + len
+
+    cond do
+      other["position"] <= position ->
+        [%{op | "position" => position + text_length(other["text"])}]
+
+      other["position"] >= end_position ->
+        [op]
+
+      true ->
+        [
+          delete(position, other["position"] - position),
+          delete(position + text_length(other["text"]), end_position - other["position"])
+        ]
+    end
+  end
+
+  defp transform_op(%{"type" => "delete"} = op, %{"type" => "delete"} = other, _side) do
+    %{"position" => position, "length" => len} = op
+    %{"position" => other_position, "length" => other_len} = other
+
+    overlap = max(0, min(position + len, other_position + other_len) - max(position, other_position))
+    new_position = if position < other_position, do: position, else: max(other_position, position - other_len)
+
+    if len > overlap, do: [delete(new_position, len - overlap)], else: []
+  end
+
+  defp flip(:left), do: :right
+  defp flip(:right), do: :left
+
+  defp text_length(text), do: text |> String.codepoints() |> length()
+end
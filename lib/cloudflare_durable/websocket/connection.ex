@@ -4,6 +4,17 @@ defmodule CloudflareDurable.WebSocket.Connection do
   
   This module manages a WebSocket connection to a Cloudflare Durable Object,
   handling reconnection, message sending, and event handling.
+  
+  By default the worker sends the connection every key change. Use the
+  `:keys`/`:prefixes` options or `subscribe_keys/3` to only receive the
+  initial state and updates for specific keys; the subscriptions are
+  restored when the connection reconnects.
+  
+  The connection remembers the sequence number (`"seq"`) of the last change
+  it received and reconnects with `since=<seq>`, so the worker's `"init"`
+  message replays the missed `"changes"` instead of sending the full
+  `"state"`. When the worker's change log no longer reaches back that far,
+  `"init"` carries the full `"state"` with `"resync": true`.
   """
   use GenServer
   require Logger
@@ -27,13 +38,21 @@ defmodule CloudflareDurable.WebSocket.Connection do
     backoff_max: non_neg_integer(),
     current_backoff: non_neg_integer(),
     reconnect_timer: reference() | nil,
-    subscribers: [pid()]
+    subscribers: [pid()],
+    auth: keyword(),
+    key_subscriptions: key_subscriptions() | nil,
+    last_seq: non_neg_integer() | nil
   }
+  @type key_subscriptions :: %{keys: [String.t()], prefixes: [String.t()]}
   @type connection_opts :: [
     url: String.t(),
     auto_reconnect: boolean(),
     backoff_initial: non_neg_integer(),
-    backoff_max: non_neg_integer()
+    backoff_max: non_neg_integer(),
+    auth: keyword(),
+    keys: [String.t()],
+    prefixes: [String.t()],
+    since: non_neg_integer()
   ]
   @type error_reason :: :not_connected | :network_error | :invalid_message | atom() | String.t()
 
@@ -49,6 +68,12 @@ defmodule CloudflareDurable.WebSocket.Connection do
       * `:auto_reconnect` - Whether to automatically reconnect (default: true)
       * `:backoff_initial` - Initial backoff time in ms (default: 500)
       * `:backoff_max` - Maximum backoff time in ms (default: 30000)
+      * `:auth` - `:signing_secret` / `:auth_secret` overrides for
+        `CloudflareDurable.Auth.headers/4` (default: application config)
+      * `:keys` - Only receive state and updates for these keys
+      * `:prefixes` - Only receive state and updates for keys with these prefixes
+      * `:since` - Sequence number of the last change already seen; the first
+        connect then replays the changes after it
       
   ## Returns
     * `{:ok, pid}` - Successfully started the connection GenServer
@@ -109,6 +134,49 @@ defmodule CloudflareDurable.WebSocket.Connection do
     GenServer.call(pid, {:unsubscribe, self()})
   end
 
+  @doc """
+  Subscribes the connection to changes of specific keys or key prefixes.
+  
+  A connection that receives every key narrows to the given keys; further
+  calls add to its subscriptions. The worker replies with a `"response"`
+  message carrying the current `"state"` of the newly subscribed keys.
+  
+  ## Parameters
+    * `pid` - PID of the connection process
+    * `keys` - Keys to subscribe to (must not contain commas)
+    * `prefixes` - Key prefixes to subscribe to (must not contain commas)
+  
+  ## Returns
+    * `:ok` - Subscriptions updated (they are sent on the next connect when
+      the connection is down)
+    * `{:error, reason}` - Failed to send the subscription
+  """
+  @spec subscribe_keys(t(), [String.t()], [String.t()]) :: :ok | {:error, error_reason()}
+  def subscribe_keys(pid, keys, prefixes \\ []) do
+    GenServer.call(pid, {:update_key_subscriptions, "subscribe", keys, prefixes})
+  end
+
+  @doc """
+  Unsubscribes the connection from keys or key prefixes.
+  
+  A connection receiving every key cannot drop single keys; subscribe to the
+  keys to keep with `subscribe_keys/3` instead.
+  
+  ## Parameters
+    * `pid` - PID of the connection process
+    * `keys` - Keys to unsubscribe from
+    * `prefixes` - Key prefixes to unsubscribe from
+  
+  ## Returns
+    * `:ok` - Subscriptions updated
+    * `{:error, :all_keys_subscription}` - The connection receives every key
+    * `{:error, reason}` - Failed to send the change
+  """
+  @spec unsubscribe_keys(t(), [String.t()], [String.t()]) :: :ok | {:error, error_reason()}
+  def unsubscribe_keys(pid, keys, prefixes \\ []) do
+    GenServer.call(pid, {:update_key_subscriptions, "unsubscribe", keys, prefixes})
+  end
+
   @doc """
   Gets the current status of the WebSocket connection.
   
@@ -141,7 +209,10 @@ defmodule CloudflareDurable.WebSocket.Connection do
       backoff_max: Keyword.get(opts, :backoff_max, @default_backoff_max),
       current_backoff: 0,
       reconnect_timer: nil,
-      subscribers: []
+      subscribers: [],
+      auth: Keyword.get(opts, :auth, []),
+      key_subscriptions: initial_key_subscriptions(opts),
+      last_seq: Keyword.get(opts, :since)
     }
 
     # Initiate connection
@@ -192,6 +263,27 @@ defmodule CloudflareDurable.WebSocket.Connection do
     {:reply, :ok, %{state | subscribers: List.delete(state.subscribers, pid)}}
   end
 
+  @impl true
+  def handle_call({:update_key_subscriptions, "unsubscribe", keys, prefixes}, _from, %{key_subscriptions: nil} = state)
+      when keys != [] or prefixes != [] do
+    {:reply, {:error, :all_keys_subscription}, state}
+  end
+
+  def handle_call({:update_key_subscriptions, type, keys, prefixes}, _from, state) do
+    state = %{state | key_subscriptions: apply_key_subscriptions(state.key_subscriptions, type, keys, prefixes)}
+    
+    if state.status == :connected do
+      message = Jason.encode!(%{type: type, keys: keys, prefixes: prefixes})
+      
+      case send_websocket_message(state.conn, state.request, message) do
+        {:ok, conn, request} -> {:reply, :ok, %{state | conn: conn, request: request}}
+        {:error, reason} -> {:reply, {:error, reason}, state}
+      end
+    else
+      {:reply, :ok, state}
+    end
+  end
+
   @impl true
   def handle_call(:status, _from, state) do
     {:reply, state.status, state}
@@ -231,7 +323,7 @@ defmodule CloudflareDurable.WebSocket.Connection do
     # Forward the message to all subscribers
     broadcast_event({:websocket_message, message}, state)
     
-    {:noreply, state}
+    {:noreply, track_seq(message, state)}
   end
 
   def handle_info({:gun_ws, conn_pid, _stream_ref, {:close, code, reason}}, %{conn: %{pid: conn_pid}} = state) do
@@ -342,15 +434,16 @@ defmodule CloudflareDurable.WebSocket.Connection do
             {:ok, _protocol} ->
               # Connection established, upgrade to WebSocket
               path = uri.path || "/"
-              path = if uri.query, do: "#{path}?#{uri.query}", else: path
+              query = connect_query(uri.query, state)
+              path = if query != "", do: "#{path}?#{query}", else: path
               
-              # Custom headers
+              # Custom headers, signed afresh on every (re)connect
               headers = [
                 {"upgrade", "websocket"},
                 {"connection", "upgrade"},
                 {"sec-websocket-version", "13"},
                 {"sec-websocket-key", :base64.encode(crypto_random_bytes(16))}
-              ]
+              ] ++ CloudflareDurable.Auth.headers(:get, path, "", state.auth)
               
               # Start the WebSocket handshake
               stream_ref = :gun.ws_upgrade(conn_pid, path, headers)
@@ -428,6 +521,50 @@ defmodule CloudflareDurable.WebSocket.Connection do
     %{state | current_backoff: backoff, reconnect_timer: timer}
   end
 
+  defp initial_key_subscriptions(opts) do
+    if Keyword.has_key?(opts, :keys) or Keyword.has_key?(opts, :prefixes) do
+      %{keys: Keyword.get(opts, :keys, []), prefixes: Keyword.get(opts, :prefixes, [])}
+    end
+  end
+  
+  # Mirrors how the worker applies subscribe/unsubscribe messages, so the
+  # subscriptions can be restored on reconnect
+  defp apply_key_subscriptions(nil, "subscribe", keys, prefixes) do
+    %{keys: Enum.uniq(keys), prefixes: Enum.uniq(prefixes)}
+  end
+  
+  defp apply_key_subscriptions(subscriptions, "subscribe", keys, prefixes) do
+    %{keys: Enum.uniq(subscriptions.keys ++ keys), prefixes: Enum.uniq(subscriptions.prefixes ++ prefixes)}
+  end
+  
+  defp apply_key_subscriptions(nil, "unsubscribe", _keys, _prefixes), do: nil
+  
+  defp apply_key_subscriptions(subscriptions, "unsubscribe", keys, prefixes) do
+    %{keys: subscriptions.keys -- keys, prefixes: subscriptions.prefixes -- prefixes}
+  end
+  
+  defp connect_query(query, state) do
+    subscriptions =
+      case state.key_subscriptions do
+        nil -> []
+        %{keys: keys, prefixes: prefixes} -> [keys: Enum.join(keys, ","), prefixes: Enum.join(prefixes, ",")]
+      end
+    
+    since = if state.last_seq, do: [since: state.last_seq], else: []
+    
+    [query, URI.encode_query(subscriptions ++ since)]
+    |> Enum.reject(&(&1 in [nil, ""]))
+    |> Enum.join("&")
+  end
+  
+  # Remember the latest change sequence number seen, to resume from on reconnect
+  defp track_seq(message, state) do
+    case Jason.decode(message) do
+      {:ok, %{"seq" => seq}} when is_integer(seq) -> %{state | last_seq: seq}
+      _ -> state
+    end
+  end
+
   @spec broadcast_event(term(), connection_state()) :: :ok
   defp broadcast_event(event, state) do
     # Send the event to all subscribers
@@ -105,7 +105,8 @@ defmodule CloudflareDurable.MixProject do
       groups_for_modules: [
         "Core": [
           CloudflareDurable,
-          CloudflareDurable.Client
+          CloudflareDurable.Client,
+          CloudflareDurable.Auth
         ],
         "WebSocket": [
           CloudflareDurable.WebSocket.Connection,
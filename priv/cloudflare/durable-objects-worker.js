@@ -3,387 +3,4407 @@
  * 
  * This Cloudflare Worker script provides a generic interface for interacting with 
  * Durable Objects from Elixir applications, supporting HTTP and WebSocket APIs.
+ * 
+ * Methods callable through /method/{name} and WebSocket "method" messages are
+ * registered with DurableObject.defineMethods. To ship your own, register them
+ * from your worker's entry module, on this class or on a subclass:
+ * 
+ *   import { DurableObject } from "./durable-objects-worker.js";
+ * 
+ *   export class ChatRoom extends DurableObject {}
+ *   ChatRoom.defineMethods({
+ *     post: {
+ *       description: "Appends a message",
+ *       schema: { type: "object", required: ["text"], properties: { text: { type: "string" } } },
+ *       async handler(params) { ... }   // `this` is the Durable Object
+ *     }
+ *   });
  */
 
+// Errors that map to a specific HTTP status and error code
+export class HttpError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 // Define the Durable Object class
 export class DurableObject {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.storage = state.storage;
-    this.sessions = new Map(); // WebSocket sessions
+    this.log = createLogger(env, { objectId: state.id && (state.id.name || state.id.toString()) });
+    
+    // Counters for /metrics. Like the rate limit buckets they live in memory,
+    // so they restart from zero whenever the object is evicted.
+    this.metrics = createMetrics();
+    this.storage = countingStorage(state.storage, this.metrics.storage);
+    
+    // Sequence number of the latest change and the state schema (see
+    // checkSchema), loaded before any event is handled
+    this.sequence = 0;
+    this.schema = null;
+    state.blockConcurrencyWhile(async () => {
+      this.sequence = (await this.storage.get(SEQUENCE_KEY)) || 0;
+      this.schema = (await this.storage.get(SCHEMA_KEY)) || null;
+    });
+    
+    // Token buckets for RATE_LIMITS. They live in memory only, so they start
+    // full again whenever the object is evicted.
+    this.rateLimits = parseRateLimits(env, this.log);
+    this.buckets = new Map();
+    this.rateLimitCounters = { allowed: 0, limited: { client: 0, object: 0, method: 0 } };
+    
+    // Confirmation token for POST /admin/wipe, issued by POST /admin/wipe-token
+    this.wipeToken = null;
+    
+    // Idempotency keys whose request is still running (see idempotent), so
+    // that repeats arriving meanwhile wait for its outcome
+    this.idempotencyInFlight = new Map();
+    
+    // Broadcasts held back while a method runs in a transaction (see
+    // callMethod), sent once it commits
+    this.heldBroadcasts = null;
+  }
+
+  // Register callable methods on this class. `methods` maps each name to a
+  // handler function or to { handler, schema, description }. Subclasses inherit
+  // their parent's methods and may override them.
+  static defineMethods(methods) {
+    if (!Object.prototype.hasOwnProperty.call(this, "methodRegistry")) {
+      this.methodRegistry = new Map(this.methodRegistry || []);
+    }
+    
+    for (const [name, definition] of Object.entries(methods)) {
+      const { handler, schema = null, description = null } =
+        typeof definition === "function" ? { handler: definition } : definition;
+      
+      if (typeof handler !== "function") {
+        throw new TypeError(`Method ${name} must have a handler function`);
+      }
+      
+      this.methodRegistry.set(name, { name, handler, schema, description });
+    }
+    
+    return this;
+  }
+
+  // Look up a registered method. Subclasses written before the registry
+  // existed may still define method_{name} functions, which are picked up too.
+  getMethod(name) {
+    const registry = this.constructor.methodRegistry || new Map();
+    if (registry.has(name)) {
+      return registry.get(name);
+    }
+    
+    const legacy = this[`method_${name}`];
+    if (typeof legacy === "function") {
+      return { name, handler: legacy, schema: null, description: null };
+    }
+    
+    return null;
+  }
+
+  // Describe every callable method, for the /methods route
+  listMethods() {
+    const methods = new Map();
+    
+    for (const { name, schema, description } of (this.constructor.methodRegistry || new Map()).values()) {
+      methods.set(name, { name, description, schema });
+    }
+    
+    // Legacy method_{name} functions anywhere on the prototype chain
+    for (let proto = Object.getPrototypeOf(this); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      for (const property of Object.getOwnPropertyNames(proto)) {
+        const name = property.substring(7);
+        if (property.startsWith("method_") && typeof this[property] === "function" && !methods.has(name)) {
+          methods.set(name, { name, description: null, schema: null });
+        }
+      }
+    }
+    
+    return [...methods.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Validate params against the method's schema and run it. Throws an
+  // HttpError for unknown methods (404), invalid params (400) and results
+  // that do not match the state schema's `methods` entry for the method (422),
+  // in which case the method's storage writes are rolled back and nothing is
+  // broadcast.
+  async callMethod(name, params) {
+    const method = this.getMethod(name);
+    if (!method) {
+      throw new HttpError(404, "method_not_found", `Method not found: ${name}`);
+    }
+    
+    if (method.schema) {
+      const errors = validateSchema(method.schema, params);
+      if (errors.length > 0) {
+        throw new HttpError(400, "invalid_params", `Invalid params for method ${name}`, errors);
+      }
+    }
+    
+    const resultSchema = this.schema && isPlainObject(this.schema.methods) ? this.schema.methods[name] : null;
+    if (!resultSchema) {
+      return await method.handler.call(this, params);
+    }
+    
+    // The result is checked before anything the handler did is kept: it runs
+    // in one transaction, which nested transactions join, with other events
+    // held back and broadcasts held until it commits. blockConcurrencyWhile
+    // resets the object if its callback throws, so errors are passed out.
+    const storage = this.storage;
+    const sequence = this.sequence;
+    const held = [];
+    const outcome = await this.state.blockConcurrencyWhile(async () => {
+      try {
+        return {
+          result: await storage.transaction(async (txn) => {
+            this.storage = joinedTransaction(txn);
+            this.heldBroadcasts = held;
+            try {
+              const result = await method.handler.call(this, params);
+              const errors = validateSchema(resultSchema, result);
+              if (errors.length > 0) {
+                throw new HttpError(422, "schema_violation", `Result of method ${name} does not match the schema`, errors);
+              }
+              return result;
+            } finally {
+              this.storage = storage;
+              this.heldBroadcasts = null;
+            }
+          })
+        };
+      } catch (error) {
+        return { error };
+      }
+    });
+    
+    if (outcome.error) {
+      this.sequence = sequence;
+      throw outcome.error;
+    }
+    for (const sendFrames of held) {
+      sendFrames();
+    }
+    return outcome.result;
   }
 
-  // Handle HTTP requests
+  // Handle HTTP requests, recording them for /metrics
   async fetch(request) {
+    const started = Date.now();
+    const response = await this.handleRequest(request);
+    this.recordRequest(request.method, new URL(request.url).pathname, response.status, Date.now() - started);
+    return response;
+  }
+
+  async handleRequest(request) {
     const url = new URL(request.url);
     const path = url.pathname;
+    const log = this.requestLog(request);
+    
+    log.debug("Request received", { method: request.method, path });
+    
+    // Admin routes and metrics are exempt so the counters stay readable under load
+    if (!path.startsWith("/admin/") && path !== "/metrics") {
+      const method = request.method === "POST" && path.startsWith("/method/") ? safeDecode(path.substring(8)) : null;
+      const limited = this.takeRateLimitTokens(clientIdentity(request), method);
+      if (limited) {
+        log.info("Rate limited", { method: request.method, path, scope: limited.scope });
+        return errorResponse(429, "rate_limited", `Rate limit exceeded (${limited.scope})`, limited, {
+          "Retry-After": String(limited.retryAfter)
+        });
+      }
+    }
+    
+    // WebSocket upgrades arrive on /websocket, optionally followed by a sub-path
+    if (path === "/websocket" || path.startsWith("/websocket/")) {
+      const upgrade = request.headers.get("Upgrade");
+      if (!upgrade || upgrade.toLowerCase() !== "websocket") {
+        return errorResponse(426, "upgrade_required", "Expected Upgrade: websocket");
+      }
+      
+      return await this.handleWebSocketUpgrade(request, path.substring(10) || "/");
+    }
     
-    console.log(`Durable Object received request: ${request.method} ${path}`);
+    const idempotencyKey = request.headers.get("Idempotency-Key");
+    if (idempotencyKey !== null && request.method !== "GET" && !path.startsWith("/admin/")) {
+      return await this.idempotentResponse(idempotencyKey, request, () => this.dispatch(request, path, log));
+    }
     
+    return await this.dispatch(request, path, log);
+  }
+
+  // Route a request to its handler, turning errors into error responses
+  async dispatch(request, path, log) {
     try {
       // Route based on HTTP method
-      if (request.method === "GET") {
-        return await this.handleGet(path);
+      if (path.startsWith("/admin/")) {
+        return await this.handleAdmin(path, request);
+      } else if (request.method === "GET") {
+        return await this.handleGet(path, request);
+      } else if (request.method === "POST" && path === "/import") {
+        return await this.importState(request);
       } else if (request.method === "POST") {
-        const data = await request.json();
-        console.log(`POST data: ${JSON.stringify(data)}`);
-        return await this.handlePost(path, data);
+        const data = await readJsonBody(request, this.env);
+        log.debug("Request body", { path, body: data });
+        return await this.handlePost(path, data, request);
       } else if (request.method === "PUT") {
-        const data = await request.json();
-        console.log(`PUT data: ${JSON.stringify(data)}`);
-        return await this.handlePut(path, data);
+        // Values may be larger than other request bodies
+        const maxBytes = path.startsWith("/state/") ? maxValueBytes(this.env) + VALUE_ENVELOPE_BYTES : undefined;
+        const data = await readJsonBody(request, this.env, maxBytes);
+        return await this.handlePut(path, data, request);
       } else if (request.method === "DELETE") {
-        return await this.handleDelete(path);
+        return await this.handleDelete(path, request);
+      } else if (request.method === "PATCH") {
+        return await this.handlePatch(path, request);
       } else {
-        return new Response("Method not allowed", { status: 405 });
+        return errorResponse(405, "method_not_allowed", `Method not allowed: ${request.method}`);
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        log.debug("Request rejected", { method: request.method, path, code: error.code, reason: error.message });
+        return errorResponse(error.status, error.code, error.message, error.details);
       }
+      
+      log.error("Error in Durable Object", { method: request.method, path, error });
+      return errorResponse(500, "internal_error", error.message);
+    }
+  }
+
+  // Run a write with an Idempotency-Key once within the idempotency window.
+  // Successful responses are replayed, with Idempotent-Replayed: true, to
+  // later requests with the same key; failed ones are not kept, so they can
+  // be retried. The key may not be reused for a different method, path or
+  // body.
+  async idempotentResponse(key, request, run) {
+    try {
+      const url = new URL(request.url);
+      const body = await request.clone().arrayBuffer();
+      const fingerprint = `${request.method} ${url.pathname}${url.search} ${await digestHex(body)}`;
+      
+      const { outcome, replayed } = await this.idempotent(key, fingerprint, async () => {
+        const response = await run();
+        return { status: response.status, headers: Object.fromEntries(response.headers), body: await response.text() };
+      }, outcome => outcome.status >= 200 && outcome.status < 300);
+      
+      const headers = replayed ? { ...outcome.headers, "Idempotent-Replayed": "true" } : outcome.headers;
+      return new Response(outcome.body, { status: outcome.status, headers });
     } catch (error) {
-      console.error(`Error in Durable Object: ${error.stack || error}`);
-      return new Response(`Error: ${error.message}`, { status: 500 });
+      if (error instanceof HttpError) {
+        return errorResponse(error.status, error.code, error.message, error.details);
+      }
+      
+      this.requestLog(request).error("Error in Durable Object", { method: request.method, key, error });
+      return errorResponse(500, "internal_error", error.message);
+    }
+  }
+
+  // Run `run` at most once per idempotency key and fingerprint (what the key
+  // was sent with) within the idempotency window, keeping its outcome when
+  // `keep(outcome)` holds. Returns { outcome, replayed }. Repeats that arrive
+  // while the first run is in progress wait for it. Throws a 400 for invalid
+  // keys and a 422 for keys reused with a different fingerprint.
+  async idempotent(key, fingerprint, run, keep = () => true) {
+    if (typeof key !== "string" || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      throw new HttpError(400, "invalid_idempotency_key", "Expected an idempotency key of 1 to 255 printable characters");
+    }
+    
+    let pending;
+    while ((pending = this.idempotencyInFlight.get(key))) {
+      await pending.catch(() => null);
+    }
+    
+    const running = this.runIdempotent(key, fingerprint, run, keep);
+    this.idempotencyInFlight.set(key, running);
+    try {
+      return await running;
+    } finally {
+      if (this.idempotencyInFlight.get(key) === running) {
+        this.idempotencyInFlight.delete(key);
+      }
+    }
+  }
+
+  async runIdempotent(key, fingerprint, run, keep) {
+    const recordKey = idempotencyRecordKey(key);
+    const record = await this.storage.get(recordKey);
+    
+    if (record && !isExpired(record.expiresAt)) {
+      if (record.fingerprint !== fingerprint) {
+        throw new HttpError(422, "idempotency_key_reused", "Idempotency key was already used for a different request", { key });
+      }
+      return { outcome: record.outcome, replayed: true };
+    }
+    
+    const outcome = await run();
+    if (!keep(outcome)) {
+      return { outcome, replayed: false };
     }
+    
+    const expiresAt = Date.now() + idempotencyWindow(this.env);
+    const stored = { fingerprint, expiresAt, outcome };
+    if (utf8Length(JSON.stringify(stored)) > MAX_IDEMPOTENCY_RECORD_BYTES) {
+      this.log.warn("Outcome too large to keep for idempotency", { key });
+      return { outcome, replayed: false };
+    }
+    
+    if (record) {
+      await this.storage.delete(idempotencyIndexKey(record.expiresAt, key));
+    }
+    await this.storage.put({ [recordKey]: stored, [idempotencyIndexKey(expiresAt, key)]: key });
+    
+    const alarm = await this.storage.getAlarm();
+    if (alarm === null || alarm > expiresAt) {
+      await this.scheduleNextAlarm();
+    }
+    
+    return { outcome, replayed: false };
+  }
+
+  // The object's logger, with the request's ID from the worker
+  requestLog(request) {
+    return this.log.child({ requestId: request.headers.get("X-Request-Id") || undefined });
   }
 
   // Handle GET requests
-  async handleGet(path) {
-    console.log(`Handling GET request for path: ${path}`);
+  async handleGet(path, request) {
     // Get state or specific key
     if (path === "/state") {
-      const data = await this.storage.list();
-      return new Response(JSON.stringify({ data }), {
+      const options = parseListOptions(new URL(request.url).searchParams);
+      if (options.error) {
+        return errorResponse(400, "invalid_request", `Invalid list options: ${options.error}`);
+      }
+      
+      // Large values are left out, as in snapshots, and their keys listed in
+      // `chunked` to be fetched one at a time
+      const { entries, cursor } = await this.listEntries(options);
+      const chunked = entries.filter(([, value]) => isChunkManifest(value)).map(([key]) => key);
+      const values = entries.filter(([, value]) => !isChunkManifest(value));
+      const data = options.format === "array"
+        ? values.map(([key, value]) => ({ key, value }))
+        : Object.fromEntries(values);
+      
+      const body = { data, cursor, truncated: cursor !== null };
+      return new Response(JSON.stringify(chunked.length > 0 ? { ...body, chunked } : body), {
         headers: { "Content-Type": "application/json" }
       });
     } else if (path.startsWith("/state/")) {
-      const key = path.substring(7);
-      const value = await this.storage.get(key);
+      const key = decodePathSegment(path.substring(7), "key");
+      const stored = isInternalKey(key) ? undefined : await this.readStoredValue(key);
+      
+      if (stored === undefined) {
+        return errorResponse(404, "key_not_found", `Key not found: ${key}`, { key });
+      }
+      
+      const version = await this.getVersion(key);
+      const expiry = await this.storage.get(expiryKey(key));
+      const expiresAt = expiry === undefined ? null : new Date(expiry).toISOString();
+      const raw = new URL(request.url).searchParams.get("format") === "raw";
+      const headers = { "Content-Type": "application/json", "ETag": `"${version}"` };
+      
+      // ?format=raw responds with just the value
+      if (!isChunkManifest(stored)) {
+        const body = raw ? stored : { key, value: stored, version, expiresAt };
+        return new Response(JSON.stringify(body), { headers });
+      }
+      
+      // Chunked values are streamed a chunk at a time
+      const prefix = raw ? "" : `{"key":${JSON.stringify(key)},"value":`;
+      const suffix = raw ? "" : `,"version":${version},"expiresAt":${JSON.stringify(expiresAt)}}`;
+      return new Response(this.streamChunks(key, stored, prefix, suffix), { headers });
+    } else if (path === "/export") {
+      return await this.exportState();
+    } else if (path === "/changes") {
+      const since = parseSequence(new URL(request.url).searchParams.get("since"));
+      if (since === null) {
+        return errorResponse(400, "invalid_request", "Expected since to be a sequence number");
+      }
+      
+      const changes = await this.changesSince(since);
+      if (!changes) {
+        return errorResponse(410, "log_trimmed", `Changes since ${since} are no longer available`, {
+          since,
+          seq: this.sequence
+        });
+      }
+      
+      return new Response(JSON.stringify({ seq: this.sequence, changes }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    } else if (path === "/alarm") {
+      return new Response(JSON.stringify(await this.getAlarmInfo()), {
+        headers: { "Content-Type": "application/json" }
+      });
+    } else if (path === "/methods") {
+      return new Response(JSON.stringify({ methods: this.listMethods() }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    } else if (path === "/schema") {
+      return new Response(JSON.stringify({ schema: this.schema }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    } else if (path === "/metrics") {
+      // Prometheus text with ?format=prometheus or when asked for text, as
+      // Prometheus scrapers do; JSON otherwise
+      const format = new URL(request.url).searchParams.get("format");
+      const accept = request.headers.get("Accept") || "";
+      const snapshot = this.metricsSnapshot();
       
-      if (value === undefined) {
-        return new Response("Key not found", { status: 404 });
+      if (format === "prometheus" || (format === null && /text\/plain|openmetrics/.test(accept))) {
+        return new Response(prometheusText(snapshot), {
+          headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+        });
       }
       
-      return new Response(JSON.stringify({ key, value }), {
+      return new Response(JSON.stringify(snapshot), {
         headers: { "Content-Type": "application/json" }
       });
     }
     
-    return new Response("Not found", { status: 404 });
+    return errorResponse(404, "not_found", `Not found: ${path}`);
   }
 
   // Handle POST requests
-  async handlePost(path, data) {
-    console.log(`Handling POST request for path: ${path}`);
+  async handlePost(path, data, request) {
+    const log = this.requestLog(request);
     
     // Handle initialization
     if (path === "/initialize") {
-      console.log("Processing initialization request");
+      return await this.initialize(data, request);
+    }
+    
+    // Batch of state operations, applied atomically
+    if (path === "/batch") {
+      const operations = Array.isArray(data) ? data : isPlainObject(data) ? data.operations : null;
+      const invalid = validateBatch(operations);
+      if (invalid) {
+        return errorResponse(400, "invalid_batch", `Invalid batch: ${invalid}`);
+      }
       
-      // Store the initial data
-      for (const [key, value] of Object.entries(data)) {
-        await this.storage.put(key, value);
-        console.log(`Stored ${key}: ${JSON.stringify(value)}`);
+      const outcome = await this.executeBatch(operations);
+      if (!outcome.success) {
+        return errorResponse(409, "batch_conflict", `Compare-and-set failed at operation ${outcome.failedIndex}`, {
+          failedIndex: outcome.failedIndex,
+          results: outcome.results
+        });
       }
       
-      return new Response(JSON.stringify({ success: true }), {
+      return new Response(JSON.stringify(outcome), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    // Schedule a method invocation
+    if (path === "/alarm/jobs") {
+      const job = await this.scheduleJob(data);
+      
+      return new Response(JSON.stringify({ success: true, job }), {
+        status: 201,
         headers: { "Content-Type": "application/json" }
       });
     }
     
+    // Atomic operations: /state/{key}/{op}
+    if (path.startsWith("/state/")) {
+      const slash = path.lastIndexOf("/");
+      const key = decodePathSegment(path.substring(7, slash), "key");
+      const result = await this.applyAtomic(key, path.substring(slash + 1), data);
+      
+      return new Response(JSON.stringify({ success: true, ...result }), {
+        headers: { "Content-Type": "application/json", "ETag": `"${result.version}"` }
+      });
+    }
+    
     // Custom method calls
     if (path.startsWith("/method/")) {
-      const method = path.substring(8);
-      console.log(`Calling method: ${method}`);
-      
-      // Check if the method exists
-      const methodName = `method_${method}`;
-      if (typeof this[methodName] !== "function") {
-        console.log(`Method not found: ${methodName}`);
-        return new Response(`Method not found: ${method}`, { status: 404 });
-      }
+      const method = decodePathSegment(path.substring(8), "method name");
       
       // Call the method
       try {
-        const result = await this[methodName](data);
-        console.log(`Method result: ${JSON.stringify(result)}`);
+        const result = await this.callMethod(method, data);
+        log.debug("Method result", { method, result });
         return new Response(JSON.stringify({ result }), {
           headers: { "Content-Type": "application/json" }
         });
       } catch (error) {
-        console.error(`Error calling method ${method}: ${error.stack || error}`);
-        return new Response(`Error calling method: ${error.message}`, { status: 500 });
+        if (error instanceof HttpError) {
+          log.debug("Rejected method call", { method, code: error.code, reason: error.message });
+          return errorResponse(error.status, error.code, error.message, error.details);
+        }
+        
+        log.error("Error calling method", { method, error });
+        return errorResponse(500, "method_failed", `Error calling method: ${error.message}`, { method });
       }
     }
     
-    return new Response("Not found", { status: 404 });
+    return errorResponse(404, "not_found", `Not found: ${path}`);
   }
 
-  // Handle PUT requests
-  async handlePut(path, data) {
-    // Update state
-    if (path.startsWith("/state/")) {
-      const key = path.substring(7);
+  // Write the initial state of the object, atomically, in one of
+  // INITIALIZE_MODES (?mode=, default overwrite). Every mode records when the
+  // object was first initialized under INITIALIZED_KEY; replace starts it
+  // over.
+  async initialize(data, request) {
+    const params = new URL(request.url).searchParams;
+    const mode = params.get("mode") || "overwrite";
+    if (!INITIALIZE_MODES.includes(mode)) {
+      throw new HttpError(400, "invalid_request", `mode must be one of ${INITIALIZE_MODES.join(", ")}`);
+    }
+    if (!isPlainObject(data)) {
+      throw new HttpError(400, "invalid_request", "Initial state must be a JSON object");
+    }
+    
+    // ?ttl=<ms> or ?expiresAt=<timestamp or ISO date> applies to every key
+    const expiresAt = parseExpiry(Object.fromEntries(params));
+    if (expiresAt === null) {
+      throw new HttpError(400, "invalid_request", "ttl must be a positive number of ms and expiresAt a timestamp or ISO date");
+    }
+    
+    // A state schema may come along under SCHEMA_KEY; null removes it
+    const { [SCHEMA_KEY]: schema, ...state } = data;
+    if (schema !== undefined && schema !== null && !isPlainObject(schema)) {
+      throw new HttpError(400, "invalid_schema", "The schema must be a JSON Schema object");
+    }
+    const problems = schema ? schemaErrors(schema) : [];
+    if (problems.length > 0) {
+      throw new HttpError(400, "invalid_schema", "The schema cannot be used", problems);
+    }
+    
+    for (const key of Object.keys(state)) {
+      if (isInternalKey(key)) {
+        throw new HttpError(400, "reserved_key", `Reserved key: ${key}`, { key });
+      }
+    }
+    
+    const previousSchema = this.schema;
+    const nextSchema = schema === undefined ? this.schema : schema;
+    
+    const outcome = await this.storage.transaction(async (txn) => {
+      let initializedAt = await txn.get(INITIALIZED_KEY);
       
-      await this.storage.put(key, data.value);
+      if (mode === "create_only" && (initializedAt !== undefined || (await this.hasState(txn)))) {
+        throw new HttpError(409, "already_initialized", "Object already has state", {
+          initializedAt: initializedAt === undefined ? null : new Date(initializedAt).toISOString()
+        });
+      }
       
-      // Notify connected clients
-      this.broadcastUpdate(key, data.value);
+      let entries = Object.entries(state);
+      if (mode === "merge_missing") {
+        const missing = [];
+        for (const entry of entries) {
+          if ((await this.readStoredValue(entry[0], txn)) === undefined) {
+            missing.push(entry);
+          }
+        }
+        entries = missing;
+      }
       
-      return new Response(JSON.stringify({ success: true, key }), {
-        headers: { "Content-Type": "application/json" }
-      });
+      // Check everything before writing anything. Keys already stored count
+      // towards the schema's required keys, unless they are about to be
+      // cleared.
+      if (nextSchema) {
+        const written = Object.fromEntries(entries);
+        let required = (nextSchema.required || []).filter((key) => !(key in written) && !(key in state));
+        if (mode !== "replace" && required.length > 0) {
+          const stored = await txn.get(required);
+          required = required.filter((key) => !stored.has(key));
+        }
+        
+        const errors = validateSchema({ ...nextSchema, required }, written);
+        if (errors.length > 0) {
+          throw new HttpError(422, "schema_violation", "Initial state does not match the schema", errors);
+        }
+      }
+      
+      const removed = mode === "replace" ? await this.clearState(txn) : [];
+      if (mode === "replace" || initializedAt === undefined) {
+        initializedAt = Date.now();
+        await txn.put(INITIALIZED_KEY, initializedAt);
+      }
+      
+      if (schema === null) {
+        await txn.delete(SCHEMA_KEY);
+      } else if (schema !== undefined) {
+        await txn.put(SCHEMA_KEY, schema);
+      }
+      
+      // writeValue checks values against this.schema, already done above for
+      // the new one
+      this.schema = nextSchema;
+      for (const [key, value] of entries) {
+        await this.writeValue(key, value, txn, expiresAt);
+      }
+      
+      return { initializedAt, removed, entries };
+    }).catch((error) => {
+      this.schema = previousSchema;
+      throw error;
+    });
+    
+    if (expiresAt !== undefined || mode === "replace") {
+      await this.scheduleNextAlarm();
+    }
+    
+    const written = new Set(outcome.entries.map(([key]) => key));
+    const changes = [
+      ...outcome.removed.filter((key) => !written.has(key)).map((key) => ({ key, value: null })),
+      ...outcome.entries.map(([key, value]) => ({ key, value }))
+    ];
+    if (changes.length > 0) {
+      await this.broadcastChanges(changes);
     }
     
-    return new Response("Not found", { status: 404 });
+    return new Response(JSON.stringify({
+      success: true,
+      mode,
+      initializedAt: new Date(outcome.initializedAt).toISOString(),
+      written: [...written]
+    }), {
+      headers: { "Content-Type": "application/json" }
+    });
   }
 
-  // Handle DELETE requests
-  async handleDelete(path) {
-    // Delete state
+  // Whether any key is stored and has not expired
+  async hasState(storage = this.storage) {
+    for await (const [key] of this.scanStorage({}, storage)) {
+      if (!isInternalKey(key) && (await this.readStoredValue(key, storage)) !== undefined) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Delete every key with its chunks and expiry, keeping other bookkeeping.
+  // Version counters are kept, as by deleteValue, so recreated keys never
+  // reuse a version. Returns the deleted keys.
+  async clearState(storage = this.storage) {
+    const current = await storage.list();
+    const removed = [];
+    const stale = [];
+    for (const key of current.keys()) {
+      if (!isInternalKey(key)) {
+        removed.push(key);
+        stale.push(key);
+      } else if (key.startsWith(EXPIRY_PREFIX) || key.startsWith(EXPIRY_INDEX_PREFIX) || key.startsWith(CHUNK_PREFIX)) {
+        stale.push(key);
+      }
+    }
+    for (const chunk of chunked(stale, MAX_KEYS_PER_CALL)) {
+      await storage.delete(chunk);
+    }
+    return removed;
+  }
+
+  // Handle PUT requests
+  async handlePut(path, data, request) {
+    // Update state
     if (path.startsWith("/state/")) {
-      const key = path.substring(7);
+      const key = decodePathSegment(path.substring(7), "key");
+      if (isInternalKey(key)) {
+        return errorResponse(400, "reserved_key", `Reserved key: ${key}`, { key });
+      }
       
-      await this.storage.delete(key);
+      if (!isPlainObject(data) || data.value === undefined) {
+        return errorResponse(400, "invalid_request", "Expected a JSON object with a value");
+      }
+      
+      const expiresAt = parseExpiry(data);
+      if (expiresAt === null) {
+        return errorResponse(400, "invalid_request", "ttl must be a positive number of ms and expiresAt a timestamp or ISO date");
+      }
+      
+      const conflict = await this.checkPreconditions(key, request, data.expectedVersion);
+      if (conflict) {
+        return conflict;
+      }
+      
+      // One transaction, so a large value's chunks and manifest are written
+      // (and its old chunks dropped) together or not at all
+      const version = await this.storage.transaction((txn) => this.writeValue(key, data.value, txn, expiresAt));
+      if (expiresAt !== undefined) {
+        await this.scheduleNextAlarm();
+      }
       
       // Notify connected clients
-      this.broadcastUpdate(key, null);
+      await this.broadcastUpdate(key, data.value);
       
-      return new Response(JSON.stringify({ success: true, key }), {
+      return new Response(JSON.stringify({ success: true, key, version }), {
+        headers: { "Content-Type": "application/json", "ETag": `"${version}"` }
+      });
+    }
+    
+    // Set a plain wake-up alarm
+    if (path === "/alarm") {
+      const at = parseScheduleTime(data);
+      if (at === null) {
+        return errorResponse(400, "invalid_request", "Expected at (timestamp or ISO date) or delay (ms)");
+      }
+      
+      await this.storage.put(ALARM_KEY, { at });
+      await this.scheduleNextAlarm();
+      
+      return new Response(JSON.stringify({ success: true, ...(await this.getAlarmInfo()) }), {
         headers: { "Content-Type": "application/json" }
       });
     }
     
-    return new Response("Not found", { status: 404 });
+    return errorResponse(404, "not_found", `Not found: ${path}`);
   }
 
-  // Handle WebSocket connections
-  async handleWebSocketUpgrade(request) {
-    const pair = new WebSocketPair();
-    const [client, server] = Object.values(pair);
+  // Handle PATCH requests: an RFC 6902 JSON Patch
+  // (application/json-patch+json) or RFC 7396 merge patch
+  // (application/merge-patch+json) applied to a stored value. Sessions
+  // receive the patch rather than the whole value.
+  async handlePatch(path, request) {
+    if (!path.startsWith("/state/")) {
+      return errorResponse(404, "not_found", `Not found: ${path}`);
+    }
     
-    // Accept the WebSocket connection
-    server.accept();
+    const key = decodePathSegment(path.substring(7), "key");
+    if (isInternalKey(key)) {
+      return errorResponse(400, "reserved_key", `Reserved key: ${key}`, { key });
+    }
     
-    // Generate a session ID
-    const sessionId = crypto.randomUUID();
+    const format = PATCH_FORMATS[mediaType(request)];
+    if (!format) {
+      return errorResponse(415, "unsupported_media_type", `Patches must be ${Object.keys(PATCH_FORMATS).join(" or ")}`, {
+        contentType: mediaType(request) || null
+      });
+    }
+    const patch = await readJsonBody(request, this.env);
     
-    // Store the WebSocket
-    this.sessions.set(sessionId, server);
+    const expectedVersion = new URL(request.url).searchParams.get("expectedVersion");
+    const conflict = await this.checkPreconditions(key, request, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
     
-    // Set up event handlers
-    server.addEventListener("message", async event => {
-      try {
-        const message = JSON.parse(event.data);
-        
-        // Handle different message types
-        if (message.type === "method") {
-          // Call a method on this class
-          if (typeof this[message.method] === "function" && message.method.startsWith("method_")) {
-            try {
-              const result = await this[message.method](message.params);
-              server.send(JSON.stringify({
-                type: "response",
-                id: message.id,
-                success: true,
-                result
-              }));
-            } catch (error) {
-              server.send(JSON.stringify({
-                type: "response",
-                id: message.id,
-                success: false,
-                error: error.message
-              }));
-            }
-          } else {
-            server.send(JSON.stringify({
-              type: "response",
-              id: message.id,
-              success: false,
-              error: "Method not found"
-            }));
-          }
-        }
-      } catch (error) {
-        console.error("Error handling WebSocket message:", error);
-        server.send(JSON.stringify({
-          type: "error",
-          error: "Failed to process message"
-        }));
+    const { value, version } = await this.storage.transaction(async (txn) => {
+      const current = await this.readValue(key, txn);
+      let value;
+      if (format === "merge-patch") {
+        value = mergePatch(current, patch);
+      } else if (current === undefined) {
+        throw new HttpError(404, "key_not_found", `Key not found: ${key}`, { key });
+      } else {
+        value = applyJsonPatch(current, patch);
       }
+      
+      const version = await this.writeValue(key, value, txn, await this.liveExpiry(key, txn));
+      return { value, version };
     });
     
-    // Handle WebSocket close
-    server.addEventListener("close", () => {
-      this.sessions.delete(sessionId);
-    });
-    
-    // Handle WebSocket error
-    server.addEventListener("error", () => {
-      this.sessions.delete(sessionId);
-    });
-    
-    // Send initial state
-    const data = await this.storage.list();
-    server.send(JSON.stringify({
-      type: "init",
-      state: data
-    }));
+    await this.broadcastPatch(key, value, format, patch, version);
     
-    return new Response(null, {
-      status: 101,
-      webSocket: client
+    return new Response(JSON.stringify({ success: true, key, version }), {
+      headers: { "Content-Type": "application/json", "ETag": `"${version}"` }
     });
   }
 
-  // Broadcast an update to all connected WebSocket clients
-  broadcastUpdate(key, value) {
-    const update = JSON.stringify({
-      type: "update",
-      key,
-      value,
-      timestamp: new Date().toISOString()
-    });
+  // Introspection and maintenance routes. The worker does not let scoped
+  // tokens reach them, so they need the worker's own credentials when
+  // authentication is enabled.
+  async handleAdmin(path, request) {
+    const route = `${request.method} ${path}`;
     
-    for (const client of this.sessions.values()) {
-      client.send(update);
+    if (route === "GET /admin/rate-limits") {
+      return new Response(JSON.stringify(this.rateLimitStats()), {
+        headers: { "Content-Type": "application/json" }
+      });
     }
-  }
-
-  // Custom methods that can be called via HTTP or WebSocket
-
-  // Example method: echo
-  async method_echo(data) {
-    console.log(`Echo method called with data: ${JSON.stringify(data)}`);
-    return data;
-  }
-
-  // Example method: increment counter
-  async method_increment(data) {
-    console.log(`Incrementing counter with data: ${JSON.stringify(data)}`);
-    const increment = data.increment || 1;
     
-    // Get current value
-    let value = await this.storage.get("value") || 0;
-    console.log(`Current value: ${value}`);
+    if (route === "GET /admin/sessions") {
+      const sessions = this.state.getWebSockets().map((ws) => this.getSession(ws));
+      
+      return new Response(JSON.stringify({ count: sessions.length, sessions }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
     
-    // Increment value
-    value = Number(value) + increment;
-    console.log(`New value: ${value}`);
+    // Force-disconnect a session; ?reason= is sent in the close frame
+    if (request.method === "DELETE" && path.startsWith("/admin/sessions/")) {
+      const sessionId = decodePathSegment(path.substring(16), "session ID");
+      const [ws] = this.state.getWebSockets(sessionId);
+      if (!ws) {
+        return errorResponse(404, "session_not_found", `Session not found: ${sessionId}`, { sessionId });
+      }
+      
+      const reason = new URL(request.url).searchParams.get("reason") || "Disconnected by admin";
+      ws.close(ADMIN_CLOSE_CODE, reason.substring(0, MAX_CLOSE_REASON_LENGTH));
+      this.log.info("WebSocket session disconnected by admin", { sessionId, reason });
+      
+      return new Response(JSON.stringify({ success: true, sessionId }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
     
-    // Store new value
-    await this.storage.put("value", value);
+    if (route === "GET /admin/storage") {
+      return new Response(JSON.stringify(await this.storageStats()), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
     
-    // Return new value
-    return { value };
-  }
-  
-  // Example method: update document
-  async method_update(data) {
-    if (!data.content) {
-      throw new Error("Content is required");
+    if (route === "GET /admin/alarms") {
+      return new Response(JSON.stringify(await this.pendingAlarms()), {
+        headers: { "Content-Type": "application/json" }
+      });
     }
     
-    // Get current document state
-    let doc = await this.storage.get("document") || {
-      content: "",
-      version: 0,
-      lastModified: new Date().toISOString()
-    };
+    // Wiping takes two requests: one for a short-lived token, then one
+    // repeating it as {"confirm": token}
+    if (route === "POST /admin/wipe-token") {
+      this.wipeToken = { token: crypto.randomUUID(), expiresAt: Date.now() + WIPE_TOKEN_TTL_MS };
+      
+      return new Response(JSON.stringify({
+        token: this.wipeToken.token,
+        expiresAt: new Date(this.wipeToken.expiresAt).toISOString()
+      }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
     
-    // Update document
-    doc.content = data.content;
-    doc.version = (doc.version || 0) + 1;
-    doc.lastModified = new Date().toISOString();
+    if (route === "POST /admin/wipe") {
+      const data = await readJsonBody(request, this.env);
+      const confirm = isPlainObject(data) ? data.confirm : undefined;
+      const { token, expiresAt } = this.wipeToken || {};
+      if (typeof confirm !== "string" || !token || expiresAt < Date.now() || !timingSafeEqual(confirm, token)) {
+        return errorResponse(400, "invalid_confirmation", "Expected confirm to be a token from POST /admin/wipe-token");
+      }
+      
+      this.wipeToken = null;
+      const sessions = await this.wipe();
+      this.log.warn("Object wiped", { sessions });
+      
+      return new Response(JSON.stringify({ success: true, sessions }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
     
-    // Store updated document
-    await this.storage.put("document", doc);
+    return errorResponse(404, "not_found", `Not found: ${path}`);
+  }
+
+  // Number of user and internal keys, and the approximate size of everything
+  // stored, counting keys and values as JSON
+  async storageStats() {
+    const stats = { keys: 0, internalKeys: 0, bytes: 0 };
     
-    // Notify connected clients
-    this.broadcastUpdate("document", doc);
+    for await (const [key, value] of this.scanStorage()) {
+      if (isInternalKey(key)) {
+        stats.internalKeys++;
+      } else {
+        stats.keys++;
+      }
+      stats.bytes += utf8Length(key) + utf8Length(JSON.stringify(value) ?? "");
+    }
     
-    return doc;
+    return stats;
   }
-}
 
-// Main Worker script
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname;
+  // The runtime alarm, the wake-up and scheduled jobs behind it, and the
+  // keys waiting to expire
+  async pendingAlarms() {
+    let count = 0;
+    for await (const _entry of this.scanStorage({ prefix: EXPIRY_PREFIX })) {
+      count++;
+    }
+    
+    const [next] = await this.storage.list({ prefix: EXPIRY_INDEX_PREFIX, limit: 1 });
+    const expiries = {
+      count,
+      next: next ? { key: next[1], at: new Date(parseExpiryIndexKey(next[0])).toISOString() } : null
+    };
+    
+    return { ...(await this.getAlarmInfo()), expiries };
+  }
+
+  // Every stored entry, listed a page at a time
+  async *scanStorage(options = {}, storage = this.storage) {
+    let startAfter;
+    for (;;) {
+      const page = await storage.list({
+        ...options,
+        ...(startAfter === undefined ? {} : { startAfter }),
+        limit: SCAN_PAGE_SIZE
+      });
+      for (const entry of page) {
+        startAfter = entry[0];
+        yield entry;
+      }
+      if (page.size < SCAN_PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  // Delete everything the object stores, its alarm included, and close every
+  // session. Returns the number of sessions closed.
+  async wipe() {
+    const sockets = this.state.getWebSockets();
+    for (const ws of sockets) {
+      try {
+        ws.close(ADMIN_CLOSE_CODE, "Object wiped");
+      } catch (error) {
+        // Already closed
+      }
+    }
     
-    console.log(`Worker received request: ${request.method} ${path}`);
+    await this.storage.deleteAlarm();
+    await this.storage.deleteAll();
+    this.resetState();
     
-    // Route requests to appropriate Durable Object
-    if (path.startsWith("/object/")) {
-      // Extract object ID from path
-      const parts = path.split("/");
-      if (parts.length < 3) {
-        console.log("Invalid object ID path format");
-        return new Response("Invalid object ID", { status: 400 });
+    return sockets.length;
+  }
+
+  // Forget in-memory state loaded from storage, after a wipe. Subclasses that
+  // keep their own extend this.
+  resetState() {
+    this.sequence = 0;
+    this.schema = null;
+  }
+
+  // Handle DELETE requests
+  async handleDelete(path, request) {
+    // Delete state
+    if (path.startsWith("/state/")) {
+      const key = decodePathSegment(path.substring(7), "key");
+      if (isInternalKey(key)) {
+        return errorResponse(400, "reserved_key", `Reserved key: ${key}`, { key });
       }
       
-      const objectId = parts[2];
-      console.log(`Routing to Durable Object with ID: ${objectId}`);
+      const expectedVersion = new URL(request.url).searchParams.get("expectedVersion");
+      const conflict = await this.checkPreconditions(key, request, expectedVersion);
+      if (conflict) {
+        return conflict;
+      }
       
-      // Construct a stub for the Durable Object
-      const objectStub = env.DURABLE_OBJECT.get(env.DURABLE_OBJECT.idFromName(objectId));
+      await this.storage.transaction((txn) => this.deleteValue(key, txn));
       
-      // Remove /object/{id} prefix from path
-      const newUrl = new URL(request.url);
-      newUrl.pathname = "/" + parts.slice(3).join("/");
-      console.log(`Forwarding to DO with new path: ${newUrl.pathname}`);
+      // Notify connected clients
+      await this.broadcastUpdate(key, null);
       
-      // Forward the request to the Durable Object
-      const newRequest = new Request(newUrl, request);
-      return objectStub.fetch(newRequest);
+      return new Response(JSON.stringify({ success: true, key }), {
+        headers: { "Content-Type": "application/json" }
+      });
     }
     
-    // Initialize a new Durable Object
-    if (path.startsWith("/initialize/")) {
-      console.log("Initialize endpoint called");
-      const objectId = path.substring(12);
-      console.log(`Initializing object with ID: ${objectId}`);
-      
-      if (request.method !== "POST") {
-        console.log(`Method not allowed: ${request.method}`);
-        return new Response("Method not allowed", { status: 405 });
+    // Cancel the wake-up alarm and every scheduled job. The alarm itself is
+    // rescheduled, as the expiry and idempotency sweepers share it.
+    if (path === "/alarm") {
+      const jobs = await this.storage.list({ prefix: JOB_PREFIX });
+      for (const chunk of chunked([ALARM_KEY, ...jobs.keys()], MAX_KEYS_PER_CALL)) {
+        await this.storage.delete(chunk);
       }
+      await this.scheduleNextAlarm();
       
-      try {
-        // Parse the request body
-        const data = await request.json();
-        console.log(`Initialization data: ${JSON.stringify(data)}`);
-        
-        // Get a stub for the Durable Object
-        const objectStub = env.DURABLE_OBJECT.get(env.DURABLE_OBJECT.idFromName(objectId));
-        
-        // Forward the initialization request to the Durable Object
-        const doRequest = new Request(new URL("/initialize", request.url), {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(data)
-        });
+      return new Response(JSON.stringify({ success: true, cancelled: jobs.size }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    // Cancel a single scheduled job
+    if (path.startsWith("/alarm/jobs/")) {
+      const id = decodePathSegment(path.substring(12), "job ID");
+      await this.cancelJob(id);
+      
+      return new Response(JSON.stringify({ success: true, id }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    return errorResponse(404, "not_found", `Not found: ${path}`);
+  }
+
+  // Versioned storage
+  //
+  // Every key has a version, stored under an internal key, that increases by
+  // one on each write. The counter is kept when a key is deleted so that a
+  // recreated key never reuses a version a client may still hold; a key that
+  // does not exist is reported as version 0.
+
+  async getVersion(key, storage = this.storage) {
+    const value = await this.readStoredValue(key, storage);
+    if (value === undefined) {
+      return 0;
+    }
+    return (await storage.get(versionKey(key))) || 0;
+  }
+
+  // Store a value and bump its version; returns the new version
+  // Writes clear any TTL on the key, unless a new expiry time is given
+  async writeValue(key, value, storage = this.storage, expiresAt = null) {
+    this.checkSchema(key, value);
+    const version = ((await storage.get(versionKey(key))) || 0) + 1;
+    await storage.put({ [key]: await this.storeChunks(key, value, storage), [versionKey(key)]: version });
+    await this.setExpiry(key, expiresAt, storage);
+    return version;
+  }
+
+  async deleteValue(key, storage = this.storage) {
+    if (this.schema && (this.schema.required || []).includes(key)) {
+      throw new HttpError(422, "schema_violation", `Key ${key} is required by the schema`, [
+        { path: pointerOf([key]), message: "is required" }
+      ]);
+    }
+    
+    const existed = (await this.readStoredValue(key, storage)) !== undefined;
+    await this.deleteChunks(key, 0, storage);
+    await storage.delete(key);
+    await this.setExpiry(key, null, storage);
+    return existed;
+  }
+
+  // Throw a 422 with field-level errors when `value` does not fit the state
+  // schema as the value of `key`
+  checkSchema(key, value) {
+    const errors = this.schema ? stateValueErrors(this.schema, key, value) : [];
+    if (errors.length > 0) {
+      throw new HttpError(422, "schema_violation", `Value of ${key} does not match the schema`, errors);
+    }
+  }
+
+  // A key's value, or undefined when it is missing or has expired
+  async readValue(key, storage = this.storage) {
+    const stored = await this.readStoredValue(key, storage);
+    return isChunkManifest(stored) ? await this.readChunks(key, stored, storage) : stored;
+  }
+
+  // What is stored under a key (a value or a chunk manifest), or undefined
+  // when it is missing or has expired
+  async readStoredValue(key, storage = this.storage) {
+    const data = await storage.get([key, expiryKey(key)]);
+    return isExpired(data.get(expiryKey(key))) ? undefined : data.get(key);
+  }
+
+  // Large values
+  //
+  // Storage holds at most 128 KiB per value, so values whose JSON is longer
+  // than VALUE_CHUNK_CHARS are stored as JSON text split across
+  // __cfd:chunk:{key}:{index} keys, with a manifest { "__cfd:chunked": true,
+  // chunks, bytes } under the key itself. Values larger than MAX_VALUE_BYTES
+  // (default 32 MiB) are rejected with a 413.
+
+  // Write the chunks for a value, dropping any left over from a larger
+  // previous value. Returns what to store under the key: the value itself, or
+  // its manifest.
+  async storeChunks(key, value, storage = this.storage) {
+    const json = JSON.stringify(value);
+    const bytes = json === undefined ? 0 : utf8Length(json);
+    const limit = maxValueBytes(this.env);
+    if (bytes > limit) {
+      throw new HttpError(413, "value_too_large", `Value for ${key} is ${bytes} bytes, over the ${limit} byte limit`, {
+        key,
+        bytes,
+        limit
+      });
+    }
+    
+    if (isChunkManifest(value)) {
+      throw new HttpError(400, "invalid_value", `Values may not have a ${CHUNK_MANIFEST_FIELD} field`, { key });
+    }
+    
+    const texts = json !== undefined && json.length > VALUE_CHUNK_CHARS ? splitText(json, VALUE_CHUNK_CHARS) : [];
+    await this.deleteChunks(key, texts.length, storage);
+    if (texts.length === 0) {
+      return value;
+    }
+    
+    for (const group of chunked([...texts.entries()], MAX_KEYS_PER_CALL)) {
+      await storage.put(Object.fromEntries(group.map(([index, text]) => [valueChunkKey(key, index), text])));
+    }
+    return { [CHUNK_MANIFEST_FIELD]: true, chunks: texts.length, bytes };
+  }
+
+  // A large value's JSON as a byte stream, between `prefix` and `suffix`.
+  // The chunk keys are read as the stream is pulled.
+  streamChunks(key, manifest, prefix = "", suffix = "") {
+    const encoder = new TextEncoder();
+    const texts = this.chunkTexts(key, manifest);
+    let started = false;
+    
+    return new ReadableStream({
+      async pull(controller) {
+        if (!started) {
+          started = true;
+          if (prefix) {
+            controller.enqueue(encoder.encode(prefix));
+          }
+        }
         
-        console.log("Forwarding initialization to Durable Object");
-        const response = await objectStub.fetch(doRequest);
+        const { value, done } = await texts.next();
+        if (done) {
+          if (suffix) {
+            controller.enqueue(encoder.encode(suffix));
+          }
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      }
+    });
+  }
+
+  // The chunks of a large value, in order
+  async *chunkTexts(key, manifest, storage = this.storage) {
+    const indexes = Array.from({ length: manifest.chunks }, (_, index) => index);
+    for (const group of chunked(indexes, MAX_KEYS_PER_CALL)) {
+      const data = await storage.get(group.map((index) => valueChunkKey(key, index)));
+      for (const index of group) {
+        yield data.get(valueChunkKey(key, index));
+      }
+    }
+  }
+
+  async readChunks(key, manifest, storage = this.storage) {
+    const texts = [];
+    for await (const text of this.chunkTexts(key, manifest, storage)) {
+      texts.push(text);
+    }
+    return JSON.parse(texts.join(""));
+  }
+
+  // Delete a key's chunks from index `from` on
+  async deleteChunks(key, from, storage = this.storage) {
+    const stored = await storage.get(key);
+    if (!isChunkManifest(stored) || stored.chunks <= from) {
+      return;
+    }
+    
+    const stale = Array.from({ length: stored.chunks - from }, (_, offset) => valueChunkKey(key, from + offset));
+    for (const group of chunked(stale, MAX_KEYS_PER_CALL)) {
+      await storage.delete(group);
+    }
+  }
+
+  // Set (or with null, clear) the time a key expires. Expiry times are kept
+  // under __cfd:expires:{key}, and indexed by time under __cfd:expiry: for the
+  // sweeper.
+  async setExpiry(key, expiresAt, storage = this.storage) {
+    const previous = await storage.get(expiryKey(key));
+    if (previous === expiresAt || (previous === undefined && expiresAt === null)) {
+      return;
+    }
+    
+    if (previous !== undefined) {
+      await storage.delete([expiryKey(key), expiryIndexKey(previous, key)]);
+    }
+    if (expiresAt !== null) {
+      await storage.put({ [expiryKey(key)]: expiresAt, [expiryIndexKey(expiresAt, key)]: key });
+    }
+  }
+
+  // Take a token from each bucket that applies to a request from `client`
+  // calling `method` (null for anything but method calls): the client's, the
+  // object's and the client's bucket for that method. Tokens are only taken
+  // when every bucket has one. Returns null if the request may proceed, or
+  // the scope that ran out and the whole seconds until it has a token again.
+  takeRateLimitTokens(client, method = null) {
+    if (!this.rateLimits) {
+      return null;
+    }
+    
+    const { methods } = this.rateLimits;
+    const methodLimit = method === null ? null : methods[method] || methods["*"] || null;
+    const now = Date.now();
+    const buckets = [
+      ["client", `client:${client}`, this.rateLimits.client],
+      ["object", "object", this.rateLimits.object],
+      ["method", `method:${method}:${client}`, methodLimit]
+    ]
+      .filter(([, , limit]) => limit)
+      .map(([scope, key, limit]) => ({ scope, bucket: this.refillBucket(key, limit, now) }));
+    
+    const empty = buckets.filter(({ bucket }) => bucket.tokens < 1);
+    if (empty.length > 0) {
+      const waits = empty.map(({ scope, bucket }) => ({
+        scope,
+        retryAfter: Math.ceil((1 - bucket.tokens) / bucket.refillPerSecond)
+      }));
+      const longest = waits.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+      this.rateLimitCounters.limited[longest.scope]++;
+      return longest;
+    }
+    
+    for (const { bucket } of buckets) {
+      bucket.tokens -= 1;
+    }
+    this.rateLimitCounters.allowed++;
+    return null;
+  }
+
+  refillBucket(key, { capacity, refillPerSecond }, now) {
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+      bucket.updatedAt = now;
+      return bucket;
+    }
+    
+    // Full buckets behave exactly like missing ones, so drop them before
+    // tracking too many clients
+    if (this.buckets.size >= MAX_RATE_LIMIT_BUCKETS) {
+      for (const [name, other] of this.buckets) {
+        if (other.tokens + ((now - other.updatedAt) / 1000) * other.refillPerSecond >= other.capacity) {
+          this.buckets.delete(name);
+        }
+      }
+    }
+    
+    bucket = { tokens: capacity, capacity, refillPerSecond, updatedAt: now };
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Limits, counters and current bucket levels, for /admin/rate-limits
+  rateLimitStats() {
+    const now = Date.now();
+    const buckets = [...this.buckets].map(([key, { tokens, capacity, refillPerSecond, updatedAt }]) => ({
+      key,
+      tokens: Math.round(Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond) * 1000) / 1000,
+      capacity
+    }));
+    
+    return { enabled: this.rateLimits !== null, limits: this.rateLimits, ...this.rateLimitCounters, buckets };
+  }
+
+  // Count a request and its latency under its method and route. Latency is as
+  // the runtime's clock sees it, which only advances across I/O.
+  recordRequest(method, path, status, durationMs) {
+    const { requests } = this.metrics;
+    let route = objectRoute(method, path);
+    if (!requests.has(`${method} ${route}`) && requests.size >= MAX_METRIC_SERIES) {
+      route = "other";
+    }
+    
+    const id = `${method} ${route}`;
+    if (!requests.has(id)) {
+      requests.set(id, { method, route, statuses: {}, latency: createHistogram(LATENCY_BUCKETS_MS) });
+    }
+    
+    const series = requests.get(id);
+    series.statuses[status] = (series.statuses[status] || 0) + 1;
+    observe(series.latency, durationMs);
+  }
+
+  // Count a broadcast frame and the sessions it went to
+  recordBroadcast(type, recipients) {
+    const { broadcasts } = this.metrics;
+    broadcasts.frames[type] = (broadcasts.frames[type] || 0) + 1;
+    broadcasts.messages += recipients;
+    observe(broadcasts.fanout, recipients);
+  }
+
+  // Everything /metrics reports
+  metricsSnapshot() {
+    const { requests, storage, sessions, broadcasts } = this.metrics;
+    
+    return {
+      requests: [...requests.values()].map(({ method, route, statuses, latency }) => ({
+        method,
+        route,
+        count: latency.count,
+        statuses: { ...statuses },
+        latencyMs: histogramSnapshot(latency)
+      })),
+      storage: { ...storage },
+      sessions: { active: this.state.getWebSockets().length, ...sessions },
+      broadcasts: {
+        frames: { ...broadcasts.frames },
+        messages: broadcasts.messages,
+        fanout: histogramSnapshot(broadcasts.fanout)
+      }
+    };
+  }
+
+  // When a key expires, or null when it has no TTL (or already expired), for
+  // rewriting a key while keeping its TTL
+  async liveExpiry(key, storage = this.storage) {
+    const expiresAt = await storage.get(expiryKey(key));
+    return expiresAt === undefined || isExpired(expiresAt) ? null : expiresAt;
+  }
+
+  // The subset of `keys` that have expired
+  async expiredKeys(keys, storage = this.storage) {
+    const expired = new Set();
+    for (const chunk of chunked(keys, MAX_KEYS_PER_CALL)) {
+      for (const [key, at] of await storage.get(chunk.map(expiryKey))) {
+        if (isExpired(at)) {
+          expired.add(key.substring(EXPIRY_PREFIX.length));
+        }
+      }
+    }
+    return expired;
+  }
+
+  // All user-visible keys and their values, as a plain object
+  async listState() {
+    const data = await this.storage.list();
+    const state = {};
+    for (const [key, value] of data) {
+      if (!isInternalKey(key) && !isExpired(data.get(expiryKey(key)))) {
+        state[key] = value;
+      }
+    }
+    return state;
+  }
+
+  // User keys covered by a session's subscriptions (all keys when null), as
+  // { state, chunked }. Large values are too big for a WebSocket message, so
+  // they are left out of `state` and their keys listed in `chunked`.
+  async snapshotState(subscriptions) {
+    const state = subscriptions ? await this.subscribedState(subscriptions) : await this.listState();
+    const chunked = Object.keys(state).filter((key) => isChunkManifest(state[key]));
+    for (const key of chunked) {
+      delete state[key];
+    }
+    return { state, chunked };
+  }
+
+  async subscribedState(subscriptions) {
+    const state = {};
+    const keys = subscriptions.keys.filter((key) => !isInternalKey(key));
+    for (const chunk of chunked(keys, MAX_KEYS_PER_CALL)) {
+      for (const [key, value] of await this.storage.get(chunk)) {
+        state[key] = value;
+      }
+    }
+    for (const prefix of subscriptions.prefixes) {
+      for (const [key, value] of await this.storage.list({ prefix })) {
+        if (!isInternalKey(key)) {
+          state[key] = value;
+        }
+      }
+    }
+    
+    for (const key of await this.expiredKeys(Object.keys(state))) {
+      delete state[key];
+    }
+    return state;
+  }
+
+  // One page of user-visible entries in key order, large values as their
+  // manifests. Internal keys are skipped, so storage is read in chunks until
+  // the page is full. Returns the entries
+  // and a cursor for the next page (null on the last page).
+  async listEntries({ prefix, start, end, limit, reverse, after }) {
+    const entries = [];
+    let lastKey = after;
+    
+    // Read until one entry past the page is found, or storage runs out
+    for (;;) {
+      const chunk = limit - entries.length + 1;
+      const listOptions = { prefix, start, end, reverse, limit: chunk };
+      // Continue after the last key seen (end is exclusive, so it works as
+      // "before" when listing in reverse)
+      if (lastKey !== undefined) {
+        if (reverse) {
+          listOptions.end = lastKey;
+        } else {
+          delete listOptions.start;
+          listOptions.startAfter = lastKey;
+        }
+      }
+      
+      const data = await this.storage.list(listOptions);
+      const expired = await this.expiredKeys([...data.keys()].filter((key) => !isInternalKey(key)));
+      for (const [key, value] of data) {
+        lastKey = key;
+        if (isInternalKey(key) || expired.has(key)) {
+          continue;
+        }
+        if (entries.length === limit) {
+          // There is at least one more entry after this page
+          const [lastEntryKey] = entries[entries.length - 1];
+          return { entries, cursor: encodeCursor(lastEntryKey) };
+        }
+        entries.push([key, value]);
+      }
+      
+      if (data.size < chunk) {
+        break;
+      }
+    }
+    
+    return { entries, cursor: null };
+  }
+
+  // Check If-Match / If-None-Match headers and an expectedVersion from the
+  // body or query string. Returns an error response on conflict, or null.
+  async checkPreconditions(key, request, expectedVersion) {
+    const ifMatch = request.headers.get("If-Match");
+    const ifNoneMatch = request.headers.get("If-None-Match");
+    
+    if (ifMatch === null && ifNoneMatch === null &&
+        (expectedVersion === undefined || expectedVersion === null)) {
+      return null;
+    }
+    
+    const currentVersion = await this.getVersion(key);
+    const conflict = (status, code, message) => errorResponse(status, code, message, { key, currentVersion });
+    
+    if (ifMatch !== null) {
+      const matches = ifMatch.trim() === "*"
+        ? currentVersion > 0
+        : parseETags(ifMatch).includes(String(currentVersion));
+      if (!matches) {
+        return conflict(412, "precondition_failed", "If-Match precondition failed");
+      }
+    }
+    
+    if (ifNoneMatch !== null) {
+      const matches = ifNoneMatch.trim() === "*"
+        ? currentVersion > 0
+        : parseETags(ifNoneMatch).includes(String(currentVersion));
+      if (matches) {
+        return conflict(412, "precondition_failed", "If-None-Match precondition failed");
+      }
+    }
+    
+    if (expectedVersion !== undefined && expectedVersion !== null &&
+        Number(expectedVersion) !== currentVersion) {
+      return conflict(409, "version_conflict", `Version conflict: expected ${expectedVersion}, found ${currentVersion}`);
+    }
+    
+    return null;
+  }
+
+  // Run a list of get/put/delete/cas operations in a single storage
+  // transaction. Operations run in order; a failed compare-and-set rolls the
+  // whole batch back. Connected sessions receive one "batch" frame listing
+  // every key the batch changed.
+  async executeBatch(operations) {
+    const outcome = await this.storage.transaction(async txn => {
+      const results = [];
+      const changes = new Map();
+      
+      for (let index = 0; index < operations.length; index++) {
+        const { op, key } = operations[index];
         
-        // Return the response from the Durable Object
-        const responseText = await response.text();
-        console.log(`Initialization response: ${responseText}`);
+        if (op === "get") {
+          const value = await this.readValue(key, txn);
+          const version = await this.getVersion(key, txn);
+          results.push({ op, key, found: value !== undefined, value: value === undefined ? null : value, version });
+        } else if (op === "put") {
+          const version = await this.writeValue(key, operations[index].value, txn);
+          changes.set(key, operations[index].value);
+          results.push({ op, key, success: true, version });
+        } else if (op === "delete") {
+          const deleted = await this.deleteValue(key, txn);
+          changes.set(key, null);
+          results.push({ op, key, success: true, deleted });
+        } else if (op === "cas") {
+          // Compare against expectedVersion when given, otherwise against the
+          // expected value; expected: null means the key must not exist yet
+          const current = await this.readValue(key, txn);
+          const currentVersion = await this.getVersion(key, txn);
+          const { expected, expectedVersion } = operations[index];
+          let matches;
+          if (expectedVersion !== undefined) {
+            matches = Number(expectedVersion) === currentVersion;
+          } else if (expected === null || expected === undefined) {
+            matches = current === undefined;
+          } else {
+            matches = current !== undefined && JSON.stringify(current) === JSON.stringify(expected);
+          }
+          
+          if (!matches) {
+            txn.rollback();
+            results.push({ op, key, success: false, current: current === undefined ? null : current, currentVersion });
+            return { success: false, failedIndex: index, results };
+          }
+          
+          const version = await this.writeValue(key, operations[index].value, txn);
+          changes.set(key, operations[index].value);
+          results.push({ op, key, success: true, version });
+        }
+      }
+      
+      return { success: true, results, changes };
+    });
+    
+    if (!outcome.success) {
+      return outcome;
+    }
+    
+    const changes = [...outcome.changes].map(([key, value]) => ({ key, value }));
+    if (changes.length > 0) {
+      await this.broadcastChanges(changes);
+    }
+    
+    return { success: true, results: outcome.results };
+  }
+
+  // Atomic operations
+  //
+  // Read-modify-write operations on a single key, applied in a transaction and
+  // broadcast as an update. See ATOMIC_OPERATIONS for the operations and their
+  // parameters. A key's TTL is kept.
+
+  async applyAtomic(key, op, params) {
+    if (!Object.hasOwn(ATOMIC_OPERATIONS, op)) {
+      throw new HttpError(404, "unknown_operation", `Unknown operation: ${op}`, {
+        operations: Object.keys(ATOMIC_OPERATIONS)
+      });
+    }
+    if (!key || isInternalKey(key)) {
+      throw new HttpError(400, "reserved_key", `Reserved key: ${key}`, { key });
+    }
+    if (!isPlainObject(params)) {
+      throw new HttpError(400, "invalid_request", "Operation parameters must be a JSON object");
+    }
+    
+    const { value, version } = await this.storage.transaction(async (txn) => {
+      const current = await this.readValue(key, txn);
+      const value = ATOMIC_OPERATIONS[op](current, params, key);
+      
+      const version = await this.writeValue(key, value, txn, await this.liveExpiry(key, txn));
+      return { value, version };
+    });
+    
+    await this.broadcastUpdate(key, value);
+    return { key, op, value, version };
+  }
+
+  // Export and import
+  //
+  // Exports are NDJSON: a metadata line followed by one line per key,
+  //   {"type":"meta","format":"cfd-export","formatVersion":1,"objectId":...,"exportedAt":...,"seq":...}
+  //   {"type":"entry","key":...,"value":...,"version":...,"expiresAt":...}
+  // (expiresAt only for keys with a TTL).
+  // Internal bookkeeping (change log, jobs, alarms) is not exported.
+
+  // Stream every user key as NDJSON. Storage is read a page (or a large
+  // value's chunk) at a time as the client consumes the stream, so an export
+  // never holds the whole object in memory; a key written while the export runs appears with either its old
+  // or its new value, and seq in the metadata is the change sequence number
+  // at the start.
+  async exportState() {
+    const meta = {
+      type: "meta",
+      format: EXPORT_FORMAT,
+      formatVersion: EXPORT_FORMAT_VERSION,
+      objectId: this.state.id.toString(),
+      exportedAt: new Date().toISOString(),
+      seq: this.sequence
+    };
+    
+    const encoder = new TextEncoder();
+    const text = this.exportText();
+    let started = false;
+    const body = new ReadableStream({
+      async pull(controller) {
+        if (!started) {
+          started = true;
+          controller.enqueue(encoder.encode(JSON.stringify(meta) + "\n"));
+          return;
+        }
         
-        return new Response(responseText, {
-          status: response.status,
-          headers: { "Content-Type": "application/json" }
-        });
-      } catch (error) {
-        console.error(`Error initializing Durable Object: ${error.stack || error}`);
-        return new Response(`Error initializing Durable Object: ${error.message}`, { 
-          status: 500,
-          headers: { "Content-Type": "application/json" }
-        });
+        const { value, done } = await text.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      },
+      async cancel() {
+        await text.return();
       }
+    });
+    
+    return new Response(body, {
+      headers: {
+        "Content-Type": "application/x-ndjson",
+        "Content-Disposition": `attachment; filename="${meta.objectId}.ndjson"`
+      }
+    });
+  }
+
+  // Export text: entry lines for up to EXPORT_CHUNK_ENTRIES keys at a time,
+  // with large values streamed a chunk at a time
+  async *exportText() {
+    let page = [];
+    for await (const [key, stored] of this.scanStorage()) {
+      if (isInternalKey(key)) {
+        continue;
+      }
+      page.push([key, stored]);
+      if (page.length === EXPORT_CHUNK_ENTRIES) {
+        yield* this.exportEntries(page);
+        page = [];
+      }
+    }
+    yield* this.exportEntries(page);
+  }
+
+  async *exportEntries(page) {
+    let lines = "";
+    for (const batch of chunked(page, MAX_KEYS_PER_CALL / 2)) {
+      const keys = batch.map(([key]) => key);
+      const bookkeeping = await this.storage.get([...keys.map(versionKey), ...keys.map(expiryKey)]);
+      for (const [key, stored] of batch) {
+        const expiresAt = bookkeeping.get(expiryKey(key));
+        if (isExpired(expiresAt)) {
+          continue;
+        }
+        
+        const entry = { type: "entry", key, version: bookkeeping.get(versionKey(key)) || 1 };
+        if (expiresAt !== undefined) {
+          entry.expiresAt = new Date(expiresAt).toISOString();
+        }
+        if (!isChunkManifest(stored)) {
+          lines += JSON.stringify({ ...entry, value: stored }) + "\n";
+          continue;
+        }
+        
+        // The value's JSON goes last, so its chunks can be written as read
+        if (lines) {
+          yield lines;
+          lines = "";
+        }
+        yield JSON.stringify(entry).slice(0, -1) + ',"value":';
+        yield* this.chunkTexts(key, stored);
+        yield "}\n";
+      }
+    }
+    if (lines) {
+      yield lines;
+    }
+  }
+
+  // Restore an NDJSON export in one transaction. ?mode=merge (default) writes
+  // the exported keys over the current state; ?mode=replace deletes every key
+  // first. Either way a key's version becomes the greater of its exported
+  // version and one past its current counter, so versions keep increasing and
+  // compare-and-swap clients cannot be fooled by a restore.
+  async importState(request) {
+    const mode = new URL(request.url).searchParams.get("mode") || "merge";
+    if (mode !== "merge" && mode !== "replace") {
+      throw new HttpError(400, "invalid_request", "mode must be merge or replace");
+    }
+    
+    const lines = await readNdjsonBody(request, this.env);
+    const entries = [];
+    for (const [index, line] of lines.entries()) {
+      if (line.type === "meta") {
+        if (line.format !== EXPORT_FORMAT) {
+          throw new HttpError(400, "invalid_import", `Unsupported export format: ${line.format}`, { line: index + 1 });
+        }
+        continue;
+      }
+      
+      const invalid = validateImportEntry(line);
+      if (invalid) {
+        throw new HttpError(400, "invalid_import", `Invalid entry on line ${index + 1}: ${invalid}`, { line: index + 1 });
+      }
+      entries.push(line);
+    }
+    
+    if (this.schema) {
+      const errors = entries.flatMap(({ key, value }) => stateValueErrors(this.schema, key, value));
+      if (mode === "replace") {
+        const imported = new Set(entries.map(({ key }) => key));
+        for (const key of (this.schema.required || []).filter((key) => !imported.has(key))) {
+          errors.push({ path: pointerOf([key]), message: "is required" });
+        }
+      }
+      if (errors.length > 0) {
+        throw new HttpError(422, "schema_violation", "Imported state does not match the schema", errors);
+      }
+    }
+    
+    const deleted = await this.storage.transaction(async (txn) => {
+      const removed = mode === "replace" ? await this.clearState(txn) : [];
+      
+      for (const chunk of chunked(entries, MAX_KEYS_PER_CALL / 2)) {
+        const versions = await txn.get(chunk.map(({ key }) => versionKey(key)));
+        
+        const writes = {};
+        for (const { key, value, version = 1 } of chunk) {
+          const current = versions.get(versionKey(key));
+          writes[key] = await this.storeChunks(key, value, txn);
+          writes[versionKey(key)] = current === undefined ? version : Math.max(current + 1, version);
+        }
+        await txn.put(writes);
+        
+        for (const { key, expiresAt } of chunk) {
+          await this.setExpiry(key, expiresAt === undefined ? null : parseExpiry({ expiresAt }), txn);
+        }
+      }
+      
+      return removed;
+    });
+    await this.scheduleNextAlarm();
+    
+    const imported = new Set(entries.map(({ key }) => key));
+    const changes = [
+      ...deleted.filter((key) => !imported.has(key)).map((key) => ({ key, value: null })),
+      ...entries.map(({ key, value }) => ({ key, value }))
+    ];
+    if (changes.length > 0) {
+      await this.broadcastChanges(changes);
+    }
+    
+    return new Response(JSON.stringify({
+      success: true,
+      mode,
+      imported: entries.length,
+      deleted: changes.length - entries.length
+    }), {
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Alarms
+  //
+  // A Durable Object has a single alarm, so it is shared between an optional
+  // plain wake-up time, a persisted queue of scheduled method invocations and
+  // the sweeper for expired keys. scheduleNextAlarm() always sets it to the
+  // earliest of these.
+
+  async getAlarmInfo() {
+    const wakeUp = await this.storage.get(ALARM_KEY);
+    const jobs = await this.storage.list({ prefix: JOB_PREFIX });
+    const scheduledTime = await this.storage.getAlarm();
+    
+    return {
+      scheduledTime: scheduledTime === null ? null : new Date(scheduledTime).toISOString(),
+      wakeUp: wakeUp ? new Date(wakeUp.at).toISOString() : null,
+      jobs: [...jobs.values()].sort((a, b) => a.runAt - b.runAt)
+    };
+  }
+
+  // Queue a method invocation and return the job
+  async scheduleJob(data) {
+    const runAt = parseScheduleTime(data);
+    if (runAt === null || typeof data.method !== "string" || data.method === "") {
+      throw new HttpError(400, "invalid_request", "Expected method and at (timestamp or ISO date) or delay (ms)");
+    }
+    const { maxRetries = DEFAULT_JOB_RETRIES, retryDelay = DEFAULT_JOB_RETRY_DELAY } = data;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_JOB_RETRIES) {
+      throw new HttpError(400, "invalid_request", `maxRetries must be an integer from 0 to ${MAX_JOB_RETRIES}`);
+    }
+    if (!Number.isInteger(retryDelay) || retryDelay < 0 || retryDelay > MAX_JOB_RETRY_DELAY) {
+      throw new HttpError(400, "invalid_request", `retryDelay must be an integer from 0 to ${MAX_JOB_RETRY_DELAY} (ms)`);
+    }
+    if (!this.getMethod(data.method)) {
+      throw new HttpError(404, "method_not_found", `Method not found: ${data.method}`);
+    }
+    
+    const job = {
+      id: crypto.randomUUID(),
+      method: data.method,
+      params: data.params || {},
+      runAt,
+      attempts: 0,
+      maxRetries,
+      retryDelay,
+      createdAt: new Date().toISOString()
+    };
+    
+    await this.storage.put(JOB_PREFIX + job.id, job);
+    await this.scheduleNextAlarm();
+    
+    return job;
+  }
+
+  async cancelJob(id) {
+    const deleted = await this.storage.delete(JOB_PREFIX + id);
+    if (!deleted) {
+      throw new HttpError(404, "job_not_found", `Job not found: ${id}`, { id });
+    }
+    await this.scheduleNextAlarm();
+  }
+
+  // Point the storage alarm at the earliest pending wake-up or job
+  async scheduleNextAlarm() {
+    const wakeUp = await this.storage.get(ALARM_KEY);
+    const jobs = await this.storage.list({ prefix: JOB_PREFIX });
+    
+    let next = wakeUp ? wakeUp.at : Infinity;
+    for (const job of jobs.values()) {
+      next = Math.min(next, job.runAt);
+    }
+    
+    const [firstExpiry] = await this.storage.list({ prefix: EXPIRY_INDEX_PREFIX, limit: 1 });
+    if (firstExpiry) {
+      next = Math.min(next, parseExpiryIndexKey(firstExpiry[0]));
+    }
+    
+    const [firstIdempotency] = await this.storage.list({ prefix: IDEMPOTENCY_INDEX_PREFIX, limit: 1 });
+    if (firstIdempotency) {
+      next = Math.min(next, parseIdempotencyIndexKey(firstIdempotency[0]));
+    }
+    
+    if (next === Infinity) {
+      await this.storage.deleteAlarm();
+    } else {
+      await this.storage.setAlarm(next);
+    }
+  }
+
+  // Called by the runtime when the alarm fires. Due jobs run in order; a
+  // failing job is retried with exponential backoff until it runs out of
+  // retries. Every outcome is broadcast to connected sessions.
+  async alarm() {
+    const now = Date.now();
+    
+    const wakeUp = await this.storage.get(ALARM_KEY);
+    if (wakeUp && wakeUp.at <= now) {
+      await this.storage.delete(ALARM_KEY);
+      this.broadcast({ type: "alarm", at: new Date(wakeUp.at).toISOString() });
+    }
+    
+    const jobs = [...(await this.storage.list({ prefix: JOB_PREFIX })).values()]
+      .filter(job => job.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt);
+    
+    for (const job of jobs) {
+      await this.runJob(job);
+    }
+    
+    await this.sweepExpired(now);
+    await this.sweepIdempotencyRecords(now);
+    await this.scheduleNextAlarm();
+  }
+
+  // Delete keys that expired at or before `now`, broadcasting a deletion
+  // update for each. At most SWEEP_LIMIT keys are deleted per run; the alarm
+  // fires again right away for the rest. Keys the schema requires are deleted
+  // too: they were hidden the moment they expired, and the TTL was set on
+  // purpose.
+  async sweepExpired(now) {
+    const due = await this.storage.list({
+      prefix: EXPIRY_INDEX_PREFIX,
+      end: expiryIndexKey(now + 1, ""),
+      limit: SWEEP_LIMIT
+    });
+    
+    for (const [indexKey, key] of due) {
+      await this.storage.transaction(async (txn) => {
+        await this.deleteChunks(key, 0, txn);
+        await txn.delete([key, expiryKey(key), indexKey]);
+      });
+      this.log.debug("Key expired", { key });
+      await this.broadcastUpdate(key, null);
+    }
+  }
+
+  // Forget idempotency keys whose window ended at or before `now`, at most
+  // SWEEP_LIMIT per run
+  async sweepIdempotencyRecords(now) {
+    const due = await this.storage.list({
+      prefix: IDEMPOTENCY_INDEX_PREFIX,
+      end: idempotencyIndexKey(now + 1, ""),
+      limit: SWEEP_LIMIT
+    });
+    
+    for (const chunk of chunked([...due], MAX_KEYS_PER_CALL / 2)) {
+      await this.storage.delete(chunk.flatMap(([indexKey, key]) => [indexKey, idempotencyRecordKey(key)]));
+    }
+  }
+
+  async runJob(job) {
+    job.attempts += 1;
+    
+    try {
+      const result = await this.callMethod(job.method, job.params);
+      await this.storage.delete(JOB_PREFIX + job.id);
+      this.broadcast({
+        type: "job",
+        id: job.id,
+        method: job.method,
+        success: true,
+        attempts: job.attempts,
+        result
+      });
+    } catch (error) {
+      this.log.error("Scheduled job failed", { jobId: job.id, method: job.method, attempts: job.attempts, error });
+      
+      const retrying = job.attempts <= job.maxRetries;
+      if (retrying) {
+        job.runAt = Date.now() + job.retryDelay * 2 ** (job.attempts - 1);
+        await this.storage.put(JOB_PREFIX + job.id, job);
+      } else {
+        await this.storage.delete(JOB_PREFIX + job.id);
+      }
+      
+      this.broadcast({
+        type: "job",
+        id: job.id,
+        method: job.method,
+        success: false,
+        attempts: job.attempts,
+        retrying,
+        nextRunAt: retrying ? new Date(job.runAt).toISOString() : null,
+        error: error.message
+      });
+    }
+  }
+
+  // Handle WebSocket connections
+  //
+  // Sockets are accepted through the WebSocket Hibernation API: the runtime
+  // keeps the connection open while the object is evicted from memory, and
+  // wakes it up again through webSocketMessage/webSocketClose/webSocketError.
+  // Anything a session needs to remember is kept in its serialized attachment.
+  //
+  // Sessions receive updates for every key until they subscribe to specific
+  // keys or prefixes, either with ?keys=a,b&prefixes=user: on the upgrade URL
+  // or with "subscribe" messages.
+  //
+  // A reconnecting session passes ?since=<seq> (the last sequence number it
+  // saw) to have the changes it missed replayed instead of a full snapshot.
+  // When the change log no longer reaches back that far, the session gets a
+  // full snapshot with resync: true.
+  async handleWebSocketUpgrade(request, subPath = "/") {
+    const url = new URL(request.url);
+    const since = url.searchParams.has("since") ? parseSequence(url.searchParams.get("since")) : undefined;
+    if (since === null) {
+      return errorResponse(400, "invalid_request", "Expected since to be a sequence number");
+    }
+    
+    const keys = url.searchParams.get("keys");
+    const prefixes = url.searchParams.get("prefixes");
+    const subscriptions = keys !== null || prefixes !== null
+      ? addSubscriptions(emptySubscriptions(), splitList(keys), splitList(prefixes))
+      : null;
+    
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    
+    // Generate a session ID
+    const sessionId = crypto.randomUUID();
+    
+    // Accept the WebSocket connection, tagged with its session ID
+    this.state.acceptWebSocket(server, [sessionId]);
+    server.serializeAttachment({
+      sessionId,
+      path: subPath,
+      client: clientIdentity(request),
+      connectedAt: new Date().toISOString(),
+      subscriptions
+    });
+    this.requestLog(request).debug("WebSocket session connected", { sessionId, path: subPath });
+    this.metrics.sessions.opened++;
+    
+    // Send the missed changes or the initial state, limited to the session's
+    // subscriptions
+    const init = { type: "init", sessionId, path: subPath, subscriptions, seq: this.sequence };
+    const missed = since === undefined ? null : await this.changesSince(since);
+    if (missed) {
+      init.since = since;
+      init.changes = missed.filter(({ key }) => isSubscribed(subscriptions, key));
+    } else {
+      if (since !== undefined) {
+        init.resync = true;
+      }
+      const { state, chunked } = await this.snapshotState(subscriptions);
+      init.state = state;
+      if (chunked.length > 0) {
+        init.chunked = chunked;
+      }
+    }
+    server.send(JSON.stringify(init));
+    
+    return new Response(null, {
+      status: 101,
+      webSocket: client
+    });
+  }
+
+  // Session metadata stored with a hibernatable WebSocket
+  getSession(ws) {
+    return ws.deserializeAttachment() || {};
+  }
+
+  // Handle subscribe/unsubscribe messages. Subscribing replies with a
+  // snapshot of the newly covered keys; `all: true` subscribes to (or
+  // unsubscribes from) every key. A session receiving every key cannot drop
+  // single keys, which would leave it subscribed to nothing; it subscribes
+  // to the keys it wants instead.
+  async updateSubscriptions(ws, message) {
+    const keys = message.keys === undefined ? [] : message.keys;
+    const prefixes = message.prefixes === undefined ? [] : message.prefixes;
+    if (!isStringList(keys) || !isStringList(prefixes)) {
+      throw new HttpError(400, "invalid_subscription", "keys and prefixes must be arrays of strings");
+    }
+    
+    const session = this.getSession(ws);
+    let subscriptions;
+    let added = null;
+    
+    if (message.type === "subscribe") {
+      if (message.all) {
+        subscriptions = null;
+      } else {
+        added = addSubscriptions(emptySubscriptions(), keys, prefixes);
+        // A session receiving every key narrows to the requested ones
+        subscriptions = session.subscriptions ? addSubscriptions(session.subscriptions, keys, prefixes) : added;
+      }
+    } else if (message.all) {
+      subscriptions = emptySubscriptions();
+    } else if (!session.subscriptions) {
+      if (keys.length > 0 || prefixes.length > 0) {
+        throw new HttpError(400, "invalid_subscription", "Cannot unsubscribe from keys while subscribed to every key; subscribe to the keys to keep instead");
+      }
+      subscriptions = null;
+    } else {
+      subscriptions = {
+        keys: session.subscriptions.keys.filter((key) => !keys.includes(key)),
+        prefixes: session.subscriptions.prefixes.filter((prefix) => !prefixes.includes(prefix))
+      };
+    }
+    
+    ws.serializeAttachment({ ...session, subscriptions });
+    
+    if (message.type === "unsubscribe") {
+      return { subscriptions };
+    }
+    const { state, chunked } = await this.snapshotState(added);
+    return chunked.length > 0 ? { subscriptions, state, chunked } : { subscriptions, state };
+  }
+
+  // Called by the runtime for every message on an accepted WebSocket
+  async webSocketMessage(ws, data) {
+    let message;
+    try {
+      const text = typeof data === "string" ? data : new TextDecoder().decode(data);
+      message = JSON.parse(text);
+    } catch (error) {
+      ws.send(JSON.stringify({
+        type: "error",
+        code: "invalid_json",
+        error: "Failed to parse message"
+      }));
+      return;
+    }
+    
+    if (!isPlainObject(message)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        code: "invalid_message",
+        error: "Messages must be JSON objects"
+      }));
+      return;
+    }
+    
+    const { client, sessionId } = this.getSession(ws);
+    const method = message.type === "method" ? String(message.method || "").replace(/^method_/, "") : null;
+    const limited = this.takeRateLimitTokens(client || sessionId, method);
+    if (limited) {
+      ws.send(JSON.stringify({
+        type: "error",
+        id: message.id,
+        code: "rate_limited",
+        error: `Rate limit exceeded (${limited.scope})`,
+        ...limited
+      }));
+      return;
+    }
+    
+    try {
+      const reply = await this.handleSocketMessage(ws, message);
+      ws.send(JSON.stringify({
+        type: "response",
+        id: message.id,
+        success: true,
+        ...reply
+      }));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        this.log.error("Error handling WebSocket message", { sessionId, error });
+      }
+      
+      const { code, details } = error instanceof HttpError ? error : { code: "internal_error", details: null };
+      ws.send(JSON.stringify({
+        type: "response",
+        id: message.id,
+        success: false,
+        error: error.message,
+        code,
+        ...(details ? { details } : {})
+      }));
+    }
+  }
+
+  // Handle one parsed WebSocket message. Returns the fields of the success
+  // response; failures are thrown as HttpErrors.
+  async handleSocketMessage(ws, message) {
+    if (message.type === "batch") {
+      const invalid = validateBatch(message.operations);
+      if (invalid) {
+        throw new HttpError(400, "invalid_batch", `Invalid batch: ${invalid}`);
+      }
+      
+      const outcome = await this.executeBatch(message.operations);
+      if (!outcome.success) {
+        throw new HttpError(409, "batch_conflict", `Compare-and-set failed at operation ${outcome.failedIndex}`, {
+          failedIndex: outcome.failedIndex,
+          results: outcome.results
+        });
+      }
+      return { results: outcome.results };
+    } else if (message.type === "schedule") {
+      return { job: await this.scheduleJob(message) };
+    } else if (message.type === "unschedule") {
+      await this.cancelJob(message.jobId);
+      return {};
+    } else if (message.type === "alarm") {
+      return { result: await this.getAlarmInfo() };
+    } else if (message.type === "methods") {
+      return { result: this.listMethods() };
+    } else if (message.type === "subscribe" || message.type === "unsubscribe") {
+      return this.updateSubscriptions(ws, message);
+    } else if (message.type === "atomic") {
+      const { type, id, op, key, ...params } = message;
+      return { result: await this.applyAtomic(key, op, params) };
+    } else if (message.type === "method") {
+      // Older clients send the full method_{name} function name
+      const name = String(message.method || "").replace(/^method_/, "");
+      const params = message.params || {};
+      if (message.idempotencyKey === undefined) {
+        return { result: await this.callMethod(name, params) };
+      }
+      
+      const fingerprint = `method ${name} ${await digestHex(new TextEncoder().encode(JSON.stringify(params)))}`;
+      const { outcome, replayed } = await this.idempotent(message.idempotencyKey, fingerprint, async () => ({
+        result: await this.callMethod(name, params)
+      }));
+      return replayed ? { ...outcome, replayed } : outcome;
+    }
+    
+    throw new HttpError(400, "unknown_message_type", `Unknown message type: ${message.type}`);
+  }
+
+  // Called by the runtime when a client closes its WebSocket
+  async webSocketClose(ws, code, reason, wasClean) {
+    const { sessionId } = this.getSession(ws);
+    this.log.debug("WebSocket session closed", { sessionId, code });
+    this.metrics.sessions.closed++;
+    
+    // Complete the closing handshake; 1005/1006 are reserved and cannot be sent
+    try {
+      ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  // Called by the runtime when a WebSocket fails
+  async webSocketError(ws, error) {
+    const { sessionId } = this.getSession(ws);
+    this.log.error("WebSocket session error", { sessionId, error });
+    
+    try {
+      ws.close(1011, "WebSocket error");
+    } catch (closeError) {
+      // Already closed
+    }
+  }
+
+  // Change log
+  //
+  // Every change broadcast to sessions is first appended to a persisted log
+  // under __cfd:log:, stamped with an increasing sequence number. The log
+  // keeps the last CHANGE_LOG_LIMIT (default 1000) entries.
+
+  // Append changes ({ key, value }, value null for deletes) to the log and
+  // return them as entries { seq, key, value, timestamp }; large values are
+  // replaced by { chunked: true, bytes }, to be fetched over HTTP. Sequence
+  // numbers are taken before the first write, so concurrent changes are
+  // logged in order.
+  async recordChanges(changes) {
+    const limit = changeLogLimit(this.env);
+    const timestamp = new Date().toISOString();
+    const writes = {};
+    const trimmed = [];
+    
+    const entries = changes.map(({ key, value }) => {
+      const seq = ++this.sequence;
+      const entry = { seq, key, ...changedValue(value), timestamp };
+      writes[changeLogKey(seq)] = entry;
+      if (seq > limit) {
+        trimmed.push(changeLogKey(seq - limit));
+      }
+      return entry;
+    });
+    writes[SEQUENCE_KEY] = this.sequence;
+    
+    for (const chunk of chunked(Object.entries(writes), MAX_KEYS_PER_CALL)) {
+      await this.storage.put(Object.fromEntries(chunk));
+    }
+    for (const chunk of chunked(trimmed, MAX_KEYS_PER_CALL)) {
+      await this.storage.delete(chunk);
+    }
+    
+    return entries;
+  }
+
+  // Log entries after `since`, or null when some have been trimmed (or
+  // `since` is ahead of the log)
+  async changesSince(since) {
+    if (since > this.sequence) {
+      return null;
+    }
+    if (since === this.sequence) {
+      return [];
+    }
+    
+    const log = await this.storage.list({
+      start: changeLogKey(since + 1),
+      end: changeLogKey(this.sequence + 1)
+    });
+    const entries = [...log.values()];
+    return entries.length > 0 && entries[0].seq === since + 1 ? entries : null;
+  }
+
+  // Broadcast an update to the WebSocket clients subscribed to the key
+  async broadcastUpdate(key, value) {
+    const [entry] = await this.recordChanges([{ key, value }]);
+    const update = JSON.stringify({ type: "update", ...entry });
+    
+    this.deliver(() => {
+      let recipients = 0;
+      for (const ws of this.state.getWebSockets()) {
+        if (isSubscribed(this.getSession(ws).subscriptions, key)) {
+          send(ws, update);
+          recipients++;
+        }
+      }
+      this.recordBroadcast("update", recipients);
+    });
+  }
+
+  // Broadcast a patch to a key as a "patch" frame. The change log records the
+  // resulting value, so replays carry whole values.
+  async broadcastPatch(key, value, format, patch, version) {
+    const [{ seq, timestamp }] = await this.recordChanges([{ key, value }]);
+    const frame = JSON.stringify({ type: "patch", key, format, patch, version, seq, timestamp });
+    
+    this.deliver(() => {
+      let recipients = 0;
+      for (const ws of this.state.getWebSockets()) {
+        if (isSubscribed(this.getSession(ws).subscriptions, key)) {
+          send(ws, frame);
+          recipients++;
+        }
+      }
+      this.recordBroadcast("patch", recipients);
+    });
+  }
+
+  // Broadcast a set of changes as one "batch" frame, giving each client only
+  // the changes to keys it is subscribed to
+  async broadcastChanges(changes) {
+    const entries = await this.recordChanges(changes);
+    const { seq, timestamp } = entries[entries.length - 1];
+    
+    this.deliver(() => {
+      let recipients = 0;
+      for (const ws of this.state.getWebSockets()) {
+        const { subscriptions } = this.getSession(ws);
+        const visible = entries
+          .filter(({ key }) => isSubscribed(subscriptions, key))
+          .map(({ timestamp, ...change }) => change);
+        if (visible.length > 0) {
+          send(ws, JSON.stringify({ type: "batch", changes: visible, seq, timestamp }));
+          recipients++;
+        }
+      }
+      this.recordBroadcast("batch", recipients);
+    });
+  }
+
+  // Send a message to all connected WebSocket clients
+  broadcast(message) {
+    const update = JSON.stringify(message);
+    
+    this.deliver(() => {
+      const sockets = this.state.getWebSockets();
+      for (const ws of sockets) {
+        send(ws, update);
+      }
+      this.recordBroadcast(message.type || "message", sockets.length);
+    });
+  }
+  
+  // Send broadcast frames now, or hold them until the method transaction in
+  // progress commits (see callMethod)
+  deliver(sendFrames) {
+    if (this.heldBroadcasts) {
+      this.heldBroadcasts.push(sendFrames);
+    } else {
+      sendFrames();
+    }
+  }
+}
+
+// Send to a socket that may be closing; the runtime will call webSocketClose
+// for it
+function send(ws, message) {
+  try {
+    ws.send(message);
+  } catch (error) {
+    // Closing
+  }
+}
+
+// Built-in example methods, callable via HTTP or WebSocket
+DurableObject.defineMethods({
+  echo: {
+    description: "Returns its parameters unchanged",
+    async handler(data) {
+      return data;
+    }
+  },
+  
+  increment: {
+    description: "Adds `increment` (default 1) to the `value` key",
+    schema: {
+      type: "object",
+      properties: { increment: { type: "number" } }
+    },
+    async handler(data) {
+      const { value } = await this.applyAtomic("value", "increment", { by: data.increment || 1 });
+      this.log.debug("Counter incremented", { value });
+      
+      // Return new value
+      return { value };
+    }
+  },
+  
+  update: {
+    description: "Replaces the content of the `document` key and bumps its version",
+    schema: {
+      type: "object",
+      required: ["content"],
+      properties: { content: { type: "string" } }
+    },
+    async handler(data) {
+      if (!data.content) {
+        throw new Error("Content is required");
+      }
+      
+      // Get current document state
+      let doc = await this.storage.get("document") || {
+        content: "",
+        version: 0,
+        lastModified: new Date().toISOString()
+      };
+      
+      // Update document
+      doc.content = data.content;
+      doc.version = (doc.version || 0) + 1;
+      doc.lastModified = new Date().toISOString();
+      
+      // Store updated document
+      await this.storage.transaction((txn) => this.writeValue("document", doc, txn));
+      
+      // Notify connected clients
+      await this.broadcastUpdate("document", doc);
+      
+      return doc;
+    }
+  }
+});
+
+// A collaborative plain-text document, edited with operational transform.
+// Serve it from its own binding (see wrangler.toml) and address it through
+// its namespace, e.g. /namespace/documents/object/{id}/document.
+//
+// An edit is a list of {type: "insert", position, text} and
+// {type: "delete", position, length} operations, with positions counted in
+// Unicode code points and each operation applying to the text left by the one
+// before. Every edit names the revision it was made against; the object
+// transforms it over the edits committed since, applies it as the next
+// revision and sends the transformed operations to the other sessions as an
+// "edit" message. Clients converge by transforming those over their own
+// unacknowledged edits, with the committed edit going first on ties.
+export class TextDocument extends DurableObject {
+  constructor(state, env) {
+    super(state, env);
+    
+    // The text, its revision and the edits after revision `historyStart` are
+    // kept in memory, so edits are transformed and applied without yielding
+    this.document = { text: "", revision: 0 };
+    this.history = [];
+    this.historyStart = 0;
+    state.blockConcurrencyWhile(() => this.loadDocument());
+  }
+
+  resetState() {
+    super.resetState();
+    this.document = { text: "", revision: 0 };
+    this.history = [];
+    this.historyStart = 0;
+  }
+
+  // Rebuild the text from the latest snapshot and the edits after it
+  async loadDocument() {
+    const snapshot = (await this.storage.get(DOCUMENT_SNAPSHOT_KEY)) || { text: "", revision: 0 };
+    this.history = [...(await this.storage.list({ prefix: DOCUMENT_EDIT_PREFIX })).values()];
+    this.historyStart = this.history.length > 0 ? this.history[0].revision - 1 : snapshot.revision;
+    
+    let { text, revision } = snapshot;
+    for (const edit of this.history) {
+      if (edit.revision > revision) {
+        text = applyTextOperations(text, edit.ops);
+        revision = edit.revision;
+      }
+    }
+    this.document = { text, revision };
+  }
+
+  async handleGet(path, request) {
+    if (path === "/document") {
+      return new Response(JSON.stringify(this.document), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    if (path === "/document/edits") {
+      const since = Number(new URL(request.url).searchParams.get("since") || 0);
+      return new Response(JSON.stringify(this.editsSince(since)), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    return super.handleGet(path, request);
+  }
+
+  async handlePost(path, data, request) {
+    if (path === "/document/edits") {
+      // commitEdit checks the revision and operations themselves
+      if (!isPlainObject(data)) {
+        throw new HttpError(400, "invalid_request", "Expected a JSON object with revision and ops");
+      }
+      const edit = await this.commitEdit(data.revision, data.ops);
+      this.broadcastEdit(edit);
+      
+      return new Response(JSON.stringify({ success: true, revision: edit.revision, ops: edit.ops }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    
+    return super.handlePost(path, data, request);
+  }
+
+  async handleSocketMessage(ws, message) {
+    if (message.type === "edit") {
+      const edit = await this.commitEdit(message.revision, message.ops, this.getSession(ws).sessionId);
+      this.broadcastEdit(edit, ws);
+      return { revision: edit.revision, ops: edit.ops };
+    } else if (message.type === "document") {
+      return this.document;
+    } else if (message.type === "edits") {
+      return this.editsSince(message.since);
+    }
+    
+    return super.handleSocketMessage(ws, message);
+  }
+
+  // The committed edits after revision `since`, for catching up after a
+  // disconnect. Throws a 410 once they are no longer kept.
+  editsSince(since) {
+    this.checkRevision(since, "since");
+    return { revision: this.document.revision, edits: this.history.slice(since - this.historyStart) };
+  }
+
+  // Transform `ops`, made against `revision`, over the edits committed since
+  // and commit the result as the next revision. The document is updated in
+  // memory before the first await, so edits are transformed one at a time;
+  // if storing the edit fails, it is reloaded from storage.
+  async commitEdit(revision, ops, sessionId = null) {
+    const invalid = validateTextOperations(ops);
+    if (invalid) {
+      throw new HttpError(400, "invalid_operation", `Invalid text operation: ${invalid}`);
+    }
+    this.checkRevision(revision, "revision");
+    
+    const concurrent = this.history.slice(revision - this.historyStart).flatMap(({ ops }) => ops);
+    const [transformed] = transformTextOperations(ops.map(normalizeTextOperation), concurrent, "right");
+    const text = applyTextOperations(this.document.text, transformed);
+    
+    const edit = { revision: this.document.revision + 1, ops: transformed, sessionId, timestamp: Date.now() };
+    this.document = { text, revision: edit.revision };
+    this.history.push(edit);
+    
+    // Snapshots are taken more often than the history is trimmed, so the
+    // edits after the latest snapshot are always kept
+    let trimmed = [];
+    if (this.history.length > DOCUMENT_HISTORY_LIMIT) {
+      trimmed = this.history.splice(0, this.history.length - DOCUMENT_HISTORY_LIMIT);
+      this.historyStart += trimmed.length;
+    }
+    
+    try {
+      await this.storage.put(documentEditKey(edit.revision), edit);
+      if (edit.revision % DOCUMENT_SNAPSHOT_INTERVAL === 0) {
+        await this.storage.put(DOCUMENT_SNAPSHOT_KEY, { text, revision: edit.revision });
+      }
+      for (const keys of chunked(trimmed.map(({ revision }) => documentEditKey(revision)), MAX_KEYS_PER_CALL)) {
+        await this.storage.delete(keys);
+      }
+    } catch (error) {
+      await this.loadDocument();
+      throw error;
+    }
+    
+    return edit;
+  }
+
+  checkRevision(revision, name) {
+    if (!Number.isInteger(revision) || revision < 0 || revision > this.document.revision) {
+      throw new HttpError(400, "invalid_revision", `${name} must be an integer between 0 and ${this.document.revision}`, {
+        revision: this.document.revision
+      });
+    }
+    
+    if (revision < this.historyStart) {
+      throw new HttpError(410, "revision_too_old", `Edits before revision ${this.historyStart} are no longer kept; reload the document`, {
+        revision: this.document.revision,
+        historyStart: this.historyStart
+      });
+    }
+  }
+
+  // Send a committed edit to every session except the one that made it
+  broadcastEdit(edit, sender = null) {
+    const frame = JSON.stringify({ type: "edit", ...edit });
+    
+    let recipients = 0;
+    for (const ws of this.state.getWebSockets()) {
+      if (ws !== sender) {
+        send(ws, frame);
+        recipients++;
+      }
+    }
+    this.recordBroadcast("edit", recipients);
+  }
+}
+
+// Error responses
+//
+// Every error is returned as {"error": {"code", "message", "details"}} with a
+// matching status: 400 for malformed requests, 404 for unknown routes, keys
+// and methods, 409/412 for conflicts, 413 for oversize bodies and 415 for
+// bodies that are not JSON.
+
+function errorResponse(status, code, message, details = null, headers = {}) {
+  return new Response(JSON.stringify({ error: { code, message, details } }), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers }
+  });
+}
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+// Read a JSON request body, enforcing MAX_BODY_BYTES (default 1 MiB) or
+// `maxBytes` and a JSON content type. An empty body reads as {}; any other
+// JSON value, null included, is returned as is for the route to check.
+// Throws an HttpError.
+async function readJsonBody(request, env, maxBytes = Number(env && env.MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES) {
+  const body = await readBody(request, maxBytes);
+  if (body.byteLength === 0) {
+    return {};
+  }
+  
+  const contentType = mediaType(request);
+  if (contentType !== "application/json" && !contentType.endsWith("+json")) {
+    throw new HttpError(415, "unsupported_media_type", "Request body must be application/json", {
+      contentType: contentType || null
+    });
+  }
+  
+  try {
+    return JSON.parse(new TextDecoder().decode(body));
+  } catch (error) {
+    throw new HttpError(400, "invalid_json", `Invalid JSON body: ${error.message}`);
+  }
+}
+
+const DEFAULT_MAX_IMPORT_BYTES = 32 * 1024 * 1024;
+
+// Read an NDJSON request body (one JSON object per line, blank lines
+// ignored), enforcing MAX_IMPORT_BYTES (default 32 MiB). Throws an HttpError.
+async function readNdjsonBody(request, env) {
+  const maxBytes = Number(env && env.MAX_IMPORT_BYTES) || DEFAULT_MAX_IMPORT_BYTES;
+  
+  const contentType = mediaType(request);
+  if (contentType !== "application/x-ndjson" && contentType !== "application/jsonl") {
+    throw new HttpError(415, "unsupported_media_type", "Request body must be application/x-ndjson", {
+      contentType: contentType || null
+    });
+  }
+  
+  const text = new TextDecoder().decode(await readBody(request, maxBytes));
+  const lines = [];
+  for (const [index, line] of text.split("\n").entries()) {
+    if (line.trim() === "") {
+      continue;
+    }
+    
+    try {
+      lines.push(JSON.parse(line));
+    } catch (error) {
+      throw new HttpError(400, "invalid_json", `Invalid JSON on line ${index + 1}: ${error.message}`, { line: index + 1 });
+    }
+  }
+  return lines;
+}
+
+async function readBody(request, maxBytes) {
+  const declaredLength = Number(request.headers.get("Content-Length"));
+  if (declaredLength > maxBytes) {
+    throw new HttpError(413, "payload_too_large", `Request body exceeds ${maxBytes} bytes`, { limit: maxBytes });
+  }
+  
+  const body = await request.arrayBuffer();
+  if (body.byteLength > maxBytes) {
+    throw new HttpError(413, "payload_too_large", `Request body exceeds ${maxBytes} bytes`, { limit: maxBytes });
+  }
+  return body;
+}
+
+function mediaType(request) {
+  return (request.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Keys under this prefix hold bookkeeping (versions and the like) and are
+// never exposed through the state API
+const INTERNAL_PREFIX = "__cfd:";
+
+function isInternalKey(key) {
+  return key.startsWith(INTERNAL_PREFIX);
+}
+
+function versionKey(key) {
+  return `${INTERNAL_PREFIX}version:${key}`;
+}
+
+// Versions from an If-Match / If-None-Match header, e.g. `"3", W/"4"`
+function parseETags(header) {
+  return header.split(",").map(tag => tag.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"));
+}
+
+// Large values
+
+const CHUNK_PREFIX = `${INTERNAL_PREFIX}chunk:`;
+const CHUNK_MANIFEST_FIELD = `${INTERNAL_PREFIX}chunked`;
+const DEFAULT_MAX_VALUE_BYTES = 32 * 1024 * 1024;
+
+// Chunks hold this many UTF-16 code units of JSON, at most 120 KiB of storage
+const VALUE_CHUNK_CHARS = 60 * 1024;
+
+// Room for the {"value": ...} envelope and options around a PUT value
+const VALUE_ENVELOPE_BYTES = 4096;
+
+// How a change's value appears in the log and WebSocket messages
+function changedValue(value) {
+  const json = JSON.stringify(value);
+  return json !== undefined && json.length > VALUE_CHUNK_CHARS
+    ? { chunked: true, bytes: utf8Length(json) }
+    : { value };
+}
+
+// Zero-padded so a key's chunks sort in order
+function valueChunkKey(key, index) {
+  return `${CHUNK_PREFIX}${key}:${String(index).padStart(6, "0")}`;
+}
+
+function isChunkManifest(value) {
+  return isPlainObject(value) && value[CHUNK_MANIFEST_FIELD] === true;
+}
+
+function maxValueBytes(env) {
+  return Number(env && env.MAX_VALUE_BYTES) || DEFAULT_MAX_VALUE_BYTES;
+}
+
+// Split text into pieces of at most `size` UTF-16 code units, never between
+// the two halves of a surrogate pair
+function splitText(text, size) {
+  const pieces = [];
+  for (let start = 0; start < text.length;) {
+    let end = Math.min(start + size, text.length);
+    const last = text.charCodeAt(end - 1);
+    if (end < text.length && last >= 0xd800 && last <= 0xdbff) {
+      end--;
+    }
+    pieces.push(text.substring(start, end));
+    start = end;
+  }
+  return pieces;
+}
+
+function utf8Length(text) {
+  return new TextEncoder().encode(text).byteLength;
+}
+
+// Key expiry
+
+const EXPIRY_PREFIX = `${INTERNAL_PREFIX}expires:`;
+const EXPIRY_INDEX_PREFIX = `${INTERNAL_PREFIX}expiry:`;
+const SWEEP_LIMIT = 1000;
+
+function expiryKey(key) {
+  return EXPIRY_PREFIX + key;
+}
+
+// Zero-padded so index keys sort by expiry time
+function expiryIndexKey(at, key) {
+  return `${EXPIRY_INDEX_PREFIX}${String(at).padStart(15, "0")}:${key}`;
+}
+
+function parseExpiryIndexKey(indexKey) {
+  return Number(indexKey.substring(EXPIRY_INDEX_PREFIX.length, EXPIRY_INDEX_PREFIX.length + 15));
+}
+
+function isExpired(expiresAt) {
+  return expiresAt !== undefined && expiresAt <= Date.now();
+}
+
+// When a key expires, from `ttl` (ms from now) or `expiresAt` (ms timestamp
+// or ISO date). Returns undefined when neither is given, null when invalid.
+function parseExpiry({ ttl, expiresAt }) {
+  if (ttl !== undefined && ttl !== null) {
+    const ms = Number(ttl);
+    return Number.isFinite(ms) && ms > 0 ? Date.now() + ms : null;
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const at = typeof expiresAt === "number" || /^\d+$/.test(expiresAt) ? Number(expiresAt) : Date.parse(expiresAt);
+    return Number.isFinite(at) ? at : null;
+  }
+  return undefined;
+}
+
+// Idempotency keys
+//
+// Writes sent with an Idempotency-Key header, and WebSocket method calls with
+// an idempotencyKey, run once: the first successful outcome is kept for
+// IDEMPOTENCY_WINDOW_SECONDS (default one day) and replayed to repeats. Kept
+// outcomes are indexed by expiry time for the alarm to sweep.
+
+const IDEMPOTENCY_PREFIX = `${INTERNAL_PREFIX}idempotency:`;
+const IDEMPOTENCY_INDEX_PREFIX = `${INTERNAL_PREFIX}idempotency-expiry:`;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const DEFAULT_IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Outcomes larger than this are not kept, staying under the 128 KiB storage
+// value limit
+const MAX_IDEMPOTENCY_RECORD_BYTES = 120 * 1024;
+
+function idempotencyRecordKey(key) {
+  return IDEMPOTENCY_PREFIX + key;
+}
+
+// Zero-padded so index keys sort by expiry time
+function idempotencyIndexKey(at, key) {
+  return `${IDEMPOTENCY_INDEX_PREFIX}${String(at).padStart(15, "0")}:${key}`;
+}
+
+function parseIdempotencyIndexKey(indexKey) {
+  return Number(indexKey.substring(IDEMPOTENCY_INDEX_PREFIX.length, IDEMPOTENCY_INDEX_PREFIX.length + 15));
+}
+
+// The idempotency window in ms
+function idempotencyWindow(env) {
+  const seconds = Number(env.IDEMPOTENCY_WINDOW_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_IDEMPOTENCY_WINDOW_SECONDS) * 1000;
+}
+
+async function digestHex(data) {
+  return toHex(await crypto.subtle.digest("SHA-256", data));
+}
+
+const ALARM_KEY = `${INTERNAL_PREFIX}alarm`;
+const JOB_PREFIX = `${INTERNAL_PREFIX}job:`;
+const DEFAULT_JOB_RETRIES = 3;
+const DEFAULT_JOB_RETRY_DELAY = 1000;
+
+// Retries back off exponentially from retryDelay, so both are bounded
+const MAX_JOB_RETRIES = 10;
+const MAX_JOB_RETRY_DELAY = 60 * 60 * 1000;
+
+// When to run something, from `at` (ms timestamp or ISO date) or `delay` (ms).
+// Returns a ms timestamp, or null if `data` is not an object or neither is
+// usable.
+function parseScheduleTime(data) {
+  if (!isPlainObject(data)) {
+    return null;
+  }
+  if (data.at !== undefined && data.at !== null) {
+    const at = typeof data.at === "number" ? data.at : Date.parse(data.at);
+    return Number.isFinite(at) ? at : null;
+  }
+  if (data.delay !== undefined && data.delay !== null) {
+    const delay = Number(data.delay);
+    return Number.isFinite(delay) && delay >= 0 ? Date.now() + delay : null;
+  }
+  return null;
+}
+
+// Validate a value against a JSON Schema subset: type, enum, const,
+// properties, required, additionalProperties, items, minItems, maxItems,
+// minimum, maximum, minLength, maxLength and pattern. Returns a list of
+// { path, message } errors, empty when the value is valid.
+function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const at = path || "/";
+  
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path: at, message: `must be of type ${types.join(" or ")}` });
+      return errors;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}` });
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}/${index}`)));
+    }
+  }
+  
+  if (matchesType("object", value)) {
+    for (const property of schema.required || []) {
+      if (!(property in value)) {
+        errors.push({ path: `${path}/${property}`, message: "is required" });
+      }
+    }
+    
+    const properties = schema.properties || {};
+    for (const [property, propertyValue] of Object.entries(value)) {
+      if (properties[property]) {
+        errors.push(...validateSchema(properties[property], propertyValue, `${path}/${property}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${property}`, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}/${property}`));
+      }
+    }
+  }
+  
+  return errors;
+}
+
+// Schema checks
+//
+// State schemas come from clients, so initialize checks them with
+// schemaErrors before storing them and validateSchema can trust their shape.
+// `pattern` keywords are compiled once and cached; initialize refuses patterns
+// that do not compile, are longer than MAX_SCHEMA_PATTERN_LENGTH, use
+// backreferences or repeat a group that itself contains a quantifier, such as
+// (a+)+ — the usual causes of catastrophic backtracking.
+
+const MAX_SCHEMA_PATTERN_LENGTH = 256;
+const MAX_CACHED_PATTERNS = 1000;
+const patternCache = new Map();
+
+function compilePattern(source) {
+  let regexp = patternCache.get(source);
+  if (!regexp) {
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.clear();
+    }
+    regexp = new RegExp(source);
+    patternCache.set(source, regexp);
+  }
+  return regexp;
+}
+
+// Why a pattern is refused, or null
+function patternProblem(source) {
+  if (typeof source !== "string") {
+    return "must be a string";
+  }
+  if (source.length > MAX_SCHEMA_PATTERN_LENGTH) {
+    return `must be at most ${MAX_SCHEMA_PATTERN_LENGTH} characters`;
+  }
+  try {
+    compilePattern(source);
+  } catch (error) {
+    return `is not a valid regular expression: ${error.message}`;
+  }
+  
+  // For each open group, whether it contains a quantifier
+  const groups = [];
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (char === "\\") {
+      if (/[1-9k]/.test(source[index + 1] || "")) {
+        return "may not use backreferences";
+      }
+      index++;
+    } else if (char === "[") {
+      for (index++; index < source.length && source[index] !== "]"; index++) {
+        if (source[index] === "\\") {
+          index++;
+        }
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      const quantified = groups.pop();
+      if (quantified && /[*+{]/.test(source[index + 1] || "")) {
+        return "may not repeat a group that contains a quantifier";
+      }
+      if (quantified && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ((char === "*" || char === "+" || char === "{") && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+// Errors for everything in a schema that validateSchema cannot use, as JSON
+// Pointers into the schema: members of the wrong shape, unknown types and
+// refused patterns
+function schemaErrors(schema, tokens = []) {
+  if (!isPlainObject(schema)) {
+    return [{ path: pointerOf(tokens), message: "must be a JSON Schema object" }];
+  }
+  
+  const errors = [];
+  const fail = (member, message) => errors.push({ path: pointerOf([...tokens, member]), message: `${member} ${message}` });
+  
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || !types.every((type) => SCHEMA_TYPES.includes(type))) {
+      fail("type", `must be one of ${SCHEMA_TYPES.join(", ")} or a non-empty array of them`);
+    }
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    fail("enum", "must be an array");
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every((key) => typeof key === "string"))) {
+    fail("required", "must be an array of strings");
+  }
+  for (const member of ["minimum", "maximum"]) {
+    if (schema[member] !== undefined && !Number.isFinite(schema[member])) {
+      fail(member, "must be a number");
+    }
+  }
+  for (const member of ["minLength", "maxLength", "minItems", "maxItems"]) {
+    if (schema[member] !== undefined && !(Number.isInteger(schema[member]) && schema[member] >= 0)) {
+      fail(member, "must be a non-negative integer");
+    }
+  }
+  if (schema.pattern !== undefined) {
+    const problem = patternProblem(schema.pattern);
+    if (problem) {
+      fail("pattern", problem);
+    }
+  }
+  
+  for (const member of ["properties", "methods"]) {
+    if (schema[member] === undefined) {
+      continue;
+    }
+    if (!isPlainObject(schema[member])) {
+      fail(member, "must be an object of schemas");
+      continue;
+    }
+    for (const [name, child] of Object.entries(schema[member])) {
+      errors.push(...schemaErrors(child, [...tokens, member, name]));
+    }
+  }
+  if (schema.items !== undefined) {
+    errors.push(...schemaErrors(schema.items, [...tokens, "items"]));
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== "boolean") {
+    errors.push(...schemaErrors(schema.additionalProperties, [...tokens, "additionalProperties"]));
+  }
+  return errors;
+}
+
+const SCHEMA_TYPES = ["null", "boolean", "number", "integer", "string", "array", "object"];
+
+function matchesType(type, value) {
+  switch (type) {
+    case "null": return value === null;
+    case "boolean": return typeof value === "boolean";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "string": return typeof value === "string";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+// State schemas
+//
+// An object may have a schema for its whole state, a JSON Schema object whose
+// properties describe the keys. It is set by sending it as the SCHEMA_KEY
+// field of POST /initialize and checked on every write, delete (of required
+// keys) and import. Expiry is not a delete: a required key written with a TTL
+// still expires, as its writer asked. A non-standard `methods` member maps
+// method names to schemas for their results.
+
+const SCHEMA_KEY = `${INTERNAL_PREFIX}schema`;
+
+// The errors in `value` as the value of `key`: the key's property schema
+// applies, else additionalProperties
+function stateValueErrors(schema, key, value) {
+  const path = pointerOf([key]);
+  const properties = isPlainObject(schema.properties) ? schema.properties : {};
+  
+  if (properties[key]) {
+    return validateSchema(properties[key], value, path);
+  }
+  if (schema.additionalProperties === false) {
+    return [{ path, message: "is not allowed" }];
+  }
+  if (isPlainObject(schema.additionalProperties)) {
+    return validateSchema(schema.additionalProperties, value, path);
+  }
+  return [];
+}
+
+// Initialization
+//
+// POST /initialize writes the initial state in one of these modes:
+// overwrite sets the given keys, create_only does so only if the object has
+// never been initialized and has no state (else 409), merge_missing sets only
+// keys that are missing and replace deletes every other key first. The time
+// of the first initialization is kept under INITIALIZED_KEY.
+
+const INITIALIZE_MODES = ["overwrite", "create_only", "merge_missing", "replace"];
+const INITIALIZED_KEY = `${INTERNAL_PREFIX}initialized`;
+
+// Change log
+
+const SEQUENCE_KEY = INTERNAL_PREFIX + "seq";
+const CHANGE_LOG_PREFIX = INTERNAL_PREFIX + "log:";
+const DEFAULT_CHANGE_LOG_LIMIT = 1000;
+
+// Storage accepts at most 128 keys per put/delete call
+const MAX_KEYS_PER_CALL = 128;
+
+// Zero-padded so log keys sort by sequence number
+function changeLogKey(seq) {
+  return CHANGE_LOG_PREFIX + String(seq).padStart(16, "0");
+}
+
+function changeLogLimit(env) {
+  const limit = parseInt(env.CHANGE_LOG_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_CHANGE_LOG_LIMIT;
+}
+
+// A non-negative integer sequence number, or null
+function parseSequence(value) {
+  return value !== null && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function chunked(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+// Export and import
+
+const EXPORT_FORMAT = "cfd-export";
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_CHUNK_ENTRIES = 256;
+
+function validateImportEntry(entry) {
+  if (!isPlainObject(entry) || (entry.type !== undefined && entry.type !== "entry")) {
+    return "expected an entry object";
+  }
+  if (typeof entry.key !== "string" || entry.key === "") {
+    return "key must be a non-empty string";
+  }
+  if (isInternalKey(entry.key)) {
+    return `reserved key ${entry.key}`;
+  }
+  if (entry.value === undefined) {
+    return "value is required";
+  }
+  if (entry.version !== undefined && !(Number.isInteger(entry.version) && entry.version > 0)) {
+    return "version must be a positive integer";
+  }
+  if (entry.expiresAt !== undefined && !parseExpiry({ expiresAt: entry.expiresAt })) {
+    return "expiresAt must be a timestamp or ISO date";
+  }
+  return null;
+}
+
+// WebSocket subscriptions
+//
+// A session's subscriptions are null (every key) or { keys, prefixes }.
+
+function emptySubscriptions() {
+  return { keys: [], prefixes: [] };
+}
+
+function addSubscriptions(subscriptions, keys, prefixes) {
+  return {
+    keys: [...new Set([...subscriptions.keys, ...keys])],
+    prefixes: [...new Set([...subscriptions.prefixes, ...prefixes])]
+  };
+}
+
+function isSubscribed(subscriptions, key) {
+  return !subscriptions ||
+    subscriptions.keys.includes(key) ||
+    subscriptions.prefixes.some((prefix) => key.startsWith(prefix));
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+// "a,b" -> ["a", "b"]; a missing parameter is an empty list
+function splitList(value) {
+  return value ? value.split(",").filter(Boolean) : [];
+}
+
+const DEFAULT_LIST_LIMIT = 1000;
+const MAX_LIST_LIMIT = 10000;
+
+// Cursors are the last key of the previous page, base64url-encoded
+function encodeCursor(key) {
+  return toBase64Url(new TextEncoder().encode(key));
+}
+
+function decodeCursor(cursor) {
+  return new TextDecoder().decode(fromBase64Url(cursor));
+}
+
+// Options for GET /state: prefix, start, end, limit, reverse, cursor, format
+function parseListOptions(params) {
+  const options = {
+    prefix: params.get("prefix") || undefined,
+    start: params.get("start") || undefined,
+    end: params.get("end") || undefined,
+    reverse: params.get("reverse") === "true",
+    format: params.get("format") || "object",
+    limit: DEFAULT_LIST_LIMIT
+  };
+  
+  if (params.has("limit")) {
+    const limit = Number(params.get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+  
+  if (options.format !== "object" && options.format !== "array") {
+    return { error: "format must be object or array" };
+  }
+  
+  if (params.has("cursor")) {
+    try {
+      options.after = decodeCursor(params.get("cursor"));
+    } catch (error) {
+      return { error: "invalid cursor" };
+    }
+  }
+  
+  return options;
+}
+
+// Atomic operations, applied by DurableObject.applyAtomic. Each takes the
+// key's current value (undefined when missing) and the request parameters,
+// and returns the new value or throws an HttpError.
+const ATOMIC_OPERATIONS = {
+  // { by = 1, min, max, clamp = false }: out-of-bounds results are rejected,
+  // or clamped to the bounds with clamp: true
+  increment(current, { by = 1, min, max, clamp = false }, key) {
+    if (typeof by !== "number" || !Number.isFinite(by)) {
+      throw new HttpError(400, "invalid_request", "by must be a number");
+    }
+    for (const [name, bound] of [["min", min], ["max", max]]) {
+      if (bound !== undefined && (typeof bound !== "number" || !Number.isFinite(bound))) {
+        throw new HttpError(400, "invalid_request", `${name} must be a number`);
+      }
+    }
+    const value = expectType(current, "number", 0, key) + by;
+    
+    if (min !== undefined && value < min) {
+      if (!clamp) {
+        throw new HttpError(409, "out_of_bounds", `Result ${value} is below the minimum ${min}`, { key, value, min });
+      }
+      return min;
+    }
+    if (max !== undefined && value > max) {
+      if (!clamp) {
+        throw new HttpError(409, "out_of_bounds", `Result ${value} is above the maximum ${max}`, { key, value, max });
+      }
+      return max;
+    }
+    return value;
+  },
+  
+  decrement(current, { by = 1, ...bounds }, key) {
+    if (typeof by !== "number") {
+      throw new HttpError(400, "invalid_request", "by must be a number");
+    }
+    return ATOMIC_OPERATIONS.increment(current, { by: -by, ...bounds }, key);
+  },
+  
+  // { values: [...] } or { value }, and maxLength: the oldest items (at the
+  // other end) are dropped to stay within maxLength
+  append(current, params, key) {
+    const value = [...expectType(current, "array", [], key), ...itemsParam(params)];
+    return params.maxLength === undefined ? value : value.slice(Math.max(0, value.length - maxLengthParam(params)));
+  },
+  
+  prepend(current, params, key) {
+    const value = [...itemsParam(params), ...expectType(current, "array", [], key)];
+    return params.maxLength === undefined ? value : value.slice(0, maxLengthParam(params));
+  },
+  
+  // Arrays used as sets, compared by their JSON encoding:
+  // { values: [...] } or { value }
+  add(current, params, key) {
+    const value = [...expectType(current, "array", [], key)];
+    const present = new Set(value.map((item) => JSON.stringify(item)));
+    for (const item of itemsParam(params)) {
+      if (!present.has(JSON.stringify(item))) {
+        present.add(JSON.stringify(item));
+        value.push(item);
+      }
+    }
+    return value;
+  },
+  
+  remove(current, params, key) {
+    const removed = new Set(itemsParam(params).map((item) => JSON.stringify(item)));
+    return expectType(current, "array", [], key).filter((item) => !removed.has(JSON.stringify(item)));
+  },
+  
+  // { patch: {...} }, applied as an RFC 7396 JSON merge patch
+  merge(current, { patch }) {
+    if (patch === undefined) {
+      throw new HttpError(400, "invalid_request", "patch is required");
+    }
+    return mergePatch(current === undefined ? {} : current, patch);
+  }
+};
+
+// The current value of a key, or `fallback` when it is missing; throws when
+// it is not of the expected type
+function expectType(current, type, fallback, key) {
+  if (current === undefined) {
+    return fallback;
+  }
+  if (!matchesType(type, current)) {
+    throw new HttpError(409, "type_mismatch", `Key ${key} does not hold ${type === "array" ? "an" : "a"} ${type}`, { key, type });
+  }
+  return current;
+}
+
+function itemsParam({ values, value }) {
+  if (Array.isArray(values)) {
+    return values;
+  }
+  if (value !== undefined) {
+    return [value];
+  }
+  throw new HttpError(400, "invalid_request", "Expected values (an array) or value");
+}
+
+function maxLengthParam({ maxLength }) {
+  if (!Number.isInteger(maxLength) || maxLength < 0) {
+    throw new HttpError(400, "invalid_request", "maxLength must be a non-negative integer");
+  }
+  return maxLength;
+}
+
+// Rate limiting
+//
+// RATE_LIMITS configures token buckets as JSON, each limit being
+// {"capacity": burst size, "refillPerSecond": sustained rate}:
+//
+//   {"client": {...}, "object": {...}, "methods": {"*": {...}, "name": {...}}}
+//
+// "client" applies to each client, "object" to all requests to an object
+// together and "methods" to each client's calls of a method ("*" for methods
+// without their own limit). Omitted scopes are unlimited.
+
+const MAX_RATE_LIMIT_BUCKETS = 10000;
+
+// The configured limits, or null when rate limiting is off
+function parseRateLimits(env, log = createLogger(env)) {
+  let config = env && env.RATE_LIMITS;
+  if (!config) {
+    return null;
+  }
+  
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      log.error("Invalid RATE_LIMITS configuration", { error });
+      return null;
+    }
+  }
+  
+  const limit = (value, name) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (!isPlainObject(value) || !(value.capacity >= 1) || !(value.refillPerSecond > 0)) {
+      log.error("Ignoring invalid RATE_LIMITS entry: needs capacity >= 1 and refillPerSecond > 0", { name });
+      return null;
+    }
+    return { capacity: value.capacity, refillPerSecond: value.refillPerSecond };
+  };
+  
+  const methods = {};
+  for (const [name, value] of Object.entries(isPlainObject(config.methods) ? config.methods : {})) {
+    const parsed = limit(value, `methods.${name}`);
+    if (parsed) {
+      methods[name] = parsed;
+    }
+  }
+  
+  return { client: limit(config.client, "client"), object: limit(config.object, "object"), methods };
+}
+
+// Who a request counts against: the X-Client-Id header, which backends
+// authenticated with AUTH_SECRET or a signature set to attribute requests to
+// their own users (the worker drops it from everyone else), or else the
+// connecting IP address
+function clientIdentity(request) {
+  return request.headers.get("X-Client-Id") || request.headers.get("CF-Connecting-IP") || "anonymous";
+}
+
+// Text operations (TextDocument)
+
+const DOCUMENT_SNAPSHOT_KEY = `${INTERNAL_PREFIX}document:snapshot`;
+const DOCUMENT_EDIT_PREFIX = `${INTERNAL_PREFIX}document:edit:`;
+const DOCUMENT_SNAPSHOT_INTERVAL = 100;
+const DOCUMENT_HISTORY_LIMIT = 1000;
+
+function documentEditKey(revision) {
+  return `${DOCUMENT_EDIT_PREFIX}${String(revision).padStart(16, "0")}`;
+}
+
+// Why `ops` is not a list of text operations, or null if it is
+function validateTextOperations(ops) {
+  if (!Array.isArray(ops)) {
+    return "ops must be an array";
+  }
+  
+  for (const [index, op] of ops.entries()) {
+    if (!isPlainObject(op) || !Number.isInteger(op.position) || op.position < 0) {
+      return `operation ${index} needs a non-negative integer position`;
+    }
+    if (op.type === "insert" && typeof op.text !== "string") {
+      return `operation ${index} needs text to insert`;
+    }
+    if (op.type === "delete" && (!Number.isInteger(op.length) || op.length < 0)) {
+      return `operation ${index} needs a non-negative integer length`;
+    }
+    if (op.type !== "insert" && op.type !== "delete") {
+      return `operation ${index} has unknown type ${op.type}`;
+    }
+  }
+  return null;
+}
+
+function normalizeTextOperation({ type, position, text, length }) {
+  return type === "insert" ? { type, position, text } : { type, position, length };
+}
+
+function textLength(text) {
+  let length = 0;
+  for (const _ of text) {
+    length++;
+  }
+  return length;
+}
+
+// Apply operations in order. Throws a 422 when one falls outside the text.
+function applyTextOperations(text, ops) {
+  let chars = Array.from(text);
+  
+  for (const op of ops) {
+    const end = op.type === "insert" ? op.position : op.position + op.length;
+    if (end > chars.length) {
+      throw new HttpError(422, "operation_out_of_range", `Operation at ${op.position} is outside the text (length ${chars.length})`, {
+        position: op.position,
+        textLength: chars.length
+      });
+    }
+    
+    chars = op.type === "insert"
+      ? chars.slice(0, op.position).concat(Array.from(op.text), chars.slice(op.position))
+      : chars.slice(0, op.position).concat(chars.slice(end));
+  }
+  return chars.join("");
+}
+
+// Transform two operation lists made against the same text over each other.
+// Returns [ops', others'], where ops' applies after `others` and others' after
+// `ops`. Inserts at the same position are ordered by `side`: "left" puts
+// `ops` first, "right" puts `others` first.
+function transformTextOperations(ops, others, side) {
+  if (ops.length === 1 && others.length === 1) {
+    return [
+      transformTextOperation(ops[0], others[0], side),
+      transformTextOperation(others[0], ops[0], side === "left" ? "right" : "left")
+    ];
+  }
+  
+  let remaining = others;
+  const transformed = [];
+  for (const op of ops) {
+    let parts = [op];
+    const next = [];
+    for (const other of remaining) {
+      const [opParts, otherParts] = transformTextOperations(parts, [other], side);
+      parts = opParts;
+      next.push(...otherParts);
+    }
+    transformed.push(...parts);
+    remaining = next;
+  }
+  return [transformed, remaining];
+}
+
+// Transform one operation to apply after another. A delete spanning an
+// insert's position is split around the inserted text.
+function transformTextOperation(op, other, side) {
+  if (op.type === "insert") {
+    if (other.type === "insert") {
+      const after = other.position < op.position || (other.position === op.position && side === "right");
+      return [after ? { ...op, position: op.position + textLength(other.text) } : op];
+    }
+    return [op.position <= other.position ? op : { ...op, position: Math.max(other.position, op.position - other.length) }];
+  }
+  
+  const end = op.position + op.length;
+  if (other.type === "insert") {
+    if (other.position <= op.position) {
+      return [{ ...op, position: op.position + textLength(other.text) }];
+    }
+    if (other.position >= end) {
+      return [op];
+    }
+    return [
+      { type: "delete", position: op.position, length: other.position - op.position },
+      { type: "delete", position: op.position + textLength(other.text), length: end - other.position }
+    ];
+  }
+  
+  const overlap = Math.max(0, Math.min(end, other.position + other.length) - Math.max(op.position, other.position));
+  const position = op.position < other.position ? op.position : Math.max(other.position, op.position - other.length);
+  return op.length > overlap ? [{ type: "delete", position, length: op.length - overlap }] : [];
+}
+
+// JSON Patch (RFC 6902)
+
+const PATCH_FORMATS = {
+  "application/json-patch+json": "json-patch",
+  "application/merge-patch+json": "merge-patch"
+};
+
+// Apply a JSON Patch to a copy of `document`. Malformed patches throw a 400;
+// a failed "test" a 409; operations that do not fit the document a 422.
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new HttpError(400, "invalid_patch", "A JSON Patch must be an array of operations");
+  }
+  
+  let result = structuredClone(document);
+  operations.forEach((operation, index) => {
+    try {
+      result = applyPatchOperation(result, operation);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        error.message = `Patch operation ${index}: ${error.message}`;
+        error.details = { index, ...error.details };
+      }
+      throw error;
+    }
+  });
+  return result;
+}
+
+function applyPatchOperation(document, operation) {
+  const { op, path, from, value } = isPlainObject(operation) ? operation : {};
+  if (typeof path !== "string") {
+    throw new HttpError(400, "invalid_patch", "path must be a JSON Pointer");
+  }
+  const tokens = parsePointer(path);
+  
+  switch (op) {
+    case "add":
+      return addAt(document, tokens, structuredClone(requireValue(value)));
+    case "remove":
+      return removeAt(document, tokens);
+    case "replace":
+      valueAt(document, tokens);
+      if (tokens.length === 0) {
+        return structuredClone(requireValue(value));
+      }
+      return addAt(removeAt(document, tokens), tokens, structuredClone(requireValue(value)));
+    case "move": {
+      const fromTokens = parsePointer(from);
+      if (path.startsWith(`${from}/`)) {
+        throw new HttpError(400, "invalid_patch", "Cannot move a value into one of its children");
+      }
+      const moved = valueAt(document, fromTokens);
+      return addAt(removeAt(document, fromTokens), tokens, moved);
+    }
+    case "copy":
+      return addAt(document, tokens, structuredClone(valueAt(document, parsePointer(from))));
+    case "test":
+      if (!jsonEqual(valueAt(document, tokens), requireValue(value))) {
+        throw new HttpError(409, "patch_test_failed", `Test failed at ${path}`, { path });
+      }
+      return document;
+    default:
+      throw new HttpError(400, "invalid_patch", `Unknown patch op: ${op}`);
+  }
+}
+
+// "/a/b~1c" -> ["a", "b/c"]
+function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new HttpError(400, "invalid_patch", `Invalid JSON Pointer: ${pointer}`);
+  }
+  return pointer === "" ? [] : pointer.substring(1).split("/").map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function requireValue(value) {
+  if (value === undefined) {
+    throw new HttpError(400, "invalid_patch", "value is required");
+  }
+  return value;
+}
+
+function valueAt(document, tokens) {
+  let current = document;
+  for (const token of tokens) {
+    if (Array.isArray(current) && /^(0|[1-9]\d*)$/.test(token) && Number(token) < current.length) {
+      current = current[Number(token)];
+    } else if (isPlainObject(current) && Object.hasOwn(current, token)) {
+      current = current[token];
+    } else {
+      throw new HttpError(422, "patch_failed", `Path not found: ${pointerOf(tokens)}`, { path: pointerOf(tokens) });
+    }
+  }
+  return current;
+}
+
+function addAt(document, tokens, value) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  
+  const parent = valueAt(document, tokens.slice(0, -1));
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = token === "-" ? parent.length : Number(token);
+    if (token !== "-" && (!/^(0|[1-9]\d*)$/.test(token) || index > parent.length)) {
+      throw new HttpError(422, "patch_failed", `Invalid array index: ${pointerOf(tokens)}`, { path: pointerOf(tokens) });
+    }
+    parent.splice(index, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw new HttpError(422, "patch_failed", `Cannot add to ${pointerOf(tokens)}`, { path: pointerOf(tokens) });
+  }
+  return document;
+}
+
+function removeAt(document, tokens) {
+  if (tokens.length === 0) {
+    throw new HttpError(422, "patch_failed", "Cannot remove the whole document", { path: "" });
+  }
+  
+  valueAt(document, tokens);
+  const parent = valueAt(document, tokens.slice(0, -1));
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(Number(token), 1);
+  } else {
+    delete parent[token];
+  }
+  return document;
+}
+
+function pointerOf(tokens) {
+  return tokens.map((token) => `/${token.replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+function jsonEqual(a, b) {
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, index) => jsonEqual(item, b[index]));
+  }
+  if (isPlainObject(a)) {
+    const keys = Object.keys(a);
+    return isPlainObject(b) && keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// RFC 7396: objects are merged recursively, null removes a member, and
+// anything else replaces the target
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+  
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[name];
+    } else {
+      result[name] = mergePatch(result[name], value);
+    }
+  }
+  return result;
+}
+
+const BATCH_OPERATIONS = ["get", "put", "delete", "cas"];
+
+// Check the shape of a batch before running it. Returns an error message, or
+// null when the batch is valid.
+function validateBatch(operations) {
+  if (!Array.isArray(operations)) {
+    return "operations must be an array";
+  }
+  
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    
+    if (!operation || !BATCH_OPERATIONS.includes(operation.op)) {
+      return `operation ${index} must have op set to one of ${BATCH_OPERATIONS.join(", ")}`;
+    }
+    if (typeof operation.key !== "string" || operation.key === "") {
+      return `operation ${index} must have a key`;
+    }
+    if (isInternalKey(operation.key)) {
+      return `operation ${index} uses reserved key ${operation.key}`;
+    }
+    if ((operation.op === "put" || operation.op === "cas") && operation.value === undefined) {
+      return `operation ${index} must have a value`;
+    }
+  }
+  
+  return null;
+}
+
+// Admin routes
+
+// Close code for sessions closed by admin routes, and a reason length that
+// stays within the 123 bytes a close frame allows
+const ADMIN_CLOSE_CODE = 4000;
+const MAX_CLOSE_REASON_LENGTH = 40;
+const WIPE_TOKEN_TTL_MS = 60 * 1000;
+const SCAN_PAGE_SIZE = 1000;
+
+// Metrics
+//
+// Each object counts requests (by method, route and status, with a latency
+// histogram), storage operations, WebSocket sessions and broadcasts, and
+// reports them at GET /metrics as JSON or Prometheus text.
+
+// Requests to routes beyond this many method/route pairs count as "other"
+const MAX_METRIC_SERIES = 200;
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const FANOUT_BUCKETS = [0, 1, 5, 10, 50, 100, 500, 1000];
+const STORAGE_OPERATIONS = ["get", "put", "delete", "list", "deleteAll", "transaction", "getAlarm", "setAlarm", "deleteAlarm"];
+
+function createMetrics() {
+  return {
+    requests: new Map(),
+    storage: Object.fromEntries(STORAGE_OPERATIONS.map(operation => [operation, 0])),
+    sessions: { opened: 0, closed: 0 },
+    broadcasts: { frames: {}, messages: 0, fanout: createHistogram(FANOUT_BUCKETS) }
+  };
+}
+
+// Storage that counts calls in `counts`, including those made on the
+// transactions it opens
+function countingStorage(storage, counts) {
+  return new Proxy(storage, {
+    get(target, property) {
+      const value = Reflect.get(target, property);
+      if (typeof value !== "function" || !STORAGE_OPERATIONS.includes(property)) {
+        return typeof value === "function" ? value.bind(target) : value;
+      }
+      
+      return (...args) => {
+        counts[property]++;
+        if (property === "transaction") {
+          const [closure, ...rest] = args;
+          return value.call(target, txn => closure(countingStorage(txn, counts)), ...rest);
+        }
+        return value.apply(target, args);
+      };
+    }
+  });
+}
+
+// A transaction for code that may start its own: nested transactions run as
+// part of it
+function joinedTransaction(txn) {
+  const joined = new Proxy(txn, {
+    get(target, property) {
+      if (property === "transaction") {
+        return async (closure) => closure(joined);
+      }
+      const value = Reflect.get(target, property);
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+  return joined;
+}
+
+function createHistogram(bounds) {
+  return { bounds, counts: bounds.map(() => 0), count: 0, sum: 0 };
+}
+
+function observe(histogram, value) {
+  histogram.count++;
+  histogram.sum += value;
+  const index = histogram.bounds.findIndex(bound => value <= bound);
+  if (index !== -1) {
+    histogram.counts[index]++;
+  }
+}
+
+// Cumulative counts by upper bound, as Prometheus expects:
+// {count, sum, buckets: {"5": n, ..., "+Inf": count}}
+function histogramSnapshot({ bounds, counts, count, sum }) {
+  let total = 0;
+  const buckets = Object.fromEntries(bounds.map((le, i) => [le, (total += counts[i])]));
+  return { count, sum, buckets: { ...buckets, "+Inf": count } };
+}
+
+// The Prometheus text exposition format of a metrics snapshot
+function prometheusText({ requests, storage, sessions, broadcasts }) {
+  const lines = [];
+  const family = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  const sample = (name, labels, value) => {
+    const pairs = Object.entries(labels).map(([label, text]) => `${label}="${escapeLabel(text)}"`);
+    lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${value}`);
+  };
+  const histogram = (name, labels, { count, sum, buckets }) => {
+    for (const [le, bucketCount] of Object.entries(buckets)) {
+      sample(`${name}_bucket`, { ...labels, le }, bucketCount);
+    }
+    sample(`${name}_sum`, labels, sum);
+    sample(`${name}_count`, labels, count);
+  };
+  
+  family("durable_object_requests_total", "counter", "HTTP requests handled, by method, route and status");
+  for (const { method, route, statuses } of requests) {
+    for (const [status, count] of Object.entries(statuses)) {
+      sample("durable_object_requests_total", { method, route, status }, count);
+    }
+  }
+  
+  family("durable_object_request_duration_ms", "histogram", "HTTP request latency in milliseconds");
+  for (const { method, route, latencyMs } of requests) {
+    histogram("durable_object_request_duration_ms", { method, route }, latencyMs);
+  }
+  
+  family("durable_object_storage_operations_total", "counter", "Storage API calls, by operation");
+  for (const [operation, count] of Object.entries(storage)) {
+    sample("durable_object_storage_operations_total", { operation }, count);
+  }
+  
+  family("durable_object_websocket_sessions", "gauge", "Connected WebSocket sessions");
+  sample("durable_object_websocket_sessions", {}, sessions.active);
+  family("durable_object_websocket_sessions_opened_total", "counter", "WebSocket sessions accepted");
+  sample("durable_object_websocket_sessions_opened_total", {}, sessions.opened);
+  family("durable_object_websocket_sessions_closed_total", "counter", "WebSocket sessions closed");
+  sample("durable_object_websocket_sessions_closed_total", {}, sessions.closed);
+  
+  family("durable_object_broadcasts_total", "counter", "Broadcast frames, by message type");
+  for (const [type, count] of Object.entries(broadcasts.frames)) {
+    sample("durable_object_broadcasts_total", { type }, count);
+  }
+  family("durable_object_broadcast_messages_total", "counter", "Messages sent to sessions by broadcasts");
+  sample("durable_object_broadcast_messages_total", {}, broadcasts.messages);
+  family("durable_object_broadcast_fanout", "histogram", "Sessions each broadcast frame was sent to");
+  histogram("durable_object_broadcast_fanout", {}, broadcasts.fanout);
+  
+  return lines.join("\n") + "\n";
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+// Logging
+//
+// Entries are written one JSON object per line, at or above LOG_LEVEL (debug,
+// info, warn or error; default info; "silent" for none). Fields named in
+// LOG_REDACT (comma-separated, case-insensitive) are replaced at any depth.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LOG_LEVEL = "info";
+const DEFAULT_REDACTED_FIELDS = "authorization,password,secret,token,access_token";
+const REDACTED = "[REDACTED]";
+
+// A logger adding `context` (request ID, object ID, ...) to every entry
+export function createLogger(env, context = {}) {
+  const configured = String((env && env.LOG_LEVEL) || DEFAULT_LOG_LEVEL).toLowerCase();
+  const threshold = LOG_LEVELS[configured] ?? LOG_LEVELS[DEFAULT_LOG_LEVEL];
+  const redacted = new Set(splitList(String((env && env.LOG_REDACT) ?? DEFAULT_REDACTED_FIELDS).toLowerCase())
+    .map(field => field.trim()));
+  
+  const write = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] < threshold) {
+      return;
+    }
+    
+    const entry = { time: new Date().toISOString(), level, message, ...context, ...fields };
+    const line = JSON.stringify(loggable(entry, redacted));
+    if (level === "error") {
+      console.error(line);
+    } else if (level === "warn") {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  };
+  
+  return {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+    child: fields => createLogger(env, { ...context, ...fields })
+  };
+}
+
+// A copy of `value` with redacted fields replaced and errors spelled out
+function loggable(value, redacted) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => loggable(item, redacted));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  
+  const copy = {};
+  for (const [field, item] of Object.entries(value)) {
+    copy[field] = redacted.has(field.toLowerCase()) ? REDACTED : loggable(item, redacted);
+  }
+  return copy;
+}
+
+// The namespace, object ID and route of a request to the worker. Routes have
+// keys, names and IDs replaced by placeholders, so entries group by route
+// without logging user data.
+function describeRequest(method, pathname) {
+  let path = pathname;
+  let namespace = null;
+  if (path.startsWith("/namespace/")) {
+    const parts = path.split("/");
+    namespace = safeDecode(parts[2] || "");
+    path = "/" + parts.slice(3).join("/");
+  }
+  
+  const prefix = namespace === null ? "" : "/namespace/{namespace}";
+  const match = path.match(/^\/(object|initialize)\/([^/]+)(\/.*)?$/);
+  if (!match) {
+    const route = path === "/id" || path.startsWith("/id/") ? path.replace(/^\/id\/.+/, "/id/{name}") : path;
+    return { namespace, objectId: null, route: prefix + route };
+  }
+  
+  const [, kind, id, rest = ""] = match;
+  return { namespace, objectId: safeDecode(id), route: `${prefix}/${kind}/{id}${objectRoute(method, rest)}` };
+}
+
+function objectRoute(method, path) {
+  if (path.startsWith("/state/")) {
+    return method === "POST" ? "/state/{key}/{op}" : "/state/{key}";
+  }
+  if (path.startsWith("/method/")) {
+    return "/method/{name}";
+  }
+  if (path.startsWith("/alarm/jobs/")) {
+    return "/alarm/jobs/{id}";
+  }
+  if (path.startsWith("/websocket/")) {
+    return "/websocket/{path}";
+  }
+  return path;
+}
+
+// Decode a percent-encoded path segment (a key, method name or ID), which
+// clients encode so it stays one segment
+function decodePathSegment(value, name) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, "invalid_path", `Malformed ${name} in path: ${value}`);
+  }
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Namespace resolution
+//
+// A namespace is the name clients use for a Durable Object binding. Only the
+// names the DURABLE_NAMESPACES var maps to binding names, e.g.
+// {"counters": "COUNTER_OBJECT"}, resolve, so other bindings on the worker
+// stay out of reach. Requests without a namespace, or with "default", go to
+// the default DURABLE_OBJECT binding.
+function resolveNamespace(env, namespace, log = createLogger(env)) {
+  if (!namespace || namespace === "default") {
+    return env.DURABLE_OBJECT || null;
+  }
+  
+  let mapping = env.DURABLE_NAMESPACES || {};
+  if (typeof mapping === "string") {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      log.error("Invalid DURABLE_NAMESPACES configuration", { error });
+      mapping = {};
+    }
+  }
+  if (!isPlainObject(mapping) || !Object.prototype.hasOwnProperty.call(mapping, namespace)) {
+    return null;
+  }
+  
+  const binding = env[mapping[namespace]];
+  return binding && typeof binding.idFromName === "function" ? binding : null;
+}
+
+// Objects are addressed by name unless the segment opts in to a canonical hex
+// ID (as returned by the /namespace/{namespace}/id route) with an "id:" prefix,
+// e.g. /object/id:{hex}/state; a name that happens to be 64 hex characters
+// stays a name.
+const OBJECT_ID_PREFIX = "id:";
+
+function objectIdFor(binding, objectId) {
+  if (objectId.startsWith(OBJECT_ID_PREFIX)) {
+    return binding.idFromString(objectId.slice(OBJECT_ID_PREFIX.length));
+  }
+  return binding.idFromName(objectId);
+}
+
+// Resolve a Durable Object ID within a namespace:
+//   GET /namespace/{namespace}/id              -> newUniqueId()
+//   GET /namespace/{namespace}/id/{name}       -> idFromName(name)
+//   GET /namespace/{namespace}/id/{hex}?type=string -> idFromString(hex)
+function handleNamespaceId(binding, namespace, name, type) {
+  let id;
+  
+  try {
+    if (!name || type === "unique") {
+      id = binding.newUniqueId();
+    } else if (type === "string") {
+      id = binding.idFromString(name);
+    } else {
+      id = binding.idFromName(name);
+    }
+  } catch (error) {
+    return errorResponse(400, "invalid_object_id", `Invalid object ID: ${error.message}`);
+  }
+  
+  return new Response(JSON.stringify({ namespace, name: name || null, id: id.toString() }), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+// Authentication
+//
+// Enabled when AUTH_SECRET and/or AUTH_SIGNING_SECRET are set. A request is
+// accepted if it carries any one of:
+//
+//   * Authorization: Bearer <AUTH_SECRET>
+//   * An HMAC signature: X-Durable-Timestamp (Unix seconds) and
+//     X-Durable-Signature, the hex HMAC-SHA256 with AUTH_SIGNING_SECRET of
+//     "{timestamp}\n{METHOD}\n{path and query}\n{hex SHA-256 of the body}".
+//     Timestamps more than AUTH_MAX_SKEW_SECONDS (default 300) away from now
+//     are rejected, so captured requests cannot be replayed later.
+//   * A scoped token, "{base64url payload}.{base64url HMAC of the payload}"
+//     signed with AUTH_SIGNING_SECRET, where the payload is
+//     {"sub": objectName, "ns": namespace, "exp": unixSeconds}. A sub ending
+//     in "*" matches every object name with that prefix. exp is required and
+//     may be at most AUTH_MAX_TOKEN_TTL_SECONDS (default one day) away.
+//     Scoped tokens only grant access to that object's /object and
+//     /initialize routes, except its /admin routes, and only when it is
+//     addressed by name, never by id:. Browsers, which cannot set headers on
+//     WebSockets, may pass it as ?access_token=.
+//
+// authenticate() returns how the caller authenticated ("none" when
+// authentication is disabled, "secret", "signature" or "token"), or an error
+// response. Without authentication, the /admin routes are refused.
+
+const DEFAULT_AUTH_MAX_SKEW_SECONDS = 300;
+const DEFAULT_AUTH_MAX_TOKEN_TTL_SECONDS = 86400;
+
+async function authenticate(request, env, url, namespace, path) {
+  if (!env.AUTH_SECRET && !env.AUTH_SIGNING_SECRET) {
+    return "none";
+  }
+  
+  const authorization = request.headers.get("Authorization") || "";
+  const bearer = authorization.startsWith("Bearer ") ? authorization.substring(7).trim() : null;
+  
+  if (env.AUTH_SECRET && bearer !== null && timingSafeEqual(bearer, env.AUTH_SECRET)) {
+    return "secret";
+  }
+  
+  if (env.AUTH_SIGNING_SECRET) {
+    if (request.headers.has("X-Durable-Signature")) {
+      const error = await verifySignedRequest(request, env, url);
+      return error ? errorResponse(401, "invalid_signature", error) : "signature";
+    }
+    
+    const token = bearer || url.searchParams.get("access_token");
+    if (token) {
+      const claims = await verifyScopedToken(token, env);
+      if (!claims) {
+        return errorResponse(401, "invalid_token", "Invalid or expired token");
+      }
+      
+      const objectId = scopedObjectId(path);
+      if (objectId === null || isAdminPath(path) || !tokenCovers(claims, namespace, objectId)) {
+        return errorResponse(403, "forbidden", "Token does not grant access to this resource");
+      }
+      
+      return "token";
+    }
+  }
+  
+  return errorResponse(401, "unauthorized", "Unauthorized", null, { "WWW-Authenticate": "Bearer" });
+}
+
+async function verifySignedRequest(request, env, url) {
+  const timestamp = request.headers.get("X-Durable-Timestamp");
+  const signature = request.headers.get("X-Durable-Signature");
+  const maxSkew = Number(env.AUTH_MAX_SKEW_SECONDS) || DEFAULT_AUTH_MAX_SKEW_SECONDS;
+  
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return "Missing or invalid X-Durable-Timestamp";
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkew) {
+    return "Request timestamp outside the allowed window";
+  }
+  
+  // Read the body from a clone so the original can still be forwarded
+  const body = await request.clone().arrayBuffer();
+  const bodyHash = toHex(await crypto.subtle.digest("SHA-256", body));
+  const payload = `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${bodyHash}`;
+  const expected = toHex(await hmac(env.AUTH_SIGNING_SECRET, payload));
+  
+  return timingSafeEqual(signature.toLowerCase(), expected) ? null : "Invalid request signature";
+}
+
+// Returns the token's claims, or null if it is malformed, forged, expired or
+// lives longer than AUTH_MAX_TOKEN_TTL_SECONDS
+async function verifyScopedToken(token, env) {
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+  
+  const expected = toBase64Url(await hmac(env.AUTH_SIGNING_SECRET, payload));
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+  } catch (error) {
+    return null;
+  }
+  
+  const now = Date.now() / 1000;
+  const maxTtl = Number(env.AUTH_MAX_TOKEN_TTL_SECONDS) || DEFAULT_AUTH_MAX_TOKEN_TTL_SECONDS;
+  if (typeof claims.sub !== "string" || !Number.isFinite(claims.exp) || claims.exp < now || claims.exp > now + maxTtl) {
+    return null;
+  }
+  
+  return claims;
+}
+
+// The object ID a path addresses, for scoped tokens; null for other routes.
+// Malformed escapes are a 400.
+function scopedObjectId(path) {
+  const match = path.match(/^\/(?:object|initialize)\/([^/]+)/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    throw new HttpError(400, "invalid_object_id", `Invalid object ID: ${match[1]}`);
+  }
+}
+
+function isAdminPath(path) {
+  return /^\/object\/[^/]+\/admin(\/|$)/.test(path);
+}
+
+// Tokens are matched against object names; an id: segment could name any
+// object, so no token covers it
+function tokenCovers(claims, namespace, objectId) {
+  if ((claims.ns || null) !== namespace || objectId.startsWith(OBJECT_ID_PREFIX)) {
+    return false;
+  }
+  if (claims.sub.endsWith("*")) {
+    return objectId.startsWith(claims.sub.slice(0, -1));
+  }
+  return claims.sub === objectId;
+}
+
+async function hmac(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+}
+
+function timingSafeEqual(a, b) {
+  const left = new TextEncoder().encode(a);
+  const right = new TextEncoder().encode(b);
+  let difference = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    difference |= left[i] ^ (right[i] || 0);
+  }
+  return difference === 0;
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Request IDs from clients are kept if they are reasonably short and plain;
+// otherwise a new one is generated
+function requestIdOf(request) {
+  const requestId = request.headers.get("X-Request-Id");
+  return requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+// Route a request to the worker's endpoints and Durable Objects
+async function routeRequest(request, env, url, requestId, log) {
+  let path = url.pathname;
+  
+  // Requests may be scoped to a namespace with a /namespace/{namespace} prefix,
+  // e.g. /namespace/counters/object/{id}/state
+  let namespace = null;
+  if (path.startsWith("/namespace/")) {
+    const parts = path.split("/");
+    namespace = decodePathSegment(parts[2] || "", "namespace");
+    path = "/" + parts.slice(3).join("/");
+  }
+  
+  const auth = await authenticate(request, env, url, namespace, path);
+  if (auth instanceof Response) {
+    log.debug("Rejected unauthenticated request", { method: request.method, path: url.pathname });
+    return auth;
+  }
+  
+  // Admin routes can wipe objects and drop sessions, so they are never open
+  if (auth === "none" && isAdminPath(path)) {
+    return errorResponse(403, "admin_disabled", "Admin routes require AUTH_SECRET or AUTH_SIGNING_SECRET to be set");
+  }
+  
+  // Only backends holding a secret may attribute requests to their own users;
+  // anyone else is rate limited by their IP address
+  if (auth !== "secret" && auth !== "signature" && request.headers.has("X-Client-Id")) {
+    request = new Request(request);
+    request.headers.delete("X-Client-Id");
+  }
+  
+  const binding = resolveNamespace(env, namespace, log);
+  if (!binding) {
+    return errorResponse(404, "unknown_namespace", `Unknown namespace: ${namespace}`, { namespace });
+  }
+  
+  // Resolve object IDs within the namespace
+  if (namespace !== null && (path === "/id" || path.startsWith("/id/"))) {
+    if (request.method !== "GET" && request.method !== "POST") {
+      return errorResponse(405, "method_not_allowed", `Method not allowed: ${request.method}`);
+    }
+    
+    const name = path.length > 4 ? decodePathSegment(path.substring(4), "name") : null;
+    return handleNamespaceId(binding, namespace, name, url.searchParams.get("type"));
+  }
+  
+  // Route requests to appropriate Durable Object
+  if (path.startsWith("/object/")) {
+    // Extract object ID from path
+    const parts = path.split("/");
+    if (parts.length < 3 || !parts[2]) {
+      return errorResponse(400, "invalid_object_id", "Invalid object ID");
+    }
+    
+    // Construct a stub for the Durable Object
+    let objectStub;
+    try {
+      objectStub = binding.get(objectIdFor(binding, decodeURIComponent(parts[2])));
+    } catch (error) {
+      return errorResponse(400, "invalid_object_id", `Invalid object ID: ${error.message}`);
+    }
+    
+    // Remove /object/{id} prefix from path
+    const newUrl = new URL(request.url);
+    newUrl.pathname = "/" + parts.slice(3).join("/");
+    
+    // Forward the request to the Durable Object. Copying the original request
+    // keeps the Upgrade header intact, so /websocket requests reach
+    // handleWebSocketUpgrade and the 101 response is passed straight back.
+    const newRequest = new Request(newUrl, request);
+    newRequest.headers.set("X-Request-Id", requestId);
+    return objectStub.fetch(newRequest);
+  }
+  
+  // Initialize a new Durable Object
+  if (path.startsWith("/initialize/")) {
+    if (request.method !== "POST") {
+      return errorResponse(405, "method_not_allowed", `Method not allowed: ${request.method}`);
+    }
+    
+    let objectId;
+    let objectStub;
+    try {
+      objectId = decodeURIComponent(path.substring(12));
+      objectStub = binding.get(objectIdFor(binding, objectId));
+    } catch (error) {
+      return errorResponse(400, "invalid_object_id", `Invalid object ID: ${error.message}`);
+    }
+    
+    try {
+      // Forward the initialization request, body and headers included, to the
+      // Durable Object, which validates it
+      const doUrl = new URL("/initialize", request.url);
+      doUrl.search = url.search;
+      const doRequest = new Request(doUrl, request);
+      doRequest.headers.set("X-Request-Id", requestId);
+      
+      return await objectStub.fetch(doRequest);
+    } catch (error) {
+      log.error("Error initializing Durable Object", { objectId, error });
+      return errorResponse(500, "internal_error", `Error initializing Durable Object: ${error.message}`);
+    }
+  }
+  
+  return errorResponse(404, "not_found", `Not found: ${path}`);
+}
+
+// Main Worker script
+export default {
+  async fetch(request, env) {
+    const started = Date.now();
+    const url = new URL(request.url);
+    const requestId = requestIdOf(request);
+    const log = createLogger(env, { requestId });
+    
+    let response;
+    try {
+      response = await routeRequest(request, env, url, requestId, log);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        response = errorResponse(error.status, error.code, error.message, error.details);
+      } else {
+        log.error("Unhandled error", { error });
+        response = errorResponse(500, "internal_error", error.message);
+      }
+    }
+    
+    // One entry per request
+    const { namespace, objectId, route } = describeRequest(request.method, url.pathname);
+    const fields = {
+      method: request.method,
+      route,
+      namespace,
+      objectId,
+      status: response.status,
+      durationMs: Date.now() - started
+    };
+    if (response.status >= 500) {
+      log.error("Request failed", fields);
+    } else {
+      log.info("Request completed", fields);
+    }
+    
+    // WebSocket upgrade responses are passed back untouched
+    if (response.status === 101) {
+      return response;
     }
     
-    console.log(`No matching route for path: ${path}`);
-    return new Response("Not found", { status: 404 });
+    const tagged = new Response(response.body, response);
+    tagged.headers.set("X-Request-Id", requestId);
+    return tagged;
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,92 @@
+defmodule CloudflareDurable.AuthTest do
+  @moduledoc """
+  Tests for CloudflareDurable.Auth request signing and scoped tokens.
+  """
+
+  use ExUnit.Case, async: false
+  import Mock
+
+  alias CloudflareDurable.Auth
+
+  setup do
+    Application.put_env(:cloudflare_durable, :worker_url, "https://example.com")
+
+    unless Process.whereis(CloudflareDurable.Finch) do
+      start_supervised!({Finch, name: CloudflareDurable.Finch})
+    end
+
+    on_exit(fn ->
+      Application.delete_env(:cloudflare_durable, :signing_secret)
+      Application.delete_env(:cloudflare_durable, :auth_secret)
+    end)
+
+    :ok
+  end
+
+  describe "signature/5" do
+    test "matches the worker's signature format" do
+      # Computed with the same algorithm as priv/cloudflare/durable-objects-worker.js
+      assert Auth.signature("secret", "1700000000", :put, "/object/a/state/k", ~s({"value":1})) ==
+               "e1f68ac05cfc7d31d29e7a1189a088031f78fe56a42c898d86549a4c5f7db954"
+    end
+  end
+
+  describe "headers/4" do
+    test "adds no headers without configuration" do
+      assert Auth.headers(:get, "/object/a/state", "") == []
+    end
+
+    test "sends the bearer secret" do
+      assert Auth.headers(:get, "/object/a/state", "", auth_secret: "shared") ==
+               [{"authorization", "Bearer shared"}]
+    end
+
+    test "prefers signing when a signing secret is configured" do
+      Application.put_env(:cloudflare_durable, :signing_secret, "secret")
+
+      headers = Auth.headers(:get, "/object/a/state", "", auth_secret: "shared")
+      {"x-durable-timestamp", timestamp} = List.keyfind(headers, "x-durable-timestamp", 0)
+      {"x-durable-signature", signature} = List.keyfind(headers, "x-durable-signature", 0)
+
+      assert signature == Auth.signature("secret", timestamp, "GET", "/object/a/state", "")
+      refute List.keymember?(headers, "authorization", 0)
+    end
+  end
+
+  describe "scoped_token/2" do
+    test "requires a signing secret" do
+      assert {:error, :missing_signing_secret} = Auth.scoped_token("room-1")
+    end
+
+    test "signs the object scope and expiry" do
+      {:ok, token} = Auth.scoped_token("room-*", signing_secret: "secret", ttl: 60, namespace: "rooms")
+
+      [payload, signature] = String.split(token, ".")
+      assert signature == :crypto.mac(:hmac, :sha256, "secret", payload) |> Base.url_encode64(padding: false)
+
+      claims = payload |> Base.url_decode64!(padding: false) |> Jason.decode!()
+      assert %{"sub" => "room-*", "ns" => "rooms", "exp" => exp} = claims
+      assert exp > System.system_time(:second)
+    end
+  end
+
+  describe "client requests" do
+    test "are signed from configuration" do
+      Application.put_env(:cloudflare_durable, :signing_secret, "secret")
+      test_pid = self()
+
+      with_mock Finch, [:passthrough],
+        request: fn request, _name ->
+          send(test_pid, {:request, request})
+          {:ok, %Finch.Response{status: 200, headers: [], body: ~s({"success":true})}}
+        end do
+        CloudflareDurable.update_state("a", "k", 1)
+
+        assert_received {:request, %Finch.Request{headers: headers, body: body}}
+        {"x-durable-timestamp", timestamp} = List.keyfind(headers, "x-durable-timestamp", 0)
+        {"x-durable-signature", signature} = List.keyfind(headers, "x-durable-signature", 0)
+        assert signature == Auth.signature("secret", timestamp, "PUT", "/object/a/state/k", body)
+      end
+    end
+  end
+end
@@ -0,0 +1,634 @@
+defmodule CloudflareDurable.ClientTest do
+  @moduledoc """
+  Tests for the requests CloudflareDurable.Client sends to the worker.
+  """
+
+  use ExUnit.Case, async: false
+  import Mock
+
+  @default_worker_url "https://example.com/worker"
+
+  setup do
+    # Set default worker URL for tests
+    Application.put_env(:cloudflare_durable, :worker_url, @default_worker_url)
+
+    # Setup Finch for HTTP requests (if not already started)
+    unless Process.whereis(CloudflareDurable.Finch) do
+      start_supervised!({Finch, name: CloudflareDurable.Finch})
+    end
+
+    :ok
+  end
+
+  # Responds with `body` and forwards each request to the test process
+  defp capture_request(body) do
+    test_pid = self()
+
+    fn request, _name ->
+      send(test_pid, {:request, request})
+      {:ok, %Finch.Response{status: 200, headers: [], body: Jason.encode!(body)}}
+    end
+  end
+
+  describe "namespaces" do
+    test "get_namespace_object returns the canonical object ID" do
+      id = String.duplicate("ab", 32)
+
+      with_mock Finch, [:passthrough], request: capture_request(%{"namespace" => "counters", "name" => "main", "id" => id}) do
+        assert {:ok, ^id} = CloudflareDurable.get_namespace_object("counters", "main")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/namespace/counters/id/main"}}
+      end
+    end
+
+    test "get_namespace_object supports unique and string IDs" do
+      id = String.duplicate("cd", 32)
+
+      with_mock Finch, [:passthrough], request: capture_request(%{"id" => id}) do
+        assert {:ok, ^id} = CloudflareDurable.get_namespace_object("counters", "ignored", id_type: :unique)
+        assert_received {:request, %Finch.Request{path: "/worker/namespace/counters/id"}}
+
+        assert {:ok, ^id} = CloudflareDurable.get_namespace_object("counters", id, id_type: :string)
+        assert_received {:request, %Finch.Request{path: path, query: "type=string"}}
+        assert path == "/worker/namespace/counters/id/#{id}"
+      end
+    end
+
+    test "object requests are scoped to the :namespace option" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.update_state("main", "value", 1, namespace: "counters")
+        assert_received {:request, %Finch.Request{path: "/worker/namespace/counters/object/main/state/value"}}
+
+        CloudflareDurable.initialize("main", %{value: 0}, namespace: "counters")
+        assert_received {:request, %Finch.Request{path: "/worker/namespace/counters/initialize/main"}}
+
+        CloudflareDurable.get_state("main")
+        assert_received {:request, %Finch.Request{path: "/worker/object/main/state"}}
+      end
+    end
+
+    test "object IDs, keys and method names are encoded as single path segments" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.update_state("id:ab", "a/b c?", 1, namespace: "team #1")
+        assert_received {:request, %Finch.Request{path: "/worker/namespace/team%20%231/object/id%3Aab/state/a%2Fb%20c%3F"}}
+
+        CloudflareDurable.call_method("room/1", "do/it", %{})
+        assert_received {:request, %Finch.Request{path: "/worker/object/room%2F1/method/do%2Fit"}}
+
+        CloudflareDurable.Client.cancel_job("main", "job/1")
+        assert_received {:request, %Finch.Request{method: "DELETE", path: "/worker/object/main/alarm/jobs/job%2F1"}}
+      end
+    end
+  end
+
+  describe "batch/3" do
+    test "posts the operations to the batch route" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "results" => []}) do
+        operations = [
+          %{op: "put", key: "a", value: 1},
+          %{op: "cas", key: "b", expected: nil, value: 2}
+        ]
+
+        assert {:ok, %{"success" => true}} = CloudflareDurable.batch("main", operations)
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/object/main/batch", body: body}}
+        assert %{"operations" => [%{"op" => "put"}, %{"op" => "cas", "expected" => nil}]} = Jason.decode!(body)
+      end
+    end
+
+    test "maps a failed compare-and-set to :conflict" do
+      response = %Finch.Response{status: 409, headers: [], body: Jason.encode!(%{success: false, failedIndex: 0})}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :conflict} = CloudflareDurable.batch("main", [%{op: "cas", key: "a", expected: 1, value: 2}])
+      end
+    end
+
+    test "validates operations" do
+      assert {:error, :invalid_operations} = CloudflareDurable.batch("main", %{op: "get"})
+    end
+  end
+
+  describe "versioned writes" do
+    test "update_state sends the expected version" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "version" => 4}) do
+        assert {:ok, %{"version" => 4}} = CloudflareDurable.update_state("main", "value", 1, expected_version: 3)
+
+        assert_received {:request, %Finch.Request{method: "PUT", body: body}}
+        assert %{"value" => 1, "expectedVersion" => 3} = Jason.decode!(body)
+      end
+    end
+
+    test "delete_state sends the expected version" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.delete_state("main", "value", expected_version: 2)
+
+        assert_received {:request, %Finch.Request{method: "DELETE", path: "/worker/object/main/state/value", query: "expectedVersion=2"}}
+      end
+    end
+
+    test "maps version conflicts to error tuples" do
+      for {status, reason} <- [{409, :conflict}, {412, :precondition_failed}] do
+        response = %Finch.Response{status: status, headers: [], body: Jason.encode!(%{success: false, currentVersion: 5})}
+
+        with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+          assert {:error, ^reason} = CloudflareDurable.update_state("main", "value", 1, expected_version: 4)
+        end
+      end
+    end
+  end
+
+  describe "atomic/5" do
+    test "posts the operation to the key" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "value" => 3, "version" => 2}) do
+        assert {:ok, %{"value" => 3}} = CloudflareDurable.atomic("main", "hits", :increment, %{by: 2, max: 10})
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/object/main/state/hits/increment", body: body}}
+        assert Jason.decode!(body) == %{"by" => 2, "max" => 10}
+      end
+    end
+
+    test "sends max_length as maxLength" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.atomic("main", "recent", :append, %{value: "hi", max_length: 50})
+
+        assert_received {:request, %Finch.Request{path: "/worker/object/main/state/recent/append", body: body}}
+        assert Jason.decode!(body) == %{"value" => "hi", "maxLength" => 50}
+      end
+    end
+
+    test "maps bound violations" do
+      body = Jason.encode!(%{error: %{code: "out_of_bounds", message: "Result 11 is above the maximum 10"}})
+      response = %Finch.Response{status: 409, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :out_of_bounds} = CloudflareDurable.atomic("main", "hits", :increment, %{max: 10})
+      end
+    end
+
+    test "rejects unknown operations" do
+      assert {:error, :invalid_operation} = CloudflareDurable.atomic("main", "hits", :explode)
+    end
+  end
+
+  describe "patch_state/4" do
+    test "sends a list as a JSON Patch" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "version" => 3}) do
+        patch = [%{op: "replace", path: "/theme", value: "dark"}]
+        assert {:ok, %{"version" => 3}} = CloudflareDurable.patch_state("main", "settings", patch, expected_version: 2)
+
+        assert_received {:request, %Finch.Request{method: "PATCH", path: "/worker/object/main/state/settings", query: "expectedVersion=2", headers: headers, body: body}}
+        assert {"content-type", "application/json-patch+json"} in headers
+        assert Jason.decode!(body) == [%{"op" => "replace", "path" => "/theme", "value" => "dark"}]
+      end
+    end
+
+    test "sends a map as a merge patch" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.patch_state("main", "settings", %{theme: "dark", legacy: nil})
+
+        assert_received {:request, %Finch.Request{method: "PATCH", headers: headers, body: body}}
+        assert {"content-type", "application/merge-patch+json"} in headers
+        assert Jason.decode!(body) == %{"theme" => "dark", "legacy" => nil}
+      end
+    end
+
+    test "maps failed test operations" do
+      body = Jason.encode!(%{error: %{code: "patch_test_failed", message: "Patch operation 0: Test failed at /a"}})
+      response = %Finch.Response{status: 409, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :patch_test_failed} =
+                 CloudflareDurable.patch_state("main", "settings", [%{op: "test", path: "/a", value: 1}])
+      end
+    end
+  end
+
+  describe "large values" do
+    test "upload_value sends pre-encoded JSON with the write options" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "version" => 1}) do
+        assert {:ok, %{"version" => 1}} =
+                 CloudflareDurable.upload_value("main", "dump", {:json, ["[1,", "2]"]}, expected_version: 0, ttl: 1000)
+
+        assert_received {:request, %Finch.Request{method: "PUT", path: "/worker/object/main/state/dump", body: body}}
+        assert Jason.decode!(body) == %{"value" => [1, 2], "expectedVersion" => 0, "ttl" => 1000}
+      end
+    end
+
+    test "download_value requests the raw value" do
+      with_mock Finch, [:passthrough], request: capture_request([1, 2]) do
+        assert {:ok, [1, 2]} = CloudflareDurable.download_value("main", "dump")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/state/dump", query: "format=raw"}}
+      end
+    end
+
+    test "download_value streams into a collectable" do
+      stream = fn _request, _name, acc, fun ->
+        acc = Enum.reduce([{:status, 200}, {:headers, []}, {:data, "[1,"}, {:data, "2]"}], acc, fun)
+        {:ok, acc}
+      end
+
+      with_mock Finch, [:passthrough], stream: stream do
+        assert {:ok, "[1,2]"} = CloudflareDurable.download_value("main", "dump", into: "")
+      end
+    end
+
+    test "maps values over the worker's limit" do
+      body = Jason.encode!(%{error: %{code: "value_too_large", message: "Value is too large"}})
+      response = %Finch.Response{status: 413, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :payload_too_large} = CloudflareDurable.upload_value("main", "dump", %{big: true})
+      end
+    end
+  end
+
+  describe "text documents" do
+    test "edit_document posts operations against a revision" do
+      ops = [%{"type" => "insert", "position" => 0, "text" => "Hi "}]
+
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "revision" => 4, "ops" => ops}) do
+        assert {:ok, %{"revision" => 4}} = CloudflareDurable.edit_document("notes", 3, ops, namespace: "documents")
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/namespace/documents/object/notes/document/edits", body: body}}
+        assert Jason.decode!(body) == %{"revision" => 3, "ops" => ops}
+      end
+    end
+
+    test "get_document_edits maps trimmed history to :revision_too_old" do
+      body = Jason.encode!(%{error: %{code: "revision_too_old", message: "Edits before revision 208 are no longer kept"}})
+      response = %Finch.Response{status: 410, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :revision_too_old} = CloudflareDurable.Client.get_document_edits("notes", 1, namespace: "documents")
+      end
+    end
+  end
+
+  describe "rate limits" do
+    test "client_id is sent as X-Client-Id" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"result" => %{}}) do
+        CloudflareDurable.call_method("main", "echo", %{}, client_id: "user-42")
+
+        assert_received {:request, %Finch.Request{headers: headers}}
+        assert {"x-client-id", "user-42"} in headers
+      end
+    end
+
+    test "get_rate_limits reads the admin counters" do
+      counters = %{"enabled" => true, "allowed" => 10, "limited" => %{"client" => 2, "object" => 0, "method" => 1}}
+
+      with_mock Finch, [:passthrough], request: capture_request(counters) do
+        assert {:ok, ^counters} = CloudflareDurable.Client.get_rate_limits("main")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/admin/rate-limits"}}
+      end
+    end
+  end
+
+  describe "get_metrics/2" do
+    test "emits the totals as a telemetry event" do
+      metrics = %{
+        "requests" => [%{"method" => "GET", "route" => "/state", "count" => 3}, %{"method" => "PUT", "route" => "/state/{key}", "count" => 2}],
+        "storage" => %{"get" => 7, "put" => 2},
+        "sessions" => %{"active" => 4, "opened" => 5, "closed" => 1},
+        "broadcasts" => %{"frames" => %{"update" => 2}, "messages" => 8}
+      }
+
+      test_pid = self()
+      handler = fn _event, measurements, metadata, _config -> send(test_pid, {:metrics, measurements, metadata}) end
+      :telemetry.attach("client-test-metrics", [:cloudflare_durable, :object, :metrics], handler, nil)
+      on_exit(fn -> :telemetry.detach("client-test-metrics") end)
+
+      with_mock Finch, [:passthrough], request: capture_request(metrics) do
+        assert {:ok, ^metrics} = CloudflareDurable.Client.get_metrics("main")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/metrics"}}
+        assert_received {:metrics, %{requests: 5, sessions: 4, storage_operations: 9, broadcast_messages: 8}, %{object_id: "main"}}
+      end
+    end
+
+    test "returns Prometheus text as is" do
+      text = "durable_object_websocket_sessions 4\n"
+
+      with_mock Finch, [:passthrough],
+        request: fn request, _name ->
+          send(self(), {:request, request})
+          {:ok, %Finch.Response{status: 200, headers: [], body: text}}
+        end do
+        assert {:ok, ^text} = CloudflareDurable.Client.get_metrics("main", format: :prometheus)
+
+        assert_received {:request, %Finch.Request{query: "format=prometheus"}}
+      end
+    end
+  end
+
+  describe "request IDs" do
+    test "request_id is sent as X-Request-Id" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"data" => %{}}) do
+        CloudflareDurable.get_state("main", nil, request_id: "req-1")
+
+        assert_received {:request, %Finch.Request{headers: headers}}
+        assert {"x-request-id", "req-1"} in headers
+      end
+    end
+
+    test "falls back to the Logger metadata, then a generated ID" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"data" => %{}}) do
+        Logger.metadata(request_id: "from-plug")
+        CloudflareDurable.get_state("main")
+        Logger.metadata(request_id: nil)
+        CloudflareDurable.get_state("main")
+
+        assert_received {:request, %Finch.Request{headers: headers}}
+        assert {"x-request-id", "from-plug"} in headers
+
+        assert_received {:request, %Finch.Request{headers: headers}}
+        {"x-request-id", generated} = List.keyfind(headers, "x-request-id", 0)
+        assert generated =~ ~r/^[\w-]{20}$/
+      end
+    end
+  end
+
+  describe "retries and idempotency keys" do
+    test "retries a write with the same idempotency key" do
+      test_pid = self()
+      attempts = :counters.new(1, [])
+
+      request = fn request, _name ->
+        send(test_pid, {:request, request})
+        :counters.add(attempts, 1, 1)
+
+        case :counters.get(attempts, 1) do
+          1 -> {:ok, %Finch.Response{status: 503, headers: [], body: ""}}
+          2 -> {:error, %Mint.TransportError{reason: :closed}}
+          _ -> {:ok, %Finch.Response{status: 200, headers: [{"idempotent-replayed", "true"}], body: ~s({"result":{"value":1}})}}
+        end
+      end
+
+      with_mock Finch, [:passthrough], request: request do
+        assert {:ok, %{"result" => %{"value" => 1}}} =
+                 CloudflareDurable.call_method("main", "increment", %{}, retry_count: 3, retry_delay: 1)
+
+        keys =
+          for _ <- 1..3 do
+            assert_received {:request, %Finch.Request{headers: headers}}
+            {"idempotency-key", key} = List.keyfind(headers, "idempotency-key", 0)
+            key
+          end
+
+        assert [key, key, key] = keys
+      end
+    end
+
+    test "gives up after retry_count retries" do
+      response = %Finch.Response{status: 429, headers: [{"retry-after", "0"}], body: ""}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :rate_limited} = CloudflareDurable.update_state("main", "k", 1, retry_count: 2, retry_delay: 1)
+        assert_called_exactly(Finch.request(:_, :_), 3)
+      end
+    end
+
+    test "reads carry no idempotency key and explicit keys are sent as given" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.get_state("main", nil, retry_count: 3)
+        CloudflareDurable.update_state("main", "k", 1, idempotency_key: "write-1")
+
+        assert_received {:request, %Finch.Request{method: "GET", headers: headers}}
+        refute List.keymember?(headers, "idempotency-key", 0)
+
+        assert_received {:request, %Finch.Request{method: "PUT", headers: headers}}
+        assert {"idempotency-key", "write-1"} in headers
+      end
+    end
+  end
+
+  describe "key expiry" do
+    test "update_state sends a ttl or expiry time" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.update_state("main", "session", "abc", ttl: 60_000)
+        assert_received {:request, %Finch.Request{body: body}}
+        assert Jason.decode!(body) == %{"value" => "abc", "ttl" => 60_000}
+
+        CloudflareDurable.update_state("main", "session", "abc", expires_at: ~U[2030-01-01 00:00:00Z])
+        assert_received {:request, %Finch.Request{body: body}}
+        assert Jason.decode!(body) == %{"value" => "abc", "expiresAt" => "2030-01-01T00:00:00Z"}
+      end
+    end
+
+    test "initialize passes the ttl as a query parameter" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.initialize("main", %{session: "abc"}, ttl: 1000)
+
+        assert_received {:request, %Finch.Request{path: "/worker/initialize/main", query: "ttl=1000"}}
+      end
+    end
+  end
+
+  describe "get_state/3 listing" do
+    test "passes list options as query parameters" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"data" => %{}, "cursor" => nil, "truncated" => false}) do
+        CloudflareDurable.get_state("main", nil, prefix: "user:", limit: 50, reverse: true, cursor: "YTI")
+
+        assert_received {:request, %Finch.Request{path: "/worker/object/main/state", query: query}}
+        assert URI.decode_query(query) == %{"prefix" => "user:", "limit" => "50", "reverse" => "true", "cursor" => "YTI"}
+      end
+    end
+
+    test "omits the query string without list options" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"data" => %{}}) do
+        CloudflareDurable.get_state("main", nil, worker_url: @default_worker_url)
+
+        assert_received {:request, %Finch.Request{path: "/worker/object/main/state", query: nil}}
+      end
+    end
+  end
+
+  describe "get_changes/3" do
+    test "requests the changes after a sequence number" do
+      changes = [%{"seq" => 8, "key" => "count", "value" => 3, "timestamp" => "2030-01-01T00:00:00Z"}]
+
+      with_mock Finch, [:passthrough], request: capture_request(%{"seq" => 8, "changes" => changes}) do
+        assert {:ok, %{"seq" => 8, "changes" => ^changes}} = CloudflareDurable.Client.get_changes("main", 7)
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/changes", query: "since=7"}}
+      end
+    end
+
+    test "maps a trimmed log to :log_trimmed" do
+      body = Jason.encode!(%{error: %{code: "log_trimmed", message: "Changes since 1 are no longer available"}})
+      response = %Finch.Response{status: 410, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :log_trimmed} = CloudflareDurable.Client.get_changes("main", 1)
+      end
+    end
+  end
+
+  describe "export and import" do
+    test "export_state returns the raw NDJSON" do
+      ndjson = ~s({"type":"meta","format":"cfd-export"}\n{"type":"entry","key":"a","value":1,"version":1}\n)
+      test_pid = self()
+
+      with_mock Finch, [:passthrough],
+        request: fn request, _name ->
+          send(test_pid, {:request, request})
+          {:ok, %Finch.Response{status: 200, headers: [], body: ndjson}}
+        end do
+        assert {:ok, ^ndjson} = CloudflareDurable.export_state("main")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/export"}}
+      end
+    end
+
+    test "import_state posts NDJSON with the mode" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "imported" => 2, "deleted" => 0}) do
+        entries = [%{key: "a", value: 1}, %{key: "b", value: 2, version: 3}]
+
+        assert {:ok, %{"imported" => 2}} = CloudflareDurable.import_state("copy", entries, mode: :replace)
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/object/copy/import", query: "mode=replace", headers: headers, body: body}}
+        assert {"content-type", "application/x-ndjson"} in headers
+        assert [%{"key" => "a"}, %{"key" => "b", "version" => 3}] = body |> String.split("\n") |> Enum.map(&Jason.decode!/1)
+      end
+    end
+  end
+
+  describe "admin routes" do
+    test "a worker without authentication refuses them" do
+      body = Jason.encode!(%{error: %{code: "admin_disabled", message: "Admin routes require AUTH_SECRET or AUTH_SIGNING_SECRET to be set"}})
+      response = %Finch.Response{status: 403, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :admin_disabled} = CloudflareDurable.Client.list_sessions("main")
+      end
+    end
+
+    test "disconnect_session sends the close reason" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "sessionId" => "s-1"}) do
+        assert {:ok, _} = CloudflareDurable.Client.disconnect_session("main", "s-1", reason: "kicked out")
+
+        assert_received {:request, %Finch.Request{method: "DELETE", path: "/worker/object/main/admin/sessions/s-1", query: "reason=kicked+out"}}
+      end
+    end
+
+    test "wipe_object confirms with the token" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "sessions" => 2}) do
+        assert {:ok, %{"sessions" => 2}} = CloudflareDurable.Client.wipe_object("main", "token-1")
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/object/main/admin/wipe", body: body}}
+        assert Jason.decode!(body) == %{"confirm" => "token-1"}
+      end
+    end
+
+    test "maps a rejected confirmation" do
+      body = Jason.encode!(%{error: %{code: "invalid_confirmation", message: "Expected confirm to be a token"}})
+      response = %Finch.Response{status: 400, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :invalid_confirmation} = CloudflareDurable.Client.wipe_object("main", "stale")
+      end
+    end
+  end
+
+  describe "initialize modes" do
+    test "sends the mode as a query parameter" do
+      response = %{"success" => true, "mode" => "merge_missing", "initializedAt" => "2030-01-01T00:00:00.000Z", "written" => ["b"]}
+
+      with_mock Finch, [:passthrough], request: capture_request(response) do
+        assert {:ok, %{"written" => ["b"]}} =
+                 CloudflareDurable.initialize("main", %{a: 1, b: 2}, mode: :merge_missing, ttl: 1000)
+
+        assert_received {:request, %Finch.Request{path: "/worker/initialize/main", query: "mode=merge_missing&ttl=1000"}}
+      end
+    end
+
+    test "create_only maps an existing object" do
+      body = Jason.encode!(%{error: %{code: "already_initialized", message: "Object already has state"}})
+      response = %Finch.Response{status: 409, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, :already_initialized} = CloudflareDurable.initialize("main", %{count: 0}, mode: :create_only)
+      end
+    end
+  end
+
+  describe "schemas" do
+    test "initialize sends the schema with the state" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        schema = %{properties: %{count: %{type: "integer"}}, required: ["count"]}
+        assert {:ok, _} = CloudflareDurable.Client.initialize("main", %{count: 0}, schema: schema)
+
+        assert_received {:request, %Finch.Request{path: "/worker/initialize/main", body: body}}
+
+        assert Jason.decode!(body) == %{
+                 "count" => 0,
+                 "__cfd:schema" => %{"properties" => %{"count" => %{"type" => "integer"}}, "required" => ["count"]}
+               }
+      end
+    end
+
+    test "returns field-level errors on a violation" do
+      errors = [%{path: "/count", message: "must be an integer"}]
+      body = Jason.encode!(%{error: %{code: "schema_violation", message: "Value does not match the schema", details: errors}})
+      response = %Finch.Response{status: 422, headers: [], body: body}
+
+      with_mock Finch, [:passthrough], request: fn _, _ -> {:ok, response} end do
+        assert {:error, {:schema_violation, [%{"path" => "/count", "message" => "must be an integer"}]}} =
+                 CloudflareDurable.Client.update_state("main", "count", "one")
+      end
+    end
+  end
+
+  describe "alarms" do
+    test "schedule_method posts a job" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true, "job" => %{"id" => "job-1"}}) do
+        at = ~U[2030-01-01 00:00:00Z]
+
+        assert {:ok, %{"job" => %{"id" => "job-1"}}} =
+                 CloudflareDurable.Client.schedule_method("main", "increment", %{increment: 2}, at: at, max_retries: 5)
+
+        assert_received {:request, %Finch.Request{method: "POST", path: "/worker/object/main/alarm/jobs", body: body}}
+
+        assert %{"method" => "increment", "params" => %{"increment" => 2}, "at" => "2030-01-01T00:00:00Z", "maxRetries" => 5} =
+                 Jason.decode!(body)
+      end
+    end
+
+    test "schedule_method defaults to running immediately" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.Client.schedule_method("main", "echo", %{})
+
+        assert_received {:request, %Finch.Request{body: body}}
+        assert %{"delay" => 0} = Jason.decode!(body)
+      end
+    end
+
+    test "get_alarm, cancel_job and cancel_alarm use the alarm routes" do
+      with_mock Finch, [:passthrough], request: capture_request(%{"success" => true}) do
+        CloudflareDurable.Client.get_alarm("main")
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/alarm"}}
+
+        CloudflareDurable.Client.cancel_job("main", "job-1")
+        assert_received {:request, %Finch.Request{method: "DELETE", path: "/worker/object/main/alarm/jobs/job-1"}}
+
+        CloudflareDurable.Client.cancel_alarm("main")
+        assert_received {:request, %Finch.Request{method: "DELETE", path: "/worker/object/main/alarm"}}
+      end
+    end
+  end
+
+  describe "list_methods/2" do
+    test "returns the registered methods" do
+      methods = [%{"name" => "increment", "description" => "Adds to value", "schema" => nil}]
+
+      with_mock Finch, [:passthrough], request: capture_request(%{"methods" => methods}) do
+        assert {:ok, ^methods} = CloudflareDurable.Client.list_methods("main")
+
+        assert_received {:request, %Finch.Request{method: "GET", path: "/worker/object/main/methods"}}
+      end
+    end
+  end
+end
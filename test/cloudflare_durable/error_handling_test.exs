@@ -189,6 +189,68 @@ defmodule CloudflareDurable.ErrorHandlingTest do
     end
   end
   
+  describe "structured error responses" do
+    test "maps worker error codes to reasons" do
+      cases = [
+        {400, "invalid_json", :invalid_json},
+        {413, "payload_too_large", :payload_too_large},
+        {415, "unsupported_media_type", :unsupported_media_type},
+        {404, "method_not_found", :method_not_found},
+        {404, "key_not_found", :not_found},
+        {409, "version_conflict", :conflict}
+      ]
+      
+      for {status, code, reason} <- cases do
+        response = %Finch.Response{
+          status: status,
+          headers: [{"content-type", "application/json"}],
+          body: Jason.encode!(%{error: %{code: code, message: "failed", details: nil}})
+        }
+        
+        with_mock Finch, 
+          [:passthrough], 
+          [request: fn _, _ -> {:ok, response} end] do
+          
+          assert {:error, ^reason} = CloudflareDurable.call_method("test-object", "method_name", %{})
+        end
+      end
+    end
+    
+    test "falls back to the status for unknown codes" do
+      response = %Finch.Response{
+        status: 403,
+        headers: [{"content-type", "application/json"}],
+        body: Jason.encode!(%{error: %{code: "forbidden", message: "Token does not grant access"}})
+      }
+      
+      with_mock Finch, 
+        [:passthrough], 
+        [request: fn _, _ -> {:ok, response} end] do
+        
+        assert {:error, :forbidden} = CloudflareDurable.get_state("test-object")
+      end
+    end
+    
+    test "logs the error code" do
+      response = %Finch.Response{
+        status: 400,
+        headers: [{"content-type", "application/json"}],
+        body: Jason.encode!(%{error: %{code: "invalid_json", message: "Invalid JSON body"}})
+      }
+      
+      with_mock Finch, 
+        [:passthrough], 
+        [request: fn _, _ -> {:ok, response} end] do
+        
+        log = capture_log(fn ->
+          CloudflareDurable.initialize("test-object", %{})
+        end)
+        
+        assert log =~ "HTTP error 400 (invalid_json)"
+      end
+    end
+  end
+  
   describe "invalid responses" do
     test "handles invalid JSON response" do
       response = %Finch.Response{
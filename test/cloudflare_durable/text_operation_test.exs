@@ -0,0 +1,53 @@
+defmodule CloudflareDurable.TextOperationTest do
+  @moduledoc """
+  Tests for CloudflareDurable.TextOperation, which mirrors the worker's
+  operational transform for text documents.
+  """
+
+  use ExUnit.Case, async: true
+
+  alias CloudflareDurable.TextOperation, as: Op
+
+  describe "apply_ops/2" do
+    test "applies operations in order, counting code points" do
+      ops = [Op.insert(5, ", 😀"), Op.delete(0, 1), Op.insert(0, "H")]
+      assert Op.apply_ops("hello world", ops) == {:ok, "Hello, 😀 world"}
+    end
+
+    test "rejects operations outside the text" do
+      assert Op.apply_ops("abc", [Op.delete(2, 2)]) == {:error, :out_of_range}
+      assert Op.apply_ops("abc", [Op.insert(4, "x")]) == {:error, :out_of_range}
+    end
+  end
+
+  describe "transform/3" do
+    test "orders inserts at the same position by side" do
+      assert {[%{"position" => 0}], [%{"position" => 1}]} = Op.transform([Op.insert(0, "a")], [Op.insert(0, "b")], :left)
+      assert {[%{"position" => 1}], [%{"position" => 0}]} = Op.transform([Op.insert(0, "a")], [Op.insert(0, "b")], :right)
+    end
+
+    test "splits a delete around a concurrent insert" do
+      assert {[Op.delete(1, 2), Op.delete(2, 2)], [Op.insert(1, "X")]} ==
+               Op.transform([Op.delete(1, 4)], [Op.insert(3, "X")], :left)
+    end
+
+    test "converges for concurrent edits" do
+      text = "the quick brown fox"
+
+      cases = [
+        {[Op.insert(4, "very "), Op.delete(0, 4)], [Op.delete(4, 6), Op.insert(4, "slow ")]},
+        {[Op.delete(2, 10)], [Op.delete(5, 10), Op.insert(0, ">")]},
+        {[Op.insert(19, "!"), Op.insert(0, "🦊 ")], [Op.delete(16, 3), Op.insert(16, "cat")]},
+        {[Op.delete(0, 19)], [Op.insert(10, "red "), Op.delete(0, 3)]}
+      ]
+
+      for {a, b} <- cases do
+        {a_after_b, b_after_a} = Op.transform(a, b, :right)
+        {:ok, ab} = Op.apply_ops(text, a)
+        {:ok, ba} = Op.apply_ops(text, b)
+
+        assert Op.apply_ops(ba, a_after_b) == Op.apply_ops(ab, b_after_a)
+      end
+    end
+  end
+end
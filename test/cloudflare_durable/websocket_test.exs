@@ -51,6 +51,21 @@ defmodule CloudflareDurable.WebSocketTest do
       end
     end
     
+    test "passes key subscriptions to the connection" do
+      test_pid = self()
+      
+      with_mock CloudflareDurable.WebSocket.Supervisor, 
+        [:passthrough], 
+        [start_connection: fn _object_id, opts -> send(test_pid, {:opts, opts}); {:ok, self()} end] do
+        
+        CloudflareDurable.websocket_connect("test-object", "/", keys: ["count"], prefixes: ["user:"])
+        
+        assert_received {:opts, opts}
+        assert opts[:keys] == ["count"]
+        assert opts[:prefixes] == ["user:"]
+      end
+    end
+    
     test "handles connection errors" do
       error_reason = "connection refused"
       
@@ -323,4 +338,22 @@ defmodule CloudflareDurable.WebSocketTest do
       end
     end
   end
+  
+  describe "key subscriptions" do
+    alias CloudflareDurable.WebSocket.Connection
+    
+    test "a connection receiving every key cannot unsubscribe from single keys" do
+      state = %{key_subscriptions: nil, status: :disconnected}
+      
+      assert {:reply, {:error, :all_keys_subscription}, ^state} =
+               Connection.handle_call({:update_key_subscriptions, "unsubscribe", ["a"], []}, nil, state)
+    end
+    
+    test "unsubscribing narrows a connection subscribed to some keys" do
+      state = %{key_subscriptions: %{keys: ["a", "b"], prefixes: ["p:"]}, status: :disconnected}
+      
+      assert {:reply, :ok, %{key_subscriptions: %{keys: ["b"], prefixes: []}}} =
+               Connection.handle_call({:update_key_subscriptions, "unsubscribe", ["a"], ["p:"]}, nil, state)
+    end
+  end
 end 
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const admin = { Authorization: "Bearer secret" };
+
+test("admin routes are refused when no authentication is configured", async () => {
+  const { call } = await createWorker();
+
+  for (const [method, path] of [["GET", "/object/a/admin/sessions"], ["POST", "/object/a/admin/wipe-token"], ["GET", "/namespace/default/object/a/admin/storage"]]) {
+    const response = await call(method, path);
+    assert.equal(response.status, 403, path);
+    assert.equal(response.body.error.code, "admin_disabled");
+  }
+  assert.equal((await call("GET", "/object/a/state")).status, 200);
+});
+
+test("admin routes are open to the worker's own credentials", async () => {
+  const { call } = await createWorker({ AUTH_SECRET: "secret" });
+
+  assert.equal((await call("GET", "/object/a/admin/sessions")).status, 401);
+  assert.deepEqual((await call("GET", "/object/a/admin/sessions", undefined, admin)).body, { count: 0, sessions: [] });
+});
+
+test("disconnecting a malformed session ID is a 400", async () => {
+  const { call } = await createWorker({ AUTH_SECRET: "secret" });
+
+  const response = await call("DELETE", "/object/a/admin/sessions/%E0%A4%A", undefined, admin);
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "invalid_path");
+  assert.equal((await call("DELETE", "/object/a/admin/sessions/missing", undefined, admin)).status, 404);
+});
+
+test("wiping needs a confirmation token from wipe-token", async () => {
+  const { call } = await createWorker({ AUTH_SECRET: "secret" });
+  await call("PUT", "/object/a/state/k", { value: 1 }, admin);
+  const { token } = (await call("POST", "/object/a/admin/wipe-token", undefined, admin)).body;
+
+  for (const body of ["null", [token], { confirm: "wrong" }]) {
+    const response = await call("POST", "/object/a/admin/wipe", body, admin);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error.code, "invalid_confirmation");
+  }
+  assert.equal((await call("GET", "/object/a/state/k", undefined, admin)).body.value, 1);
+
+  assert.equal((await call("POST", "/object/a/admin/wipe", { confirm: token }, admin)).status, 200);
+  assert.equal((await call("GET", "/object/a/state/k", undefined, admin)).status, 404);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+import { DurableObject } from "../../priv/cloudflare/durable-objects-worker.js";
+
+class FlakyObject extends DurableObject {}
+FlakyObject.defineMethods({
+  fail() {
+    throw new Error("always fails");
+  }
+});
+
+function jobMessages(session) {
+  return session.received.filter(({ type }) => type === "job");
+}
+
+test("cancelling the alarm keeps the expiry sweeper scheduled", async () => {
+  const { call, instance } = await createWorker();
+  const expiresAt = Date.now() + 60000;
+  await call("PUT", "/object/a/state/k", { value: 1, expiresAt });
+  await call("PUT", "/object/a/alarm", { delay: 1000 });
+  await call("POST", "/object/a/alarm/jobs", { method: "increment", delay: 2000 });
+
+  const response = await call("DELETE", "/object/a/alarm");
+  assert.equal(response.body.cancelled, 1);
+
+  const info = (await call("GET", "/object/a/alarm")).body;
+  assert.equal(info.wakeUp, null);
+  assert.deepEqual(info.jobs, []);
+  assert.equal(instance("a").state.storage.alarm, expiresAt);
+});
+
+test("cancelling the alarm with nothing else pending clears it", async () => {
+  const { call, instance } = await createWorker();
+  await call("PUT", "/object/a/alarm", { delay: 1000 });
+
+  await call("DELETE", "/object/a/alarm");
+  assert.equal(instance("a").state.storage.alarm, null);
+});
+
+test("a due job runs when the alarm fires and is removed", async () => {
+  const { call, instance, connect } = await createWorker();
+  const session = await connect("a");
+  const { body } = await call("POST", "/object/a/alarm/jobs", { method: "increment", params: { increment: 2 }, delay: 0 });
+  assert.equal(instance("a").state.storage.alarm, body.job.runAt);
+
+  await instance("a").object.alarm();
+
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 2);
+  assert.deepEqual((await call("GET", "/object/a/alarm")).body.jobs, []);
+  assert.deepEqual(jobMessages(session).map(({ success, attempts }) => [success, attempts]), [[true, 1]]);
+});
+
+test("a failing job is retried up to maxRetries, backing off, then dropped", async () => {
+  const { call, instance, connect } = await createWorker({}, FlakyObject);
+  const session = await connect("a");
+  await call("POST", "/object/a/alarm/jobs", { method: "fail", delay: 0, maxRetries: 1, retryDelay: 0 });
+
+  await instance("a").object.alarm();
+  const [job] = (await call("GET", "/object/a/alarm")).body.jobs;
+  assert.equal(job.attempts, 1);
+
+  await instance("a").object.alarm();
+  assert.deepEqual((await call("GET", "/object/a/alarm")).body.jobs, []);
+  assert.deepEqual(jobMessages(session).map(({ success, retrying, error }) => [success, retrying, error]), [
+    [false, true, "always fails"],
+    [false, false, "always fails"]
+  ]);
+});
+
+test("malformed schedules are rejected with 400", async () => {
+  const { call } = await createWorker();
+  const jobs = [
+    "null",
+    { method: { name: "increment" }, delay: 0 },
+    { method: "increment" },
+    { method: "increment", delay: 0, retryDelay: -1 },
+    { method: "increment", delay: 0, maxRetries: 1000 },
+    { method: "increment", delay: 0, maxRetries: 1.5 }
+  ];
+
+  for (const job of jobs) {
+    const response = await call("POST", "/object/a/alarm/jobs", job);
+    assert.equal(response.status, 400, JSON.stringify(job));
+    assert.equal(response.body.error.code, "invalid_request");
+  }
+  assert.equal((await call("PUT", "/object/a/alarm", "null")).status, 400);
+  assert.deepEqual((await call("GET", "/object/a/alarm")).body.jobs, []);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+async function apply(call, key, op, params = {}) {
+  return await call("POST", `/object/a/state/${key}/${op}`, params);
+}
+
+test("increment and decrement count from zero and respect bounds", async () => {
+  const { call } = await createWorker();
+
+  assert.equal((await apply(call, "n", "increment")).body.value, 1);
+  assert.equal((await apply(call, "n", "increment", { by: 4 })).body.value, 5);
+  assert.equal((await apply(call, "n", "decrement", { by: 2 })).body.value, 3);
+
+  const over = await apply(call, "n", "increment", { by: 10, max: 5 });
+  assert.equal(over.status, 409);
+  assert.equal(over.body.error.code, "out_of_bounds");
+  assert.equal((await apply(call, "n", "increment", { by: 10, max: 5, clamp: true })).body.value, 5);
+  assert.equal((await apply(call, "n", "decrement", { by: 10, min: 0, clamp: true })).body.value, 0);
+});
+
+test("increment bounds that are not numbers are rejected with 400", async () => {
+  const { call } = await createWorker();
+  await apply(call, "n", "increment");
+
+  for (const bounds of [{ max: "abc" }, { min: null }, { max: [1] }, { min: "0", clamp: true }]) {
+    const response = await apply(call, "n", "increment", { by: 100, ...bounds });
+    assert.equal(response.status, 400, JSON.stringify(bounds));
+    assert.equal(response.body.error.code, "invalid_request");
+  }
+  assert.equal((await call("GET", "/object/a/state/n")).body.value, 1);
+});
+
+test("list operations append, prepend, add and remove items", async () => {
+  const { call } = await createWorker();
+
+  await apply(call, "log", "append", { values: [1, 2, 3] });
+  assert.deepEqual((await apply(call, "log", "append", { value: 4, maxLength: 3 })).body.value, [2, 3, 4]);
+  assert.deepEqual((await apply(call, "log", "prepend", { value: 1, maxLength: 3 })).body.value, [1, 2, 3]);
+
+  assert.deepEqual((await apply(call, "tags", "add", { values: ["a", { b: 1 }, "a"] })).body.value, ["a", { b: 1 }]);
+  assert.deepEqual((await apply(call, "tags", "add", { value: { b: 1 } })).body.value, ["a", { b: 1 }]);
+  assert.deepEqual((await apply(call, "tags", "remove", { value: { b: 1 } })).body.value, ["a"]);
+});
+
+test("merge applies a merge patch to the current value", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/user", { value: { name: "a", role: "admin" } });
+
+  const response = await apply(call, "user", "merge", { patch: { role: null, active: true } });
+  assert.deepEqual(response.body.value, { name: "a", active: true });
+  assert.equal(response.headers.get("ETag"), '"2"');
+});
+
+test("operations on the wrong type, unknown operations and reserved keys are refused", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/text", { value: "x" });
+
+  const mismatch = await apply(call, "text", "increment");
+  assert.equal(mismatch.status, 409);
+  assert.equal(mismatch.body.error.code, "type_mismatch");
+  assert.equal((await apply(call, "text", "append", { value: 1 })).body.error.code, "type_mismatch");
+
+  assert.equal((await apply(call, "n", "multiply")).status, 404);
+  assert.equal((await apply(call, "__cfd:schema", "increment")).status, 400);
+});
+
+test("atomic operations bump the version, keep the TTL and broadcast the new value", async () => {
+  const { call, connect } = await createWorker();
+  const expiresAt = Date.now() + 60000;
+  await call("PUT", "/object/a/state/n", { value: 1, expiresAt });
+  const session = await connect("a");
+
+  const response = await apply(call, "n", "increment");
+  assert.equal(response.body.version, 2);
+  const [, entry] = (await call("GET", "/object/a/export")).text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(entry.expiresAt, new Date(expiresAt).toISOString());
+  assert.deepEqual(session.received.filter(({ type }) => type === "update").map(({ key, value }) => [key, value]), [["n", 2]]);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createWorker } from "./support/runtime.mjs";
+
+const secret = "signing-secret";
+
+// A scoped token as CloudflareDurable.Auth.scoped_token/2 builds it
+function scopedToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${createHmac("sha256", secret).update(payload).digest("base64url")}`;
+}
+
+function bearer(claims) {
+  return { Authorization: `Bearer ${scopedToken(claims)}` };
+}
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test("scoped tokens match object names, never hex IDs", async () => {
+  const { call, env } = await createWorker({ AUTH_SIGNING_SECRET: secret });
+  const id = env.DURABLE_OBJECT.idFromName("room-1").toString();
+
+  const room = bearer({ sub: "room-1", exp: inAnHour() });
+  assert.equal((await call("GET", "/object/room-1/state", undefined, room)).status, 200);
+  assert.equal((await call("GET", `/object/id:${id}/state`, undefined, room)).status, 403);
+
+  // A wildcard must not match the hex ID of some other object
+  const prefix = bearer({ sub: `${id.slice(0, 4)}*`, exp: inAnHour() });
+  assert.equal((await call("GET", `/object/id:${id}/state`, undefined, prefix)).status, 403);
+  assert.equal((await call("GET", `/object/${id}/state`, undefined, prefix)).status, 200);
+
+  const wildcard = bearer({ sub: "room-*", exp: inAnHour() });
+  assert.equal((await call("GET", "/object/room-2/state", undefined, wildcard)).status, 200);
+  assert.equal((await call("GET", "/object/lobby/state", undefined, wildcard)).status, 403);
+});
+
+test("scoped tokens need an exp within the maximum lifetime", async () => {
+  const { call } = await createWorker({ AUTH_SIGNING_SECRET: secret, AUTH_MAX_TOKEN_TTL_SECONDS: "7200" });
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const claims of [{ sub: "room" }, { sub: "room", exp: now - 1 }, { sub: "room", exp: now + 7300 }, { sub: "room", exp: "never" }]) {
+    const response = await call("GET", "/object/room/state", undefined, bearer(claims));
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, "invalid_token");
+  }
+  assert.equal((await call("GET", "/object/room/state", undefined, bearer({ sub: "room", exp: now + 7000 }))).status, 200);
+});
+
+test("a malformed object ID under a scoped token is a 400", async () => {
+  const { call } = await createWorker({ AUTH_SIGNING_SECRET: secret });
+
+  const response = await call("GET", "/object/%E0%A4%A/state", undefined, bearer({ sub: "room-*", exp: inAnHour() }));
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "invalid_object_id");
+  assert.equal((await call("GET", "/namespace/%E0%A4%A/object/a/state")).status, 400);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+test("a batch applies every operation and reports each result", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/old", { value: 1 });
+
+  const response = await call("POST", "/object/a/batch", {
+    operations: [
+      { op: "put", key: "k", value: 1 },
+      { op: "get", key: "k" },
+      { op: "delete", key: "old" },
+      { op: "cas", key: "fresh", expected: null, value: "new" }
+    ]
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.results.map(({ op, success, found }) => [op, success ?? found]), [
+    ["put", true], ["get", true], ["delete", true], ["cas", true]
+  ]);
+  assert.equal((await call("GET", "/object/a/state/old")).status, 404);
+  assert.equal((await call("GET", "/object/a/state/fresh")).body.value, "new");
+});
+
+test("a failed compare-and-set rolls back the whole batch and broadcasts nothing", async () => {
+  const { call, connect } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: 1 });
+  const session = await connect("a");
+
+  const response = await call("POST", "/object/a/batch", [
+    { op: "put", key: "other", value: 2 },
+    { op: "delete", key: "k" },
+    { op: "cas", key: "k", expectedVersion: 7, value: 3 }
+  ]);
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.code, "batch_conflict");
+  assert.equal(response.body.error.details.failedIndex, 2);
+  // Operations see the earlier ones in the batch
+  assert.deepEqual(response.body.error.details.results[2], { op: "cas", key: "k", success: false, current: null, currentVersion: 0 });
+
+  assert.equal((await call("GET", "/object/a/state/k")).body.value, 1);
+  assert.equal((await call("GET", "/object/a/state/other")).status, 404);
+  assert.equal(session.received.filter(({ type }) => type === "batch" || type === "update").length, 0);
+});
+
+test("a compare-and-set on the current version or value succeeds", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: { n: 1 } });
+
+  const byVersion = await call("POST", "/object/a/batch", [{ op: "cas", key: "k", expectedVersion: 1, value: { n: 2 } }]);
+  assert.equal(byVersion.status, 200);
+  assert.equal(byVersion.body.results[0].version, 2);
+
+  const byValue = await call("POST", "/object/a/batch", [{ op: "cas", key: "k", expected: { n: 2 }, value: { n: 3 } }]);
+  assert.equal(byValue.status, 200);
+  assert.equal((await call("GET", "/object/a/state/k")).body.value.n, 3);
+});
+
+test("malformed batches are rejected with 400", async () => {
+  const { call } = await createWorker();
+
+  for (const body of ["null", "5", { operations: "x" }, [{ op: "drop", key: "k" }], [{ op: "put", key: "k" }], [{ op: "get", key: "__cfd:schema" }]]) {
+    const response = await call("POST", "/object/a/batch", body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error.code, "invalid_batch");
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+import { TextDocument } from "../../priv/cloudflare/durable-objects-worker.js";
+
+// Make puts of keys starting with `prefix` fail
+function failPuts(storage, prefix) {
+  const put = storage.put.bind(storage);
+  storage.put = async (key, value) => {
+    const keys = typeof key === "object" ? Object.keys(key) : [key];
+    if (keys.some((name) => name.startsWith(prefix))) {
+      throw new Error("Storage unavailable");
+    }
+    return put(key, value);
+  };
+}
+
+test("changes are logged with increasing sequence numbers", async () => {
+  const { call } = await createWorker();
+
+  await call("PUT", "/object/a/state/x", { value: 1 });
+  await call("PUT", "/object/a/state/y", { value: 2 });
+  await call("DELETE", "/object/a/state/x");
+
+  const { body } = await call("GET", "/object/a/changes?since=1");
+  assert.equal(body.seq, 3);
+  assert.deepEqual(body.changes.map(({ seq, key, value }) => ({ seq, key, value })), [
+    { seq: 2, key: "y", value: 2 },
+    { seq: 3, key: "x", value: null }
+  ]);
+});
+
+test("a failed change log write fails the request", async () => {
+  const { call, instance } = await createWorker();
+  await call("PUT", "/object/a/state/x", { value: 1 });
+  failPuts(instance("a").state.storage, "__cfd:log:");
+
+  const response = await call("PUT", "/object/a/state/x", { value: 2 });
+
+  assert.equal(response.status, 500);
+});
+
+test("a failed edit write leaves the document as stored", async () => {
+  const { call, instance } = await createWorker({}, TextDocument);
+  await call("POST", "/object/doc/document/edits", { revision: 0, ops: [{ type: "insert", position: 0, text: "abc" }] });
+  failPuts(instance("doc").state.storage, "__cfd:document:edit:");
+
+  const response = await call("POST", "/object/doc/document/edits", { revision: 1, ops: [{ type: "insert", position: 0, text: "x" }] });
+
+  assert.equal(response.status, 500);
+  assert.deepEqual((await call("GET", "/object/doc/document")).body, { text: "abc", revision: 1 });
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const admin = { Authorization: "Bearer secret" };
+
+function assertEnvelope(response, status, code) {
+  assert.equal(response.status, status);
+  assert.equal(response.headers.get("Content-Type"), "application/json");
+  assert.deepEqual(Object.keys(response.body), ["error"]);
+  assert.equal(response.body.error.code, code);
+  assert.equal(typeof response.body.error.message, "string");
+  assert.ok("details" in response.body.error);
+}
+
+test("errors come back in the JSON envelope with a matching status", async () => {
+  const { call } = await createWorker({ MAX_BODY_BYTES: "64" });
+
+  assertEnvelope(await call("GET", "/object/a/state/missing"), 404, "key_not_found");
+  assertEnvelope(await call("GET", "/object/a/nowhere"), 404, "not_found");
+  assertEnvelope(await call("PUT", "/object/a/state/k", "{", { "Content-Type": "application/json" }), 400, "invalid_json");
+  assertEnvelope(await call("PUT", "/object/a/state/k", "value=1", { "Content-Type": "text/plain" }), 415, "unsupported_media_type");
+  assertEnvelope(await call("POST", "/object/a/batch", [{ op: "put", key: "k", value: "x".repeat(100) }]), 413, "payload_too_large");
+  assertEnvelope(await call("PUT", "/object/a/state/__cfd:schema", { value: 1 }), 400, "reserved_key");
+  assertEnvelope(await call("OPTIONS", "/object/a/state/k"), 405, "method_not_allowed");
+});
+
+test("JSON bodies that are not objects are rejected with 400 on every route", async () => {
+  const { call } = await createWorker({ AUTH_SECRET: "secret" });
+  await call("PUT", "/object/a/state/n", { value: 1 }, admin);
+  const routes = [
+    ["POST", "/initialize/a", "invalid_request"],
+    ["PUT", "/object/a/state/k", "invalid_request"],
+    ["POST", "/object/a/state/n/increment", "invalid_request"],
+    ["POST", "/object/a/batch", "invalid_batch"],
+    ["POST", "/object/a/alarm/jobs", "invalid_request"],
+    ["PUT", "/object/a/alarm", "invalid_request"],
+    ["POST", "/object/a/method/increment", "invalid_params"],
+    ["POST", "/object/a/admin/wipe", "invalid_confirmation"]
+  ];
+
+  for (const body of ["null", "5", '"text"']) {
+    for (const [method, path, code] of routes) {
+      const response = await call(method, path, body, admin);
+      assert.equal(response.status, 400, `${method} ${path} ${body}`);
+      assertEnvelope(response, 400, code);
+    }
+  }
+  assert.equal((await call("GET", "/object/a/state/n", undefined, admin)).body.value, 1);
+});
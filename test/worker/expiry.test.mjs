@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("an expired key is hidden at once and swept by the alarm", async () => {
+  const { call, instance, connect } = await createWorker();
+  const session = await connect("a");
+  await call("PUT", "/object/a/state/k", { value: 1, ttl: 1 });
+  await call("PUT", "/object/a/state/kept", { value: 2 });
+  const { storage } = instance("a").state;
+  assert.ok(storage.alarm !== null);
+
+  await sleep(5);
+  assert.equal((await call("GET", "/object/a/state/k")).status, 404);
+  assert.deepEqual(Object.keys((await call("GET", "/object/a/state")).body.data), ["kept"]);
+  assert.ok(storage.map.has("k"));
+
+  await instance("a").object.alarm();
+  assert.ok(!storage.map.has("k"));
+  assert.equal(storage.alarm, null);
+  assert.deepEqual(session.received.filter(({ type }) => type === "update").map(({ key, value }) => [key, value]), [
+    ["k", 1], ["kept", 2], ["k", null]
+  ]);
+});
+
+test("the alarm is set for the earliest expiry and rewriting a key without a TTL clears it", async () => {
+  const { call, instance } = await createWorker();
+  const { storage } = instance("a").state;
+  const later = Date.now() + 60000;
+  await call("PUT", "/object/a/state/late", { value: 1, expiresAt: later });
+  await call("PUT", "/object/a/state/soon", { value: 1, expiresAt: new Date(later - 1000).toISOString() });
+  assert.equal(storage.alarm, later - 1000);
+
+  await call("PUT", "/object/a/state/soon", { value: 2 });
+  await instance("a").object.alarm();
+  assert.equal(storage.alarm, later);
+  assert.equal((await call("GET", "/object/a/state/soon")).body.value, 2);
+});
+
+test("invalid TTLs are rejected with 400", async () => {
+  const { call } = await createWorker();
+
+  for (const expiry of [{ ttl: 0 }, { ttl: "soon" }, { expiresAt: "tomorrow" }]) {
+    const response = await call("PUT", "/object/a/state/k", { value: 1, ...expiry });
+    assert.equal(response.status, 400, JSON.stringify(expiry));
+  }
+});
+
+test("expiry deletes keys the schema requires", async () => {
+  const { call, instance } = await createWorker();
+  await call("POST", "/initialize/a", { "__cfd:schema": { required: ["k"] }, k: 1 });
+  assert.equal((await call("DELETE", "/object/a/state/k")).status, 422);
+
+  await call("PUT", "/object/a/state/k", { value: 2, ttl: 1 });
+  await sleep(5);
+  await instance("a").object.alarm();
+  assert.equal((await call("GET", "/object/a/state/k")).status, 404);
+});
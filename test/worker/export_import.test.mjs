@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const ndjson = { "Content-Type": "application/x-ndjson" };
+
+function importBody(entries) {
+  return entries.map((entry) => JSON.stringify({ type: "entry", ...entry })).join("\n");
+}
+
+async function versionOf(call, key) {
+  return (await call("GET", `/object/a/state/${key}`)).headers.get("ETag");
+}
+
+test("a replace import never moves a version back", async () => {
+  const { call } = await createWorker();
+  for (let value = 1; value <= 3; value++) {
+    await call("PUT", "/object/a/state/k", { value });
+  }
+
+  const response = await call("POST", "/object/a/import?mode=replace", importBody([{ key: "k", value: 0, version: 1 }]), ndjson);
+  assert.equal(response.status, 200);
+  assert.equal(await versionOf(call, "k"), '"4"');
+
+  // A stale compare-and-swap is refused
+  const stale = await call("PUT", "/object/a/state/k", { value: 9 }, { "If-Match": '"1"' });
+  assert.equal(stale.status, 412);
+});
+
+test("a replace import keeps the version counters of removed keys", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/gone", { value: 1 });
+  await call("PUT", "/object/a/state/gone", { value: 2 });
+
+  await call("POST", "/object/a/import?mode=replace", importBody([{ key: "k", value: 1 }]), ndjson);
+  assert.equal((await call("GET", "/object/a/state/gone")).status, 404);
+
+  await call("PUT", "/object/a/state/gone", { value: 3 });
+  assert.equal(await versionOf(call, "gone"), '"3"');
+});
+
+test("an exported version ahead of the current one is kept", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: 1 });
+
+  await call("POST", "/object/a/import?mode=merge", importBody([{ key: "k", value: 2, version: 7 }]), ndjson);
+  assert.equal(await versionOf(call, "k"), '"7"');
+});
+
+test("exports page through storage and round-trip through an import", async () => {
+  const { call, instance } = await createWorker();
+  const count = 2500;
+  const entries = Array.from({ length: count }, (_, index) => ({ key: `k${String(index).padStart(4, "0")}`, value: index }));
+  await call("POST", "/object/a/import", importBody(entries), ndjson);
+  await call("PUT", "/object/a/state/short", { value: 1, ttl: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const { storage } = instance("a").state;
+  const list = storage.list.bind(storage);
+  const limits = [];
+  storage.list = (options = {}) => {
+    limits.push(options.limit);
+    return list(options);
+  };
+
+  const exported = await call("GET", "/object/a/export");
+  assert.ok(limits.length > 1 && limits.every((limit) => limit !== undefined));
+
+  const lines = exported.text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(lines[0].type, "meta");
+  assert.equal(lines.length, count + 1);
+  assert.deepEqual(lines[1], { type: "entry", key: "k0000", value: 0, version: 1 });
+
+  const copy = await call("POST", "/object/b/import?mode=replace", exported.text, ndjson);
+  assert.equal(copy.body.imported, count);
+});
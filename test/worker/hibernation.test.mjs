@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+// Replace the object named `name` by a fresh instance over the same state and
+// sockets, as the runtime does when it wakes a hibernated object
+function wake({ worker, env, instance }, name) {
+  const entry = instance(name);
+  entry.object = new worker.DurableObject(entry.state, env);
+  return entry.object;
+}
+
+test("sessions keep their subscriptions and the change log its sequence across hibernation", async () => {
+  const harness = await createWorker();
+  const { call, connect } = harness;
+  const session = await connect("a", "?keys=b");
+  await call("PUT", "/object/a/state/b", { value: 1 });
+
+  wake(harness, "a");
+  await call("PUT", "/object/a/state/c", { value: 2 });
+  await call("PUT", "/object/a/state/b", { value: 3 });
+
+  const updates = session.received.filter(({ type }) => type === "update");
+  assert.deepEqual(updates.map(({ key, value, seq }) => [key, value, seq]), [["b", 1, 1], ["b", 3, 3]]);
+});
+
+test("a woken object answers messages on sessions accepted before it hibernated", async () => {
+  const harness = await createWorker();
+  const session = await harness.connect("a");
+
+  const object = wake(harness, "a");
+  await object.webSocketMessage(session.server, JSON.stringify({ type: "subscribe", id: 1, keys: ["x"] }));
+
+  const reply = session.received[session.received.length - 1];
+  assert.equal(reply.type, "response");
+  assert.equal(reply.success, true);
+  assert.deepEqual(reply.subscriptions, { keys: ["x"], prefixes: [] });
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const key = (value) => ({ "Idempotency-Key": value });
+
+test("a repeated method call is replayed, not run again", async () => {
+  const { call } = await createWorker();
+
+  const first = await call("POST", "/object/a/method/increment", { increment: 2 }, key("k1"));
+  const repeat = await call("POST", "/object/a/method/increment", { increment: 2 }, key("k1"));
+
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("Idempotent-Replayed"), null);
+  assert.deepEqual(repeat.body, first.body);
+  assert.equal(repeat.headers.get("Idempotent-Replayed"), "true");
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 2);
+});
+
+test("a key reused for a different request is rejected", async () => {
+  const { call } = await createWorker();
+
+  await call("POST", "/object/a/method/increment", { increment: 2 }, key("k1"));
+  const reused = await call("POST", "/object/a/method/increment", { increment: 3 }, key("k1"));
+
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.error.code, "idempotency_key_reused");
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 2);
+});
+
+test("concurrent duplicates run once", async () => {
+  const { call } = await createWorker();
+
+  const responses = await Promise.all([1, 2, 3].map(() => call("POST", "/object/a/method/increment", {}, key("k1"))));
+
+  assert.deepEqual(responses.map((response) => response.body.result.value), [1, 1, 1]);
+  assert.equal(responses.filter((response) => response.headers.get("Idempotent-Replayed")).length, 2);
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 1);
+});
+
+test("failed requests are not kept", async () => {
+  const { call } = await createWorker();
+
+  const conflict = await call("PUT", "/object/a/state/v", { value: 1, expectedVersion: 5 }, key("k1"));
+  const retried = await call("PUT", "/object/a/state/v", { value: 1, expectedVersion: 5 }, key("k1"));
+
+  assert.equal(conflict.status, 409);
+  assert.equal(retried.status, 409);
+  assert.equal(retried.headers.get("Idempotent-Replayed"), null);
+});
+
+test("invalid keys are rejected", async () => {
+  const { call } = await createWorker();
+
+  for (const value of ["", "has space", "x".repeat(256)]) {
+    const response = await call("DELETE", "/object/a/state/v", undefined, key(value));
+    assert.equal(response.status, 400, value);
+    assert.equal(response.body.error.code, "invalid_idempotency_key");
+  }
+});
+
+test("WebSocket method calls with an idempotencyKey are replayed", async () => {
+  const { call, connect } = await createWorker();
+  const session = await connect("a");
+
+  await session.send({ type: "method", id: 1, method: "increment", params: { increment: 10 }, idempotencyKey: "w1" });
+  await session.send({ type: "method", id: 2, method: "increment", params: { increment: 10 }, idempotencyKey: "w1" });
+  await session.send({ type: "method", id: 3, method: "increment", params: { increment: 11 }, idempotencyKey: "w1" });
+
+  const responses = session.received.filter((message) => message.type === "response");
+  assert.deepEqual(responses[0].result, { value: 10 });
+  assert.deepEqual(responses[1], { type: "response", id: 2, success: true, result: { value: 10 }, replayed: true });
+  assert.equal(responses[2].code, "idempotency_key_reused");
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 10);
+});
+
+test("kept outcomes are swept by the alarm once the window ends", async () => {
+  const { call, instance } = await createWorker({ IDEMPOTENCY_WINDOW_SECONDS: "0.01" });
+
+  await call("POST", "/object/a/method/increment", {}, key("k1"));
+  const { state, object } = instance("a");
+  assert.notEqual(state.storage.alarm, null);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await object.alarm();
+
+  assert.deepEqual([...state.storage.map.keys()].filter((name) => name.includes("idempotency")), []);
+  const again = await call("POST", "/object/a/method/increment", {}, key("k1"));
+  assert.equal(again.body.result.value, 2);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+async function versionOf(call, key) {
+  return (await call("GET", `/object/a/state/${key}`)).headers.get("ETag");
+}
+
+test("a replace initialization never moves a version back", async () => {
+  const { call } = await createWorker();
+  for (let value = 1; value <= 3; value++) {
+    await call("PUT", "/object/a/state/k", { value });
+  }
+
+  const response = await call("POST", "/initialize/a?mode=replace", { k: 0 });
+  assert.equal(response.status, 200);
+  assert.equal(await versionOf(call, "k"), '"4"');
+
+  // A stale compare-and-swap is refused
+  const stale = await call("PUT", "/object/a/state/k", { value: 9 }, { "If-Match": '"1"' });
+  assert.equal(stale.status, 412);
+});
+
+test("a replace initialization keeps the version counters of removed keys", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/gone", { value: 1 });
+  await call("PUT", "/object/a/state/gone", { value: 2 });
+
+  await call("POST", "/initialize/a?mode=replace", { k: 1 });
+  assert.equal((await call("GET", "/object/a/state/gone")).status, 404);
+
+  await call("PUT", "/object/a/state/gone", { value: 3 });
+  assert.equal(await versionOf(call, "gone"), '"3"');
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+// Long enough to be split over several chunks, with surrogate pairs and
+// escapes straddling the chunk boundaries
+const largeValue = { text: "😀\"x".repeat(80 * 1024), list: Array.from({ length: 1000 }, (_, index) => index) };
+
+const chunkKeys = (state) => [...state.storage.map.keys()].filter((key) => key.startsWith("__cfd:chunk:"));
+
+test("a large value round-trips through chunks", async () => {
+  const { call, instance } = await createWorker();
+
+  const put = await call("PUT", "/object/a/state/big", { value: largeValue });
+  assert.equal(put.status, 200);
+  assert.ok(chunkKeys(instance("a").state).length > 1);
+
+  const read = await call("GET", "/object/a/state/big");
+  assert.deepEqual(read.body, { key: "big", value: largeValue, version: 1, expiresAt: null });
+
+  const raw = await call("GET", "/object/a/state/big?format=raw");
+  assert.deepEqual(raw.body, largeValue);
+});
+
+test("shrinking or deleting a large value drops its chunks", async () => {
+  const { call, instance } = await createWorker();
+  const { state } = instance("a");
+
+  await call("PUT", "/object/a/state/big", { value: largeValue });
+  await call("PUT", "/object/a/state/big", { value: { text: "x".repeat(70 * 1024) } });
+  assert.equal(chunkKeys(state).length, 2);
+
+  await call("PUT", "/object/a/state/big", { value: "small" });
+  assert.deepEqual(chunkKeys(state), []);
+  assert.equal((await call("GET", "/object/a/state/big")).body.value, "small");
+
+  await call("PUT", "/object/a/state/big", { value: largeValue });
+  await call("DELETE", "/object/a/state/big");
+  assert.deepEqual(chunkKeys(state), []);
+});
+
+test("values over MAX_VALUE_BYTES are rejected", async () => {
+  const { call } = await createWorker({ MAX_VALUE_BYTES: "100000" });
+
+  const response = await call("PUT", "/object/a/state/big", { value: "x".repeat(101000) });
+
+  assert.equal(response.status, 413);
+  assert.equal(response.body.error.code, "value_too_large");
+});
+
+test("values may not pose as chunk manifests", async () => {
+  const { call } = await createWorker();
+
+  const response = await call("PUT", "/object/a/state/k", { value: { "__cfd:chunked": true, chunks: 1 } });
+
+  assert.equal(response.body.error.code, "invalid_value");
+});
+
+test("listings leave large values out and name them in chunked", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/big", { value: largeValue });
+  await call("PUT", "/object/a/state/small", { value: 1 });
+
+  const listed = await call("GET", "/object/a/state");
+  assert.deepEqual(listed.body, { data: { small: 1 }, cursor: null, truncated: false, chunked: ["big"] });
+
+  const array = await call("GET", "/object/a/state?format=array");
+  assert.deepEqual(array.body.data, [{ key: "small", value: 1 }]);
+  assert.deepEqual(array.body.chunked, ["big"]);
+});
+
+test("exports stream large values chunk by chunk and import back", async () => {
+  const { call, instance } = await createWorker();
+  await call("PUT", "/object/a/state/big", { value: largeValue });
+  await call("PUT", "/object/a/state/small", { value: 1 });
+
+  const { object } = instance("a");
+  object.readChunks = () => assert.fail("the value was rebuilt in memory");
+
+  const exported = await call("GET", "/object/a/export");
+  const lines = exported.text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(lines.slice(1), [
+    { type: "entry", key: "big", version: 1, value: largeValue },
+    { type: "entry", key: "small", version: 1, value: 1 }
+  ]);
+
+  const imported = await call("POST", "/object/b/import", exported.text, { "Content-Type": "application/x-ndjson" });
+  assert.equal(imported.body.imported, 2);
+  assert.deepEqual((await call("GET", "/object/b/state/big?format=raw")).body, largeValue);
+});
+
+test("a failed write leaves the previous large value intact", async () => {
+  const { call, instance } = await createWorker();
+  const { state } = instance("a");
+  await call("PUT", "/object/a/state/big", { value: largeValue });
+
+  // Fail the manifest write, after the new chunks were written
+  const put = state.storage.put.bind(state.storage);
+  state.storage.put = async (key, value) => {
+    if (typeof key === "object" && "big" in key) {
+      throw new Error("Storage unavailable");
+    }
+    return put(key, value);
+  };
+
+  const failed = await call("PUT", "/object/a/state/big", { value: { text: "y".repeat(200 * 1024) } });
+  assert.equal(failed.status, 500);
+
+  state.storage.put = put;
+  assert.deepEqual((await call("GET", "/object/a/state/big?format=raw")).body, largeValue);
+});
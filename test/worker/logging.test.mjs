@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+import { createLogger } from "../../priv/cloudflare/durable-objects-worker.js";
+
+// Run `fn` with console output captured as parsed log entries
+async function capture(fn) {
+  const entries = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  for (const name of Object.keys(original)) {
+    console[name] = (line) => entries.push({ stream: name, ...JSON.parse(line) });
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+  return entries;
+}
+
+test("each request is logged once as JSON with its request ID and route, not its key", async () => {
+  const { call } = await createWorker({ LOG_LEVEL: "info" });
+
+  let response;
+  const entries = await capture(async () => {
+    response = await call("PUT", "/object/room/state/secret-key", { value: 1 }, { "X-Request-Id": "req-1" });
+  });
+
+  assert.equal(response.headers.get("X-Request-Id"), "req-1");
+  assert.equal(entries.length, 1);
+  const [entry] = entries;
+  assert.equal(entry.stream, "log");
+  assert.equal(entry.level, "info");
+  assert.equal(entry.message, "Request completed");
+  assert.equal(entry.requestId, "req-1");
+  assert.equal(entry.route, "/object/{id}/state/{key}");
+  assert.equal(entry.objectId, "room");
+  assert.equal(entry.status, 200);
+  assert.ok(!JSON.stringify(entry).includes("secret-key"));
+});
+
+test("unusable request IDs are replaced and passed on to the object's log entries", async () => {
+  const { call } = await createWorker({ LOG_LEVEL: "debug" });
+
+  let response;
+  const entries = await capture(async () => {
+    response = await call("POST", "/object/room/batch", "null", { "X-Request-Id": "has spaces", "Content-Type": "application/json" });
+  });
+
+  const requestId = response.headers.get("X-Request-Id");
+  assert.match(requestId, /^[0-9a-f-]{36}$/);
+  assert.ok(entries.length > 1);
+  assert.ok(entries.every((entry) => entry.requestId === requestId));
+  assert.ok(entries.some((entry) => entry.level === "debug" && entry.objectId === "room"));
+});
+
+test("loggers filter by level, redact fields at any depth and spell out errors", async () => {
+  const log = createLogger({ LOG_LEVEL: "warn", LOG_REDACT: "password,Token" }, { objectId: "a" });
+
+  const entries = await capture(() => {
+    log.info("dropped");
+    log.warn("kept", { user: { name: "n", password: "p" }, items: [{ token: "t" }] });
+    log.child({ requestId: "r" }).error("failed", { error: new TypeError("boom") });
+  });
+
+  assert.deepEqual(entries.map(({ stream, level, message }) => [stream, level, message]), [["warn", "warn", "kept"], ["error", "error", "failed"]]);
+  assert.deepEqual(entries[0].user, { name: "n", password: "[REDACTED]" });
+  assert.deepEqual(entries[0].items, [{ token: "[REDACTED]" }]);
+  assert.equal(entries[1].objectId, "a");
+  assert.equal(entries[1].requestId, "r");
+  assert.equal(entries[1].error.name, "TypeError");
+  assert.equal(entries[1].error.message, "boom");
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+import { DurableObject } from "../../priv/cloudflare/durable-objects-worker.js";
+
+class ChatRoom extends DurableObject {
+  method_legacy(params) {
+    return { legacy: params };
+  }
+}
+ChatRoom.defineMethods({
+  post: {
+    description: "Appends a message",
+    schema: { type: "object", required: ["text"], properties: { text: { type: "string" } } },
+    async handler({ text }) {
+      const { value } = await this.applyAtomic("messages", "append", { value: text });
+      return { count: value.length };
+    }
+  },
+  echo: (params) => ({ overridden: params })
+});
+
+test("registered methods are listed with their descriptions and schemas", async () => {
+  const { call } = await createWorker({}, ChatRoom);
+
+  const { methods } = (await call("GET", "/object/a/methods")).body;
+  assert.deepEqual(methods.map(({ name }) => name), ["echo", "increment", "legacy", "post", "update"]);
+  assert.equal(methods.find(({ name }) => name === "post").description, "Appends a message");
+  assert.equal(methods.find(({ name }) => name === "legacy").schema, null);
+});
+
+test("methods run over HTTP and WebSocket, with subclass methods overriding inherited ones", async () => {
+  const { call, connect } = await createWorker({}, ChatRoom);
+
+  assert.deepEqual((await call("POST", "/object/a/method/post", { text: "hi" })).body, { result: { count: 1 } });
+  assert.deepEqual((await call("POST", "/object/a/method/echo", { x: 1 })).body, { result: { overridden: { x: 1 } } });
+  assert.deepEqual((await call("POST", "/object/a/method/legacy", { x: 1 })).body, { result: { legacy: { x: 1 } } });
+
+  const session = await connect("a");
+  await session.send({ type: "method", id: 1, method: "post", params: { text: "again" } });
+  const reply = session.received.find(({ type, id }) => type === "response" && id === 1);
+  assert.deepEqual(reply.result, { count: 2 });
+});
+
+test("a subclass's methods do not leak into its parent", async () => {
+  const { call } = await createWorker();
+
+  assert.deepEqual((await call("POST", "/object/a/method/echo", { x: 1 })).body, { result: { x: 1 } });
+  const response = await call("POST", "/object/a/method/post", { text: "hi" });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error.code, "method_not_found");
+});
+
+test("params that do not match the method's schema are rejected with 400", async () => {
+  const { call } = await createWorker({}, ChatRoom);
+
+  const response = await call("POST", "/object/a/method/post", { text: 5 });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "invalid_params");
+  assert.deepEqual(response.body.error.details, [{ path: "/text", message: "must be of type string" }]);
+});
+
+test("defining a method without a handler throws", () => {
+  class Broken extends DurableObject {}
+  assert.throws(() => Broken.defineMethods({ nothing: { description: "no handler" } }), TypeError);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+// Two sessions, a write, a miss and a few keys
+async function busyObject() {
+  const worker = await createWorker();
+  await worker.connect("a");
+  await worker.connect("a");
+  await worker.call("PUT", "/object/a/state/k", { value: 1 });
+  await worker.call("GET", "/object/a/state/missing");
+  await worker.call("GET", "/object/a/state/missing");
+  return worker;
+}
+
+test("metrics count requests by route and status, storage calls, sessions and broadcasts", async () => {
+  const { call } = await busyObject();
+
+  const metrics = (await call("GET", "/object/a/metrics")).body;
+  const reads = metrics.requests.find(({ method, route }) => method === "GET" && route === "/state/{key}");
+  assert.equal(reads.count, 2);
+  assert.deepEqual(reads.statuses, { 404: 2 });
+  assert.equal(reads.latencyMs.count, 2);
+  assert.equal(reads.latencyMs.buckets["+Inf"], 2);
+  assert.ok(!metrics.requests.some(({ route }) => route.includes("missing")));
+
+  assert.ok(metrics.storage.put > 0 && metrics.storage.transaction > 0);
+  assert.deepEqual(metrics.sessions, { active: 2, opened: 2, closed: 0 });
+  assert.deepEqual(metrics.broadcasts.frames, { update: 1 });
+  assert.equal(metrics.broadcasts.messages, 2);
+  assert.equal(metrics.broadcasts.fanout.buckets["5"], 1);
+});
+
+test("metrics are served as Prometheus text when asked for", async () => {
+  const { call } = await busyObject();
+
+  for (const [query, headers] of [["?format=prometheus", {}], ["", { Accept: "text/plain" }]]) {
+    const response = await call("GET", `/object/a/metrics${query}`, undefined, headers);
+    assert.match(response.headers.get("Content-Type"), /^text\/plain; version=0\.0\.4/);
+    const lines = response.text.split("\n");
+    assert.ok(lines.includes("# TYPE durable_object_requests_total counter"));
+    assert.ok(lines.includes('durable_object_requests_total{method="GET",route="/state/{key}",status="404"} 2'));
+    assert.ok(lines.includes('durable_object_request_duration_ms_count{method="GET",route="/state/{key}"} 2'));
+    assert.ok(lines.includes("durable_object_websocket_sessions 2"));
+    assert.ok(lines.includes('durable_object_broadcasts_total{type="update"} 1'));
+  }
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const jsonPatch = { "Content-Type": "application/json-patch+json" };
+const mergePatch = { "Content-Type": "application/merge-patch+json" };
+
+async function withValue(value) {
+  const worker = await createWorker();
+  await worker.call("PUT", "/object/a/state/doc", { value });
+  return worker;
+}
+
+test("JSON Patch operations apply in order", async () => {
+  const { call } = await withValue({ a: 1, list: [1, 2], nested: { "x/y": 1, "m~n": 2 } });
+
+  const response = await call("PATCH", "/object/a/state/doc", [
+    { op: "add", path: "/list/-", value: 3 },
+    { op: "add", path: "/list/0", value: 0 },
+    { op: "remove", path: "/nested/x~1y" },
+    { op: "replace", path: "/nested/m~0n", value: 3 },
+    { op: "move", from: "/a", path: "/b" },
+    { op: "copy", from: "/b", path: "/c" },
+    { op: "test", path: "/c", value: 1 }
+  ], jsonPatch);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.version, 2);
+  assert.deepEqual((await call("GET", "/object/a/state/doc")).body.value, {
+    list: [0, 1, 2, 3],
+    nested: { "m~n": 3 },
+    b: 1,
+    c: 1
+  });
+});
+
+test("a failed test or invalid operation leaves the value unchanged", async () => {
+  const { call } = await withValue({ a: 1 });
+
+  const failed = await call("PATCH", "/object/a/state/doc", [
+    { op: "replace", path: "/a", value: 2 },
+    { op: "test", path: "/a", value: 1 }
+  ], jsonPatch);
+  const missing = await call("PATCH", "/object/a/state/doc", [{ op: "remove", path: "/nope" }], jsonPatch);
+  const malformed = await call("PATCH", "/object/a/state/doc", [{ op: "jump", path: "/a" }], jsonPatch);
+
+  assert.equal(failed.status, 409);
+  assert.equal(failed.body.error.code, "patch_test_failed");
+  assert.equal(missing.status, 422);
+  assert.equal(malformed.status, 400);
+  assert.deepEqual((await call("GET", "/object/a/state/doc")).body, { key: "doc", value: { a: 1 }, version: 1, expiresAt: null });
+});
+
+test("merge patches merge objects and remove nulls", async () => {
+  const { call } = await withValue({ a: 1, b: { c: 2, d: 3 }, list: [1] });
+
+  await call("PATCH", "/object/a/state/doc", { a: null, b: { c: null, e: 4 }, list: [2] }, mergePatch);
+
+  assert.deepEqual((await call("GET", "/object/a/state/doc")).body.value, { b: { d: 3, e: 4 }, list: [2] });
+});
+
+test("patches honour If-Match", async () => {
+  const { call } = await withValue({ a: 1 });
+
+  const stale = await call("PATCH", "/object/a/state/doc", { a: 2 }, { ...mergePatch, "If-Match": "\"7\"" });
+  const current = await call("PATCH", "/object/a/state/doc", { a: 2 }, { ...mergePatch, "If-Match": "\"1\"" });
+
+  assert.equal(stale.status, 412);
+  assert.equal(current.status, 200);
+});
+
+test("patches are broadcast as patch messages", async () => {
+  const { call, connect } = await withValue({ a: 1 });
+  const session = await connect("a");
+
+  await call("PATCH", "/object/a/state/doc", { a: 2 }, mergePatch);
+
+  const message = session.received.find((received) => received.type === "patch");
+  assert.equal(message.key, "doc");
+  assert.deepEqual(message.patch, { a: 2 });
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+test("percent-encoded keys are decoded into one key", async () => {
+  const { call } = await createWorker();
+
+  assert.equal((await call("PUT", "/object/a/state/a%2Fb%20c%3F", { value: 1 })).status, 200);
+  assert.deepEqual((await call("GET", "/object/a/state")).body.data, { "a/b c?": 1 });
+  assert.equal((await call("GET", "/object/a/state/a%2Fb%20c%3F")).body.value, 1);
+
+  const incremented = await call("POST", "/object/a/state/a%2Fb%20c%3F/increment", { by: 2 });
+  assert.equal(incremented.body.value, 3);
+
+  assert.equal((await call("DELETE", "/object/a/state/a%2Fb%20c%3F")).status, 200);
+  assert.deepEqual((await call("GET", "/object/a/state")).body.data, {});
+});
+
+test("a malformed escape in a key is rejected with 400", async () => {
+  const { call } = await createWorker();
+
+  const response = await call("GET", "/object/a/state/%E0%A4%A");
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "invalid_path");
+});
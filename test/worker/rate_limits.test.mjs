@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createWorker } from "./support/runtime.mjs";
+
+const RATE_LIMITS = JSON.stringify({ client: { capacity: 1, refillPerSecond: 0.001 } });
+const ip = { "CF-Connecting-IP": "192.0.2.1" };
+
+test("X-Client-Id is ignored from unauthenticated callers", async () => {
+  const { call } = await createWorker({ RATE_LIMITS });
+
+  assert.equal((await call("GET", "/object/a/state", undefined, { ...ip, "X-Client-Id": "one" })).status, 200);
+  assert.equal((await call("GET", "/object/a/state", undefined, { ...ip, "X-Client-Id": "two" })).status, 429);
+});
+
+test("X-Client-Id is ignored from scoped-token callers", async () => {
+  const { call } = await createWorker({ RATE_LIMITS, AUTH_SECRET: "secret", AUTH_SIGNING_SECRET: "signing" });
+  const payload = Buffer.from(JSON.stringify({ sub: "a", exp: Math.floor(Date.now() / 1000) + 60 })).toString("base64url");
+  const token = `${payload}.${createHmac("sha256", "signing").update(payload).digest("base64url")}`;
+  const headers = (id) => ({ ...ip, "X-Client-Id": id, Authorization: `Bearer ${token}` });
+
+  assert.equal((await call("GET", "/object/a/state", undefined, headers("one"))).status, 200);
+  assert.equal((await call("GET", "/object/a/state", undefined, headers("two"))).status, 429);
+});
+
+test("X-Client-Id attributes requests from callers holding the secret", async () => {
+  const { call } = await createWorker({ RATE_LIMITS, AUTH_SECRET: "secret" });
+  const headers = (id) => ({ ...ip, "X-Client-Id": id, Authorization: "Bearer secret" });
+
+  assert.equal((await call("GET", "/object/a/state", undefined, headers("one"))).status, 200);
+  assert.equal((await call("GET", "/object/a/state", undefined, headers("two"))).status, 200);
+  assert.equal((await call("GET", "/object/a/state", undefined, headers("one"))).status, 429);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker, FakeNamespace } from "./support/runtime.mjs";
+
+const hexName = "a".repeat(64);
+
+test("a name that looks like a hex ID is still a name", async () => {
+  const { call, env } = await createWorker();
+
+  assert.equal((await call("PUT", `/object/${hexName}/state/k`, { value: 1 })).status, 200);
+
+  const id = env.DURABLE_OBJECT.idFromName(hexName).toString();
+  assert.notEqual(id, hexName);
+  assert.equal((await call("GET", `/object/id:${id}/state/k`)).body.value, 1);
+});
+
+test("the id: prefix addresses an object by its hex ID", async () => {
+  const { call } = await createWorker();
+
+  const { body } = await call("GET", "/namespace/default/id/counter");
+  assert.equal((await call("POST", `/initialize/id:${body.id}`, { count: 3 })).status, 200);
+  assert.equal((await call("GET", "/object/counter/state/count")).body.value, 3);
+});
+
+test("an invalid id: value or malformed escape is rejected with 400", async () => {
+  const { call } = await createWorker();
+
+  for (const path of ["/object/id:nothex/state", "/object/%E0%A4%A/state"]) {
+    const response = await call("GET", path);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "invalid_object_id");
+  }
+  assert.equal((await call("POST", "/initialize/id:nothex", {})).status, 400);
+});
+
+test("a malformed name in the id route is rejected with 400", async () => {
+  const { call } = await createWorker();
+
+  const response = await call("GET", "/namespace/default/id/%E0");
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "invalid_path");
+});
+
+test("only namespaces listed in DURABLE_NAMESPACES reach their bindings", async () => {
+  const { call, env, worker } = await createWorker({ DURABLE_NAMESPACES: '{"counters": "COUNTERS"}' });
+  env.COUNTERS = new FakeNamespace(worker.DurableObject, env);
+  env.INTERNAL = new FakeNamespace(worker.DurableObject, env);
+
+  assert.equal((await call("PUT", "/namespace/counters/object/a/state/k", { value: 1 })).status, 200);
+  assert.equal(env.COUNTERS.objects.size, 1);
+
+  for (const namespace of ["COUNTERS", "INTERNAL", "internal", "DURABLE_OBJECT", "constructor"]) {
+    const response = await call("GET", `/namespace/${namespace}/object/a/state/k`);
+    assert.equal(response.status, 404, namespace);
+    assert.equal(response.body.error.code, "unknown_namespace");
+  }
+  assert.equal(env.INTERNAL.objects.size, 0);
+});
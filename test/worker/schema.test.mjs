@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+const schema = {
+  required: ["title", "count"],
+  properties: {
+    title: { type: "string", maxLength: 10 },
+    count: { type: "integer", minimum: 0 },
+    tags: { type: "array", items: { type: "string" } }
+  },
+  additionalProperties: false
+};
+
+async function withSchema() {
+  const worker = await createWorker();
+  const response = await worker.call("POST", "/initialize/a", { "__cfd:schema": schema, title: "t", count: 0 });
+  assert.equal(response.status, 200);
+  return worker;
+}
+
+test("initial state that does not match is rejected with field-level errors", async () => {
+  const { call } = await createWorker();
+
+  const response = await call("POST", "/initialize/a", { "__cfd:schema": schema, title: "a very long title", tags: [1] });
+
+  assert.equal(response.status, 422);
+  assert.equal(response.body.error.code, "schema_violation");
+  assert.deepEqual(response.body.error.details.map(({ path }) => path).sort(), ["/count", "/tags/0", "/title"]);
+  assert.deepEqual((await call("GET", "/object/a/state")).body.data, {});
+});
+
+test("writes are checked against the schema", async () => {
+  const { call } = await withSchema();
+
+  const negative = await call("PUT", "/object/a/state/count", { value: -1 });
+  const unknown = await call("PUT", "/object/a/state/other", { value: 1 });
+  const required = await call("DELETE", "/object/a/state/count");
+  const atomic = await call("POST", "/object/a/state/count/decrement", { by: 1 });
+  const patch = await call("PATCH", "/object/a/state/title", [{ op: "replace", path: "", value: 1 }], {
+    "Content-Type": "application/json-patch+json"
+  });
+
+  assert.deepEqual(negative.body.error.details, [{ path: "/count", message: "must be >= 0" }]);
+  assert.equal(unknown.body.error.details[0].path, "/other");
+  assert.equal(required.status, 422);
+  assert.equal(atomic.status, 422);
+  assert.equal(patch.status, 422);
+  assert.deepEqual((await call("GET", "/object/a/state")).body.data, { title: "t", count: 0 });
+});
+
+test("a batch with one invalid write is not applied", async () => {
+  const { call } = await withSchema();
+
+  const response = await call("POST", "/object/a/batch", { operations: [
+    { op: "put", key: "title", value: "new" },
+    { op: "put", key: "count", value: "x" }
+  ] });
+
+  assert.equal(response.status, 422);
+  assert.equal((await call("GET", "/object/a/state/title")).body.value, "t");
+});
+
+test("the schema is readable and can be removed", async () => {
+  const { call } = await withSchema();
+
+  assert.deepEqual((await call("GET", "/object/a/schema")).body, { schema });
+
+  await call("POST", "/initialize/a", { "__cfd:schema": null });
+  assert.equal((await call("PUT", "/object/a/state/other", { value: 1 })).status, 200);
+});
+
+test("malformed schemas are rejected", async () => {
+  const { call } = await createWorker();
+
+  const response = await call("POST", "/initialize/a", { "__cfd:schema": "bad" });
+
+  assert.equal(response.body.error.code, "invalid_schema");
+});
+
+test("a method result that does not match rolls back its writes and broadcasts", async () => {
+  const { call, connect } = await createWorker();
+  const methods = { increment: { type: "object", properties: { value: { type: "number", maximum: 2 } } } };
+  await call("POST", "/initialize/a", { "__cfd:schema": { methods } });
+  const session = await connect("a");
+
+  assert.equal((await call("POST", "/object/a/method/increment", {})).status, 200);
+  assert.equal((await call("POST", "/object/a/method/increment", {})).status, 200);
+  const over = await call("POST", "/object/a/method/increment", {});
+  assert.equal(over.status, 422);
+  assert.equal(over.body.error.code, "schema_violation");
+
+  assert.equal((await call("GET", "/object/a/state/value")).body.value, 2);
+  assert.deepEqual(session.received.filter(({ type }) => type === "update").map(({ value }) => value), [1, 2]);
+
+  // The change log has no gap where the rolled back change was
+  await call("PUT", "/object/a/state/other", { value: 1 });
+  const changes = (await call("GET", "/object/a/changes?since=0")).body.changes;
+  assert.deepEqual(changes.map(({ seq, key }) => [seq, key]), [[1, "value"], [2, "value"], [3, "other"]]);
+});
+
+test("patterns that do not compile or could backtrack badly are refused at initialize", async () => {
+  const { call } = await createWorker();
+  const refused = ["(a+)+$", "^([a-z]*\\d?)*x", "^((ab)+c)*$", "(\\w)\\1", "[", "x".repeat(300), 5];
+
+  for (const pattern of refused) {
+    const response = await call("POST", "/initialize/a", { "__cfd:schema": { properties: { k: { type: "string", pattern } } } });
+    assert.equal(response.status, 400, String(pattern));
+    assert.equal(response.body.error.code, "invalid_schema");
+    assert.deepEqual(response.body.error.details.map(({ path }) => path), ["/properties/k/pattern"]);
+  }
+
+  const nested = await call("POST", "/initialize/a", {
+    "__cfd:schema": { methods: { m: { items: { pattern: "(a*)*" } } }, additionalProperties: { pattern: "(" } }
+  });
+  assert.deepEqual(nested.body.error.details.map(({ path }) => path), ["/methods/m/items/pattern", "/additionalProperties/pattern"]);
+  assert.deepEqual((await call("GET", "/object/a/schema")).body.schema, null);
+});
+
+test("safe patterns are accepted and checked", async () => {
+  const { call } = await createWorker();
+  const properties = {
+    code: { type: "string", pattern: "^(foo|bar)+-\\d{3}$" },
+    range: { type: "string", pattern: "^[(a+)+]*$" }
+  };
+  assert.equal((await call("POST", "/initialize/a", { "__cfd:schema": { properties } })).status, 200);
+
+  assert.equal((await call("PUT", "/object/a/state/code", { value: "foobar-123" })).status, 200);
+  assert.equal((await call("PUT", "/object/a/state/code", { value: "baz-123" })).status, 422);
+  assert.equal((await call("PUT", "/object/a/state/range", { value: "a+()" })).status, 200);
+});
+
+test("schemas of the wrong shape are refused at initialize", async () => {
+  const { call } = await createWorker();
+  const refused = [
+    [{ properties: { a: "string" } }, "/properties/a"],
+    [{ required: "a" }, "/required"],
+    [{ properties: { a: { enum: "x" } } }, "/properties/a/enum"],
+    [{ properties: { a: { type: "text" } } }, "/properties/a/type"],
+    [{ properties: { a: { maximum: "10" } } }, "/properties/a/maximum"],
+    [{ properties: { a: { maxLength: -1 } } }, "/properties/a/maxLength"],
+    [{ methods: [] }, "/methods"],
+    [{ additionalProperties: 5 }, "/additionalProperties"]
+  ];
+
+  for (const [schema, path] of refused) {
+    const response = await call("POST", "/initialize/a", { "__cfd:schema": schema, a: "x" });
+    assert.equal(response.status, 400, JSON.stringify(schema));
+    assert.equal(response.body.error.code, "invalid_schema");
+    assert.deepEqual(response.body.error.details.map((error) => error.path), [path]);
+  }
+
+  assert.deepEqual((await call("GET", "/object/a/schema")).body.schema, null);
+  assert.equal((await call("PUT", "/object/a/state/a", { value: "y" })).status, 200);
+});
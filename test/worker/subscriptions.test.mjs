@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+function lastMessage(session) {
+  return session.received[session.received.length - 1];
+}
+
+test("a session receiving every key cannot unsubscribe from single keys", async () => {
+  const { call, connect } = await createWorker();
+  const session = await connect("a");
+
+  await session.send({ type: "unsubscribe", id: 1, keys: ["b"] });
+  assert.equal(lastMessage(session).code, "invalid_subscription");
+
+  await call("PUT", "/object/a/state/c", { value: 1 });
+  assert.equal(lastMessage(session).key, "c");
+});
+
+test("unsubscribing narrows a session subscribed to some keys", async () => {
+  const { call, connect } = await createWorker();
+  const session = await connect("a", "?keys=b,c");
+
+  await session.send({ type: "unsubscribe", id: 1, keys: ["b"] });
+  assert.deepEqual(lastMessage(session).subscriptions, { keys: ["c"], prefixes: [] });
+
+  await call("PUT", "/object/a/state/b", { value: 1 });
+  await call("PUT", "/object/a/state/c", { value: 2 });
+  assert.equal(session.received.filter((message) => message.type === "update" && message.key === "b").length, 0);
+  assert.equal(lastMessage(session).key, "c");
+});
@@ -0,0 +1,258 @@
+// An in-memory stand-in for the parts of the Workers runtime the worker uses:
+// Durable Object storage (with transactions and the alarm), state, namespaces,
+// hibernatable WebSockets and 101 responses.
+import { createHash } from "node:crypto";
+
+const NodeResponse = globalThis.Response;
+
+// Node's Response rejects status 101 and has no webSocket
+class WorkerResponse extends NodeResponse {
+  constructor(body, init = {}) {
+    super(body, init.status === 101 ? { ...init, status: 200 } : init);
+    this.upgraded = init.status === 101;
+    this.webSocket = init.webSocket || null;
+  }
+
+  get status() {
+    return this.upgraded ? 101 : super.status;
+  }
+}
+
+globalThis.Response = WorkerResponse;
+
+export class FakeSocket {
+  constructor() {
+    this.sent = [];
+    this.peer = null;
+    this.attachment = null;
+    this.closed = null;
+    this.tags = [];
+  }
+
+  accept() {}
+
+  send(message) {
+    this.peer.sent.push(JSON.parse(message));
+  }
+
+  close(code, reason) {
+    this.closed = { code, reason };
+  }
+
+  serializeAttachment(value) {
+    this.attachment = structuredClone(value);
+  }
+
+  deserializeAttachment() {
+    return structuredClone(this.attachment);
+  }
+}
+
+globalThis.WebSocketPair = class {
+  constructor() {
+    const client = new FakeSocket();
+    const server = new FakeSocket();
+    client.peer = server;
+    server.peer = client;
+    this[0] = client;
+    this[1] = server;
+  }
+};
+
+export class FakeStorage {
+  constructor() {
+    this.map = new Map();
+    this.alarm = null;
+  }
+
+  async get(keys) {
+    if (Array.isArray(keys)) {
+      return new Map(keys.filter((key) => this.map.has(key)).map((key) => [key, structuredClone(this.map.get(key))]));
+    }
+    return structuredClone(this.map.get(keys));
+  }
+
+  async put(key, value) {
+    const entries = typeof key === "object" ? Object.entries(key) : [[key, value]];
+    for (const [entryKey, entryValue] of entries) {
+      if (entryValue === undefined) {
+        throw new TypeError(`Cannot store undefined under ${entryKey}`);
+      }
+      this.map.set(entryKey, structuredClone(entryValue));
+    }
+  }
+
+  async delete(keys) {
+    if (Array.isArray(keys)) {
+      return keys.filter((key) => this.map.delete(key)).length;
+    }
+    return this.map.delete(keys);
+  }
+
+  async deleteAll() {
+    this.map.clear();
+  }
+
+  async list({ prefix, start, startAfter, end, reverse, limit } = {}) {
+    let keys = [...this.map.keys()].sort();
+    keys = keys.filter((key) =>
+      (prefix === undefined || key.startsWith(prefix)) &&
+      (start === undefined || key >= start) &&
+      (startAfter === undefined || key > startAfter) &&
+      (end === undefined || key < end));
+    if (reverse) {
+      keys.reverse();
+    }
+    if (limit !== undefined) {
+      keys = keys.slice(0, limit);
+    }
+    return new Map(keys.map((key) => [key, structuredClone(this.map.get(key))]));
+  }
+
+  // Writes go straight to the map and are undone when `fn` throws or rolls back
+  async transaction(fn) {
+    const snapshot = new Map(this.map);
+    let rolledBack = false;
+    const txn = Object.create(this);
+    txn.rollback = () => {
+      rolledBack = true;
+    };
+
+    try {
+      const result = await fn(txn);
+      if (rolledBack) {
+        this.map = snapshot;
+      }
+      return result;
+    } catch (error) {
+      this.map = snapshot;
+      throw error;
+    }
+  }
+
+  async getAlarm() {
+    return this.alarm;
+  }
+
+  async setAlarm(time) {
+    this.alarm = typeof time === "number" ? time : time.getTime();
+  }
+
+  async deleteAlarm() {
+    this.alarm = null;
+  }
+}
+
+export class FakeState {
+  constructor(id) {
+    this.id = id;
+    this.storage = new FakeStorage();
+    this.sockets = [];
+  }
+
+  acceptWebSocket(ws, tags = []) {
+    ws.tags = tags;
+    this.sockets.push(ws);
+  }
+
+  getWebSockets(tag) {
+    return this.sockets.filter((ws) => !ws.closed && (tag === undefined || ws.tags.includes(tag)));
+  }
+
+  async blockConcurrencyWhile(fn) {
+    return await fn();
+  }
+
+  waitUntil() {}
+}
+
+export class FakeNamespace {
+  constructor(objectClass, env) {
+    this.objectClass = objectClass;
+    this.env = env;
+    this.objects = new Map();
+    this.names = new Map();
+  }
+
+  idFromName(name) {
+    const hex = createHash("sha256").update(name).digest("hex");
+    this.names.set(hex, name);
+    return { name, toString: () => hex };
+  }
+
+  idFromString(hex) {
+    if (!/^[0-9a-f]{64}$/.test(hex)) {
+      throw new TypeError("Invalid Durable Object ID");
+    }
+    return { name: this.names.get(hex), toString: () => hex };
+  }
+
+  newUniqueId() {
+    return this.idFromName(crypto.randomUUID());
+  }
+
+  // The object itself, created on first use
+  instance(id) {
+    const key = id.toString();
+    if (!this.objects.has(key)) {
+      const state = new FakeState(id);
+      this.objects.set(key, { state, object: new this.objectClass(state, this.env) });
+    }
+    return this.objects.get(key);
+  }
+
+  get(id) {
+    const { object } = this.instance(id);
+    return { fetch: (request, init) => object.fetch(request instanceof Request ? request : new Request(request, init)) };
+  }
+}
+
+// A worker with one namespace bound as DURABLE_OBJECT (of `objectClass`,
+// default DurableObject) and helpers to call it
+export async function createWorker(env = {}, objectClass = null) {
+  const worker = await import("../../../priv/cloudflare/durable-objects-worker.js");
+  env = { LOG_LEVEL: "silent", ...env };
+  env.DURABLE_OBJECT = new FakeNamespace(objectClass || worker.DurableObject, env);
+
+  // Send a request through the worker; JSON bodies are encoded and decoded
+  async function call(method, path, body, headers = {}) {
+    const init = { method, headers: { ...headers } };
+    if (body !== undefined) {
+      init.body = typeof body === "string" ? body : JSON.stringify(body);
+      if (!Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+        init.headers["Content-Type"] = "application/json";
+      }
+    }
+
+    const response = await worker.default.fetch(new Request(`https://worker.test${path}`, init), env);
+    const text = response.status === 101 ? "" : await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      json = text;
+    }
+    return { status: response.status, body: json, text, headers: response.headers, webSocket: response.webSocket };
+  }
+
+  // The Durable Object named `name`, with its state
+  function instance(name) {
+    return env.DURABLE_OBJECT.instance(env.DURABLE_OBJECT.idFromName(name));
+  }
+
+  // Open a WebSocket session; `send` delivers a message to the object and
+  // `received` holds what the object sent back
+  async function connect(name, query = "", headers = {}) {
+    const response = await call("GET", `/object/${name}/websocket${query}`, undefined, { Upgrade: "websocket", ...headers });
+    const { state, object } = instance(name);
+    const server = state.sockets[state.sockets.length - 1];
+    return {
+      response,
+      server,
+      received: response.webSocket ? response.webSocket.sent : [],
+      send: (message) => object.webSocketMessage(server, JSON.stringify(message))
+    };
+  }
+
+  return { worker, env, call, instance, connect };
+}
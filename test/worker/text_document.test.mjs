@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+import { TextDocument } from "../../priv/cloudflare/durable-objects-worker.js";
+
+const insert = (position, text) => ({ type: "insert", position, text });
+const remove = (position, length) => ({ type: "delete", position, length });
+
+// A document with `text` at revision 1, and a function committing edits to it
+async function documentWith(text) {
+  const { call, instance } = await createWorker({}, TextDocument);
+  const edit = (revision, ops) => call("POST", "/object/doc/document/edits", { revision, ops });
+  await edit(0, [insert(0, text)]);
+  return { call, instance, edit, read: async () => (await call("GET", "/object/doc/document")).body };
+}
+
+test("concurrent inserts at the same position keep the committed one first", async () => {
+  const { edit, read } = await documentWith("ac");
+
+  await edit(1, [insert(1, "X")]);
+  const second = await edit(1, [insert(1, "Y")]);
+
+  assert.deepEqual(second.body.ops, [insert(2, "Y")]);
+  assert.deepEqual(await read(), { text: "aXYc", revision: 3 });
+});
+
+test("an insert is shifted over a concurrent delete before it", async () => {
+  const { edit, read } = await documentWith("abcdef");
+
+  await edit(1, [remove(0, 2)]);
+  await edit(1, [insert(4, "X")]);
+
+  assert.equal((await read()).text, "cdXef");
+});
+
+test("a delete spanning a concurrent insert is split around it", async () => {
+  const { edit, read } = await documentWith("abcdef");
+
+  await edit(1, [insert(3, "XY")]);
+  const second = await edit(1, [remove(1, 4)]);
+
+  assert.deepEqual(second.body.ops, [remove(1, 2), remove(3, 2)]);
+  assert.equal((await read()).text, "aXYf");
+});
+
+test("overlapping deletes remove each character once", async () => {
+  const { edit, read } = await documentWith("abcdef");
+
+  await edit(1, [remove(1, 3)]);
+  await edit(1, [remove(2, 3)]);
+
+  assert.equal((await read()).text, "af");
+});
+
+test("positions count code points", async () => {
+  const { edit, read } = await documentWith("a😀b");
+
+  await edit(1, [insert(2, "X")]);
+
+  assert.equal((await read()).text, "a😀Xb");
+});
+
+test("edits outside the text and stale revisions are rejected", async () => {
+  const { edit, read } = await documentWith("abc");
+
+  assert.equal((await edit(1, [remove(2, 5)])).status, 422);
+  assert.equal((await edit(7, [insert(0, "x")])).body.error.code, "invalid_revision");
+  assert.equal((await edit(1, [{ type: "replace" }])).body.error.code, "invalid_operation");
+  assert.deepEqual(await read(), { text: "abc", revision: 1 });
+});
+
+test("the document is rebuilt from storage", async () => {
+  const { edit, instance } = await documentWith("abc");
+  await edit(1, [insert(3, "d")]);
+
+  const { state, object } = instance("doc");
+  const reloaded = new object.constructor(state, object.env);
+  await reloaded.loadDocument();
+
+  assert.deepEqual(reloaded.document, { text: "abcd", revision: 2 });
+});
+
+test("edits that are not an object with an integer revision and an operation array are rejected with 400", async () => {
+  const { call, read } = await documentWith("abc");
+  const edits = [
+    ["null", "invalid_request"],
+    [[insert(0, "x")], "invalid_request"],
+    [{ revision: "1", ops: [insert(0, "x")] }, "invalid_revision"],
+    [{ revision: 1, ops: insert(0, "x") }, "invalid_operation"]
+  ];
+
+  for (const [body, code] of edits) {
+    const response = await call("POST", "/object/doc/document/edits", body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error.code, code);
+  }
+  assert.deepEqual(await read(), { text: "abc", revision: 1 });
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorker } from "./support/runtime.mjs";
+
+test("every write bumps the key's version, returned as an ETag", async () => {
+  const { call } = await createWorker();
+
+  const first = await call("PUT", "/object/a/state/k", { value: 1 });
+  const second = await call("PUT", "/object/a/state/k", { value: 2 });
+
+  assert.equal(first.body.version, 1);
+  assert.equal(second.headers.get("ETag"), '"2"');
+  assert.equal((await call("GET", "/object/a/state/k")).headers.get("ETag"), '"2"');
+});
+
+test("If-Match writes only over the given version", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: 1 });
+
+  const stale = await call("PUT", "/object/a/state/k", { value: 2 }, { "If-Match": '"0", W/"2"' });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.error.code, "precondition_failed");
+  assert.deepEqual(stale.body.error.details, { key: "k", currentVersion: 1 });
+  assert.equal((await call("GET", "/object/a/state/k")).body.value, 1);
+
+  assert.equal((await call("PUT", "/object/a/state/k", { value: 2 }, { "If-Match": '"1"' })).status, 200);
+  assert.equal((await call("PUT", "/object/a/state/missing", { value: 1 }, { "If-Match": "*" })).status, 412);
+});
+
+test("If-None-Match: * creates a key only if it does not exist", async () => {
+  const { call } = await createWorker();
+
+  assert.equal((await call("PUT", "/object/a/state/k", { value: 1 }, { "If-None-Match": "*" })).status, 200);
+  assert.equal((await call("PUT", "/object/a/state/k", { value: 2 }, { "If-None-Match": "*" })).status, 412);
+});
+
+test("expectedVersion conflicts are reported with 409 on writes and deletes", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: 1 });
+
+  const put = await call("PUT", "/object/a/state/k", { value: 2, expectedVersion: 3 });
+  assert.equal(put.status, 409);
+  assert.equal(put.body.error.code, "version_conflict");
+
+  const remove = await call("DELETE", "/object/a/state/k?expectedVersion=3");
+  assert.equal(remove.status, 409);
+  assert.equal((await call("DELETE", "/object/a/state/k?expectedVersion=1")).status, 200);
+  assert.equal((await call("GET", "/object/a/state/k")).status, 404);
+});
+
+test("a deleted key never reuses a version", async () => {
+  const { call } = await createWorker();
+  await call("PUT", "/object/a/state/k", { value: 1 });
+  await call("DELETE", "/object/a/state/k");
+
+  const recreated = await call("PUT", "/object/a/state/k", { value: 1 }, { "If-None-Match": "*" });
+  assert.equal(recreated.status, 200);
+  assert.equal(recreated.body.version, 2);
+});